@@ -0,0 +1,304 @@
+import { JSON_MEDIA_CONTAINER_KEYS, JSON_MEDIA_TYPE_NAMES, acceptNetworkUrl, filterVerdict } from "./extract.mjs";
+import { clampDim, guessMediaType, isMuxVideo } from "./filters.mjs";
+
+/**
+ * API-first extraction: instead of scrolling until the board stops growing, find the JSON request
+ * the site uses to paginate the board, then replay it with the next cursor/page until exhausted.
+ * Item order is the order elements appear in the API pages; how a page splits into elements is
+ * up to the source adapter (apiEntriesFromJson below is the Cosmos one).
+ */
+
+// Response side: where the next-page cursor lives
+const RESPONSE_CURSOR_KEYS = ["endCursor", "nextCursor", "next_cursor", "nextPageCursor", "cursor", "next_page", "nextPage"];
+const RESPONSE_HAS_MORE_KEYS = ["hasNextPage", "hasMore", "has_more", "hasNext", "has_more_pages"];
+
+// Request side: which query param / JSON variable to bump for the next page
+const REQUEST_CURSOR_RE = /^(after|cursor|endCursor|nextCursor|pageCursor|next_cursor)$/i;
+const REQUEST_PAGE_RE = /^(page|pageNumber|page_number)$/i;
+const REQUEST_OFFSET_RE = /^(offset|skip)$/i;
+
+const MEDIA_URL_KEYS = ["url", "src", "mp4Url", "playbackUrl"];
+
+// Headers the browser sets itself (or refuses to let fetch() set) when we replay a request in-page
+const SKIP_REQUEST_HEADERS = /^(sec-|host$|content-length$|cookie$|user-agent$|referer$|origin$|accept-encoding$|connection$|:)/i;
+
+export const EXTRACT_MODES = ["api", "dom"];
+
+// Minimum media entries in a response before we treat it as board data
+const MIN_MEDIA_PER_PAGE = 3;
+
+/**
+ * Pagination info of a JSON response:
+ *   { cursor, hasMore } for cursor pagination, { nextUrl } when the API hands out the next URL.
+ * null when the response does not look paginated.
+ */
+export function findPagination(json) {
+  let found = null;
+  const walk = (v) => {
+    if (found || !v || typeof v !== "object") return;
+    if (Array.isArray(v)) return v.forEach(walk);
+
+    for (const key of RESPONSE_CURSOR_KEYS) {
+      if (!(key in v)) continue;
+      const cursor = v[key];
+      const moreKey = RESPONSE_HAS_MORE_KEYS.find(k => typeof v[k] === "boolean");
+      const hasMore = moreKey ? v[moreKey] : cursor !== null && cursor !== undefined && cursor !== "";
+      if (typeof cursor === "string" || typeof cursor === "number" || cursor === null) {
+        found = { cursor, hasMore };
+        return;
+      }
+    }
+    if (typeof v.next === "string" && /^https?:\/\//.test(v.next)) {
+      found = { nextUrl: v.next, hasMore: true };
+      return;
+    }
+    Object.values(v).forEach(walk);
+  };
+  walk(json);
+  return found;
+}
+
+function parseBody(postData) {
+  if (!postData) return null;
+  try {
+    return JSON.parse(postData);
+  } catch {
+    return null;
+  }
+}
+
+// Paginating parameters of a captured request: [{ where: "query"|"body", kind, key, path, value }]
+export function requestPageParams(req) {
+  const params = [];
+  const kindOf = (key) =>
+    REQUEST_CURSOR_RE.test(key) ? "cursor" : REQUEST_PAGE_RE.test(key) ? "page" : REQUEST_OFFSET_RE.test(key) ? "offset" : null;
+
+  try {
+    for (const [key, value] of new URL(req.url).searchParams) {
+      const kind = kindOf(key);
+      if (kind) params.push({ where: "query", kind, key, value });
+    }
+  } catch {}
+
+  const walk = (v, path) => {
+    if (!v || typeof v !== "object" || Array.isArray(v)) return;
+    for (const [key, child] of Object.entries(v)) {
+      const kind = kindOf(key);
+      if (kind && (child === null || typeof child !== "object")) params.push({ where: "body", kind, key, path: [...path, key], value: child });
+      else walk(child, [...path, key]);
+    }
+  };
+  walk(parseBody(req.postData), []);
+  return params;
+}
+
+function setPath(obj, path, value) {
+  let o = obj;
+  for (const k of path.slice(0, -1)) o = o[k];
+  o[path[path.length - 1]] = value;
+}
+
+/**
+ * The request for the page after `req`, or null when we cannot tell how to ask for it.
+ * pageSize is how many entries the current page held (for offset pagination).
+ */
+export function buildNextRequest(req, pagination, pageSize) {
+  if (!pagination?.hasMore) return null;
+  if (pagination.nextUrl) return { ...req, method: "GET", url: pagination.nextUrl, postData: null };
+
+  const params = requestPageParams(req);
+  const param =
+    (pagination.cursor !== null && pagination.cursor !== undefined && params.find(p => p.kind === "cursor")) ||
+    params.find(p => p.kind === "page") ||
+    params.find(p => p.kind === "offset");
+  if (!param) return null;
+
+  let value;
+  if (param.kind === "cursor") value = pagination.cursor;
+  else if (param.kind === "page") value = (Number(param.value) || 1) + 1;
+  else value = (Number(param.value) || 0) + pageSize;
+
+  if (param.where === "query") {
+    const u = new URL(req.url);
+    u.searchParams.set(param.key, String(value));
+    return { ...req, url: u.href };
+  }
+  const body = parseBody(req.postData);
+  setPath(body, param.path, value);
+  return { ...req, postData: JSON.stringify(body) };
+}
+
+// True when the request was asking for the first page (no cursor yet, page 1, offset 0)
+export function isFirstPageRequest(req) {
+  return requestPageParams(req).every(p =>
+    (p.kind === "cursor" && (p.value === null || p.value === undefined || p.value === "")) ||
+    (p.kind === "page" && Number(p.value) <= 1) ||
+    (p.kind === "offset" && !Number(p.value))
+  );
+}
+
+/**
+ * Media entries ({ urls, width, height }) of one API page, in document order, grouped per element:
+ * every media object is attributed to its closest ancestor carrying an `id`,
+ * so a video and its thumbnail/poster end up in the same entry.
+ */
+export function apiEntriesFromJson(json) {
+  const entries = [];
+  const byOwner = new Map();
+
+  const walk = (v, path, owner) => {
+    if (!v || typeof v !== "object") return;
+    if (Array.isArray(v)) return v.forEach(x => walk(x, path, owner));
+
+    const hasMediaContext = path.some(p => JSON_MEDIA_CONTAINER_KEYS.has(p)) || JSON_MEDIA_TYPE_NAMES.has(v.__typename);
+    const urls = hasMediaContext ? [...MEDIA_URL_KEYS.map(k => v[k]), v.poster].filter(u => typeof u === "string") : [];
+    if (urls.length) {
+      let entry = owner ? byOwner.get(owner) : null;
+      if (!entry) {
+        entry = { owner, urls: [], width: 0, height: 0 };
+        entries.push(entry);
+        if (owner) byOwner.set(owner, entry);
+      }
+      entry.urls.push(...urls);
+      if (!entry.width && v.width > 0 && v.height > 0) {
+        entry.width = v.width;
+        entry.height = v.height;
+      }
+    }
+
+    // Anything with an id that is not itself a media object counts as an element
+    const nextOwner = v.id !== undefined && v.id !== null && !urls.length ? v : owner;
+    for (const [key, child] of Object.entries(v)) {
+      if (key === "__typename") continue;
+      walk(child, [...path, key], nextOwner);
+    }
+  };
+  walk(json, [], null);
+  return entries.map(({ urls, width, height }) => ({ urls, width, height }));
+}
+
+// One feed item per element: its video when it has one (Mux first), else its image
+// (a URL the filter rules also accept as an image)
+function entryToItem({ urls, width, height }, source, tally) {
+  const where = { origin: "api", width, height };
+  const accepted = [...new Set(urls.map(u => acceptNetworkUrl(u, source, tally, where)).filter(Boolean))];
+  const videos = accepted.filter(u => guessMediaType(u) === "video");
+  const images = accepted.filter(u => guessMediaType(u) !== "video" && filterVerdict(u, source, "image", where).ok);
+
+  const video = videos.find(isMuxVideo) || videos[0];
+  if (video) {
+    const item = { type: "video", src: video, width: clampDim(width, 0), height: clampDim(height, 0) };
+    if (images[0]) item.poster = images[0];
+    return item;
+  }
+  if (images[0]) return { type: "image", src: images[0], width: clampDim(width, 0), height: clampDim(height, 0) };
+  return null;
+}
+
+/**
+ * Ordered, deduped items from API pages. `leading` items (eg the first screen taken from the DOM
+ * when the board's first page was server-rendered) go first.
+ */
+export function apiItemsFromPages(pages, leading, source, tally = null) {
+  const seen = new Set();
+  const seenSrcs = new Set();
+  const out = [];
+  const push = (it) => {
+    const key = source.itemKey(it.type, it.src);
+    if (seen.has(key)) {
+      if (!seenSrcs.has(it.src)) tally?.add("duplicate", it.src, { origin: "api", stage: "order", detail: key });
+      return;
+    }
+    seen.add(key);
+    seenSrcs.add(it.src);
+    out.push(it);
+  };
+
+  leading.forEach(push);
+  for (const json of pages) {
+    for (const entry of source.apiEntriesFromJson(json)) {
+      const item = entryToItem(entry, source, tally);
+      if (item) push(item);
+    }
+  }
+
+  const collapsed = source.collapse(out);
+  if (tally && collapsed.length < out.length) {
+    const kept = new Set(collapsed.map(it => it.src));
+    for (const it of out) if (!kept.has(it.src)) tally.add("collapsed", it.src, { origin: "api", stage: "collapse" });
+  }
+  return collapsed;
+}
+
+// Count of media entries a JSON body would give us (to rank candidate requests)
+export function mediaEntryCount(json, source) {
+  return source.apiEntriesFromJson(json).length;
+}
+
+/**
+ * Best candidate among captured { request, json } responses: paginated and holding at least a few
+ * media entries. A first-page request beats a later page (so we start from the top of the board),
+ * then the most entries wins (earliest on ties).
+ */
+export function pickPaginatedRequest(candidates, source) {
+  let best = null;
+  for (const c of candidates) {
+    const pagination = findPagination(c.json);
+    if (!pagination) continue;
+    const count = mediaEntryCount(c.json, source);
+    if (count < MIN_MEDIA_PER_PAGE) continue;
+    const firstPage = isFirstPageRequest(c.request);
+    if (!best || (firstPage && !best.firstPage) || (firstPage === best.firstPage && count > best.count)) {
+      best = { ...c, pagination, count, firstPage };
+    }
+  }
+  return best;
+}
+
+// Headers of a captured request that are safe to send again from page.evaluate(fetch)
+export function replayableHeaders(headers = {}) {
+  return Object.fromEntries(Object.entries(headers).filter(([k]) => !SKIP_REQUEST_HEADERS.test(k)));
+}
+
+/**
+ * Follow pagination from a seed { request, json, pagination } until the API says there is no more,
+ * a cursor repeats, a page brings nothing new, or maxPages is reached.
+ * fetchPage(request) -> parsed JSON. Returns { pages, stopReason, truncated }; truncated when we
+ * stopped while the API still said there was more (pagination we cannot follow, or maxPages).
+ */
+export async function followPagination(seed, fetchPage, { source, maxPages = 200, delayMs = 250, sleep } = {}) {
+  const pages = [seed.json];
+  const seenCursors = new Set([JSON.stringify(seed.pagination.cursor ?? seed.pagination.nextUrl)]);
+  const entryKey = (e) => e.urls.join(" ");
+  const seenEntries = new Set(source.apiEntriesFromJson(seed.json).map(entryKey));
+  let req = seed.request;
+  let pagination = seed.pagination;
+  let pageSize = mediaEntryCount(seed.json, source);
+
+  while (pages.length < maxPages) {
+    const next = buildNextRequest(req, pagination, pageSize);
+    if (!next) {
+      return pagination.hasMore
+        ? { pages, stopReason: "unknown-pagination", truncated: true }
+        : { pages, stopReason: "exhausted", truncated: false };
+    }
+
+    if (delayMs && sleep) await sleep(delayMs);
+    const json = await fetchPage(next);
+    const entries = source.apiEntriesFromJson(json);
+    const fresh = entries.filter(e => !seenEntries.has(entryKey(e)));
+    if (!fresh.length) return { pages, stopReason: "no-new-items", truncated: false };
+    fresh.forEach(e => seenEntries.add(entryKey(e)));
+    pages.push(json);
+
+    pagination = findPagination(json);
+    if (!pagination) return { pages, stopReason: "exhausted", truncated: false };
+    const cursorKey = JSON.stringify(pagination.cursor ?? pagination.nextUrl);
+    if (pagination.hasMore && seenCursors.has(cursorKey)) return { pages, stopReason: "cursor-repeated", truncated: false };
+    seenCursors.add(cursorKey);
+
+    req = next;
+    pageSize = entries.length;
+  }
+  return { pages, stopReason: "max-pages", truncated: pagination.hasMore };
+}
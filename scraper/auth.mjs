@@ -0,0 +1,228 @@
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import { fileURLToPath } from "url";
+import { log as rootLog } from "./log.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Logged-in sessions for private and unlisted boards. A gallery gets one through
+ *   account: <name>            one of the config's top-level `accounts:`
+ *   auth: { storageState, cookies }
+ * where storageState is a Playwright storage state file (cookies + localStorage, as saved by
+ * `--login`) and cookies a JSON cookie export or a Netscape cookies.txt; paths are relative to
+ * the config file. Both hold live session tokens: keep them out of git (.auth/ is ignored).
+ */
+export const DEFAULT_AUTH_DIR = path.resolve(__dirname, "../.auth");
+
+const SAME_SITE = { strict: "Strict", lax: "Lax", none: "None", no_restriction: "None" };
+
+// One auth block resolved against the config dir: { account, storageState, cookies } (absolute paths)
+function resolveAuth(value, account, baseDir, where) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    throw new Error(`auth must be { storageState, cookies } in ${where}`);
+  }
+  const unknown = Object.keys(value).find(k => !["storageState", "cookies"].includes(k));
+  if (unknown) throw new Error(`Unknown auth option "${unknown}" in ${where}, expected storageState | cookies`);
+  if (!value.storageState && !value.cookies) throw new Error(`auth needs a storageState or cookies file in ${where}`);
+  for (const key of ["storageState", "cookies"]) {
+    if (value[key] !== undefined && (typeof value[key] !== "string" || !value[key])) {
+      throw new Error(`auth ${key} must be a file path in ${where}`);
+    }
+  }
+  return {
+    account,
+    storageState: value.storageState ? path.resolve(baseDir, value.storageState) : null,
+    cookies: value.cookies ? path.resolve(baseDir, value.cookies) : null
+  };
+}
+
+// Config check for the top-level `accounts:` map
+export function validateAccounts(accounts, baseDir, where) {
+  if (accounts === undefined || accounts === null) return {};
+  if (typeof accounts !== "object" || Array.isArray(accounts)) throw new Error(`accounts must be a map of name → auth in ${where}`);
+  return Object.fromEntries(Object.entries(accounts).map(([name, value]) =>
+    [name, resolveAuth(value, name, baseDir, `${where} (account ${name})`)]));
+}
+
+/**
+ * The session a gallery scrapes with: its `auth:` block, else its `account:`, else none (null).
+ * Inline blocks are named after the gallery slug.
+ */
+export function readGalleryAuth(g, accounts, baseDir, slug, where) {
+  if (g.auth !== undefined && g.account !== undefined) throw new Error(`Use either auth or account, not both, in ${where}`);
+  if (g.auth !== undefined) return resolveAuth(g.auth, slug, baseDir, where);
+  if (g.account === undefined) return null;
+  const auth = accounts[g.account];
+  if (!auth) {
+    const known = Object.keys(accounts);
+    throw new Error(`Unknown account "${g.account}" in ${where}${known.length ? `, expected ${known.join(" | ")}` : " (no accounts: defined)"}`);
+  }
+  return auth;
+}
+
+// Single-gallery mode: STORAGE_STATE and/or COOKIES_FILE
+export function authFromEnv(env = process.env, slug = "default") {
+  if (!env.STORAGE_STATE && !env.COOKIES_FILE) return null;
+  return resolveAuth({
+    ...(env.STORAGE_STATE ? { storageState: env.STORAGE_STATE } : {}),
+    ...(env.COOKIES_FILE ? { cookies: env.COOKIES_FILE } : {})
+  }, slug, process.cwd(), "STORAGE_STATE / COOKIES_FILE");
+}
+
+function cookieFromJson(c, file) {
+  if (!c || typeof c.name !== "string" || c.value === undefined || !c.domain) {
+    throw new Error(`Cookie without name, value or domain in ${file}`);
+  }
+  const expires = Number(c.expires ?? c.expirationDate ?? -1);
+  const sameSite = SAME_SITE[String(c.sameSite || "").toLowerCase()];
+  return {
+    name: c.name,
+    value: String(c.value),
+    domain: c.domain,
+    path: c.path || "/",
+    expires: isFinite(expires) && expires > 0 ? expires : -1,
+    httpOnly: !!c.httpOnly,
+    secure: !!c.secure,
+    ...(sameSite ? { sameSite } : {})
+  };
+}
+
+// Netscape cookies.txt: domain, include-subdomains, path, secure, expiry, name, value (tab separated)
+function cookiesFromNetscape(text, file) {
+  const out = [];
+  for (let line of text.split(/\r?\n/)) {
+    const httpOnly = line.startsWith("#HttpOnly_");
+    if (httpOnly) line = line.slice("#HttpOnly_".length);
+    if (!line.trim() || line.startsWith("#")) continue;
+    const parts = line.split("\t");
+    if (parts.length < 7) throw new Error(`Bad cookies.txt line in ${file}: ${line.slice(0, 60)}`);
+    const [domain, , cookiePath, secure, expires, name, ...value] = parts;
+    out.push(cookieFromJson({
+      domain,
+      path: cookiePath,
+      secure: secure.toUpperCase() === "TRUE",
+      expires: Number(expires) || -1,
+      name,
+      value: value.join("\t"),
+      httpOnly
+    }, file));
+  }
+  return out;
+}
+
+/**
+ * Cookies of a file in Playwright's shape: a JSON array (Playwright, or a browser extension
+ * export with expirationDate / no_restriction), a storage state's `cookies`, or cookies.txt.
+ */
+export function loadCookies(file) {
+  const text = fs.readFileSync(file, "utf8");
+  if (!/^\s*[[{]/.test(text)) return cookiesFromNetscape(text, file);
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Bad cookie JSON in ${file}: ${e.message}`);
+  }
+  const list = Array.isArray(json) ? json : json?.cookies;
+  if (!Array.isArray(list)) throw new Error(`No cookie list in ${file}`);
+  return list.map(c => cookieFromJson(c, file));
+}
+
+function missingFile(file, auth, what) {
+  return new Error(
+    `${what} file for account "${auth.account}" not found: ${file}` +
+    (what === "storageState" ? ` (save one with --login ${auth.account})` : "")
+  );
+}
+
+// browser.newContext() options for a session (storageState is loaded by Playwright itself)
+export function authContextOptions(auth) {
+  if (!auth?.storageState) return {};
+  if (!fs.existsSync(auth.storageState)) throw missingFile(auth.storageState, auth, "storageState");
+  return { storageState: auth.storageState };
+}
+
+// Cookie files go in after the context exists, on top of the storage state
+export async function addAuthCookies(context, auth) {
+  if (!auth?.cookies) return;
+  if (!fs.existsSync(auth.cookies)) throw missingFile(auth.cookies, auth, "cookies");
+  await context.addCookies(loadCookies(auth.cookies));
+}
+
+/**
+ * Whether the page in front of us is a login wall rather than the board: redirected to a login
+ * path or off the site, or showing the source's login markers (sources/*: loginWall).
+ * Resolves to a short reason, or null.
+ */
+export async function detectLoginWall(page, source, { isSiteUrl }) {
+  const wall = source.loginWall || {};
+  let current;
+  try {
+    current = new URL(page.url());
+  } catch {
+    return null;
+  }
+  if (!/^https?:$/.test(current.protocol)) return null;
+  if (!isSiteUrl(current)) return `redirected to ${current.host}`;
+  if ((wall.paths || []).some(p => new RegExp(p, "i").test(current.pathname))) return `redirected to ${current.pathname}`;
+
+  return await page.evaluate(({ selectors, text }) => {
+    const visible = (el) => {
+      const r = el?.getBoundingClientRect();
+      return !!r && r.width > 0 && r.height > 0;
+    };
+    const hit = (selectors || []).find(sel => [...document.querySelectorAll(sel)].some(visible));
+    if (hit) return `login form on the page (${hit})`;
+    const texts = (text || []).map(t => new RegExp(t, "i"));
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      const t = node.textContent.trim();
+      if (t && t.length <= 120 && texts.some(re => re.test(t)) && visible(node.parentElement)) return `"${t}" on the page`;
+    }
+    return null;
+  }, { selectors: wall.selectors, text: wall.text }).catch(() => null);
+}
+
+// The error a gallery fails with when it hit a login wall, with what to do about it
+export function loginWallError(gallery, source, reason) {
+  const hint = gallery.auth
+    ? `the session of account "${gallery.auth.account}" was not accepted (expired? run --login ${gallery.auth.account} again)`
+    : "the board looks private: give the gallery an `account:` or `auth:` (see README, Private boards)";
+  const e = new Error(`${source.title} showed a login wall for ${gallery.url} (${reason}); ${hint}`);
+  e.loginWall = reason;
+  return e;
+}
+
+/**
+ * One-time interactive login: opens a visible browser on `url`, waits for Enter in the terminal
+ * (or for the window to be closed) and saves the context's storage state to `file`.
+ */
+export async function interactiveLogin(chromium, { url, file, account, log = rootLog }) {
+  const browser = await chromium.launch({ headless: false });
+  try {
+    const context = await browser.newContext();
+    const page = await context.newPage();
+    await page.goto(url, { waitUntil: "domcontentloaded" }).catch(() => {});
+
+    log.info("login.waiting", `🔑 Log in as "${account}" in the browser window, then press Enter here…`, { account, url });
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const closed = new Promise(resolve => page.once("close", resolve));
+    await Promise.race([new Promise(resolve => rl.question("", resolve)), closed]);
+    rl.close();
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    try {
+      await context.storageState({ path: file });
+    } catch (e) {
+      throw new Error(`Could not save the session for account "${account}" (browser closed?): ${String(e?.message || e).slice(0, 200)}`);
+    }
+    fs.chmodSync(file, 0o600);
+    log.info("login.saved", `✅ Session for "${account}" saved → ${file}`, { account, file });
+    return file;
+  } finally {
+    await browser.close().catch(() => {});
+  }
+}
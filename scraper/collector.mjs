@@ -0,0 +1,99 @@
+import { M3U8_EXT_RE, MEDIA_EXT_RE, normaliseURL } from "./filters.mjs";
+import {
+  acceptDomItem,
+  acceptNetworkUrl,
+  isExcludedUrl,
+  mergeDomItem,
+  mergeNetworkToMap
+} from "./extract.mjs";
+import { applyMetadata, metadataFromJsonText } from "./metadata.mjs";
+import { buildFeedItems, gridOrder } from "./pipeline.mjs";
+import { createDropTally } from "./report.mjs";
+
+/**
+ * Everything one gallery scrape accumulates, fed either by a live page or by a recorded session.
+ * `source` is the gallery's source adapter (sources/), whose filter rules decide what counts as media:
+ * - positional DOM captures (the only way to reproduce grid ordering without the API)
+ * - URLs seen on the network (media responses and URLs inside JSON responses)
+ * - per-media metadata found in JSON responses (ids, captions, colors, …)
+ * URLs the filters drop are tallied per rule (`tally`, for the run report), and with a `trace`
+ * every filter decision is recorded (trace.mjs).
+ */
+export function createCollector(base, source, log = null, trace = null) {
+  let positional = [];
+  const netFound = new Set();
+  const foundMap = new Map(); // src -> item (for late merges)
+  const metaMap = new Map(); // normalised media url / mux:<playbackId> -> metadata
+  const tally = createDropTally(log, trace);
+
+  return {
+    tally,
+    get domCount() { return positional.length; },
+    get netCount() { return netFound.size; },
+    // Distinct media seen so far (DOM captures and network URLs merged), for the scroll controller
+    get uniqueCount() { return foundMap.size; },
+
+    // readText is only called for JSON responses
+    async addResponse(url, contentType, readText) {
+      const norm = normaliseURL(url);
+      if (!norm) return;
+
+      // Media responses (and .m3u8, which is always dropped) go through the filters
+      if (MEDIA_EXT_RE.test(norm) || M3U8_EXT_RE.test(norm)) {
+        const accepted = acceptNetworkUrl(norm, source, tally);
+        if (accepted) netFound.add(accepted);
+        return;
+      }
+      // Responses the source itself excludes (eg Next.js assets) are not worth reading
+      if (isExcludedUrl(norm, source, { defaultsOnly: true })) return;
+
+      if ((contentType || "").toLowerCase().includes("application/json")) {
+        const text = await readText();
+        for (const u of source.mediaUrlsFromJsonText(text || "")) {
+          const accepted = acceptNetworkUrl(u, source, tally, { origin: "json" });
+          if (accepted) netFound.add(accepted);
+        }
+        metadataFromJsonText(text || "", metaMap);
+      }
+    },
+
+    // Raw batch as returned by the in-page DOM walk
+    addDomBatch(batch) {
+      for (const it of batch) {
+        const item = acceptDomItem(it, base, source, tally);
+        if (!item) continue;
+        positional.push(item);
+        mergeDomItem(foundMap, item);
+      }
+
+      mergeNetworkToMap(netFound, foundMap);
+    },
+
+    reset() {
+      positional = [];
+      netFound.clear();
+      foundMap.clear();
+      metaMap.clear();
+      tally.reset();
+    },
+
+    buildItems() {
+      return applyMetadata(buildFeedItems(positional, foundMap, base, source, tally), metaMap);
+    },
+
+    // How sure we are about the reconstructed masonry order (columns, duplicates, near-ties)
+    orderingReport() {
+      return gridOrder(positional, base, source).report;
+    },
+
+    // On-screen items only, in grid order (API mode uses them for a server-rendered first page)
+    buildDomItems() {
+      return buildFeedItems(positional, new Map(), base, source);
+    },
+
+    // Items ordered elsewhere (API mode) still get the metadata seen in JSON responses
+    withMetadata(items) {
+      return applyMetadata(items, metaMap);
+    }
+  };
+}
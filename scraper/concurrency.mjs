@@ -0,0 +1,136 @@
+// Run fn over list with at most `limit` calls in flight; results keep the input order
+export async function mapLimit(list, limit, fn) {
+  const out = new Array(list.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, list.length)) }, async () => {
+    while (next < list.length) {
+      const i = next++;
+      out[i] = await fn(list[i], i);
+    }
+  });
+  await Promise.all(workers);
+  return out;
+}
+
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Retry an async fn with exponential backoff (baseMs, 2×baseMs, 4×baseMs, …);
+// errors for which shouldRetry(e) is false are thrown straight away
+export async function withRetries(fn, { retries = 3, baseMs = 1000, shouldRetry = () => true } = {}) {
+  let lastErr;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (e) {
+      lastErr = e;
+      if (!shouldRetry(e)) break;
+      if (attempt < retries) await sleep(baseMs * 2 ** attempt);
+    }
+  }
+  throw lastErr;
+}
+
+// At most `limit` calls in flight across everyone sharing the limiter; run(fn) resolves with fn()
+export function createLimiter(limit) {
+  let active = 0;
+  const queue = [];
+  const next = () => {
+    if (active >= limit || !queue.length) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    Promise.resolve().then(fn).then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+  return {
+    run: (fn) => new Promise((resolve, reject) => {
+      queue.push({ fn, resolve, reject });
+      next();
+    }),
+    get active() { return active; },
+    get pending() { return queue.length; }
+  };
+}
+
+/**
+ * Per-host caps for fetches: run(url, fn) waits for a free slot on url's host. caps is
+ * { default, "<host>": n, "*.<domain>": n }; every host without a cap of its own gets `default`
+ * slots.
+ */
+export function createHostLimits({ default: fallback = Infinity, ...caps } = {}) {
+  const limiters = new Map();
+  const capOf = (host) => {
+    if (caps[host] !== undefined) return caps[host];
+    const wildcard = Object.keys(caps).find(k => k.startsWith("*.") && host.endsWith(k.slice(1)));
+    return wildcard ? caps[wildcard] : fallback;
+  };
+  return {
+    run(url, fn) {
+      let host;
+      try {
+        host = new URL(url).host.toLowerCase();
+      } catch {
+        return fn();
+      }
+      const cap = capOf(host);
+      if (!isFinite(cap)) return fn();
+      if (!limiters.has(host)) limiters.set(host, createLimiter(cap));
+      return limiters.get(host).run(fn);
+    }
+  };
+}
+
+// No caps at all (stages called without a shared createHostLimits)
+export const NO_HOST_LIMITS = { run: (url, fn) => fn() };
+
+/**
+ * Token bucket: take() resolves once the next request may go out, `perSecond` on average with
+ * bursts of up to `burst`. Waiters are served in order. perSecond 0 means no limit.
+ */
+export function createRateLimiter(perSecond, burst = Math.max(1, Math.ceil(perSecond * 2))) {
+  if (!perSecond) return { take: async () => {} };
+  let tokens = burst;
+  let last = Date.now();
+  let queue = Promise.resolve();
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - last) * perSecond) / 1000);
+    last = now;
+  };
+  return {
+    take() {
+      const turn = queue.then(async () => {
+        refill();
+        if (tokens < 1) {
+          await sleep(Math.ceil(((1 - tokens) * 1000) / perSecond));
+          refill();
+        }
+        tokens -= 1;
+      });
+      queue = turn.catch(() => {});
+      return turn;
+    }
+  };
+}
+
+/**
+ * fn(signal) with a wall-clock limit: after `ms` the signal aborts with makeError() and the
+ * returned promise rejects with it straight away; fn is expected to wind down on the signal.
+ * ms 0 means no limit (signal is null).
+ */
+export function withTimeout(fn, ms, makeError) {
+  if (!ms) return fn(null);
+  const controller = new AbortController();
+  let timer;
+  const expired = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const e = makeError();
+      controller.abort(e);
+      reject(e);
+    }, ms);
+  });
+  return Promise.race([fn(controller.signal), expired]).finally(() => clearTimeout(timer));
+}
@@ -0,0 +1,260 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import YAML from "yaml";
+import { EXTRACT_MODES } from "./api.mjs";
+import { authFromEnv, readGalleryAuth, validateAccounts } from "./auth.mjs";
+import { parseCron } from "./cron.mjs";
+import { validateDerivatives, variantOptionsFromEnv } from "./derivatives.mjs";
+import { validateFormats } from "./formats.mjs";
+import { notifyFromEnv, validateNotify } from "./notify.mjs";
+import { validateNearDuplicates } from "./perceptual.mjs";
+import { FEED_SHAPES } from "./publish.mjs";
+import { validateRules } from "./rules.mjs";
+import { SOURCE_NAMES } from "./sources/index.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_OUT_DIR = path.resolve(__dirname, "../public");
+
+// Daemon mode: hourly, spread over up to two minutes
+const DEFAULT_SCHEDULE = "0 * * * *";
+const DEFAULT_JITTER = 120;
+
+// Batch mode: galleries scraped at once, requests per second against each gallery's site (all
+// workers together, 0 = no limit) and concurrent post-processing fetches per media host
+const DEFAULT_WORKERS = 1;
+const DEFAULT_RATE_LIMIT = 8;
+const DEFAULT_HOST_CONCURRENCY = 6;
+
+// Built-in defaults for every per-gallery tunable (env overrides these, config overrides env)
+const TUNABLE_DEFAULTS = {
+  MAX_SCROLLS: 260,
+  WAIT_BETWEEN: 900, // first back-off (ms) when nothing new loads at the bottom, doubling per retry
+  FIRST_IDLE: 8000,
+  STABLE_CHECKS: 3, // bottom-of-page retries before the board counts as fully loaded
+  SCROLL_IDLE: 400, // ms without data requests in flight that count as "loaded" after a scroll step
+  SCROLL_MAX_WAIT: 10000, // longest wait (ms) for the data requests of one scroll step
+  HYDRATION_MIN_MEDIA: 6,
+  RETRY_IDLE_MULT: 1.75,
+  RETRY_MAX: 1,
+  BLOCKED_BACKOFF: 30000, // wait (ms) before retrying a rate-limited / challenged page, doubling per retry
+  MAX_API_PAGES: 200, // API mode: stop following pagination after this many pages
+  API_PAGE_DELAY: 250, // API mode: pause between page requests (ms)
+  MAX_DROP_PCT: 50, // refuse to overwrite a feed that would lose more than this % of its items
+  GALLERY_TIMEOUT: 1200 // seconds for the whole run (scrape, post-processing, publish); 0 = none
+};
+
+export const TUNABLE_KEYS = Object.keys(TUNABLE_DEFAULTS);
+
+// Last non-empty path segment of the gallery URL (eg ".../rlphoto/swim" -> "swim")
+export function slugFromUrl(urlStr) {
+  try {
+    const u = new URL(urlStr);
+    const seg = u.pathname.split("/").filter(Boolean);
+    return seg.pop() || u.host.replace(/^www\./, "");
+  } catch {
+    return null;
+  }
+}
+
+function readTunables(source = {}, fallback = {}) {
+  const out = { ...fallback };
+  for (const key of TUNABLE_KEYS) {
+    if (source[key] === undefined || source[key] === null || source[key] === "") continue;
+    const n = Number(source[key]);
+    if (!isFinite(n)) throw new Error(`Tunable ${key} must be a number (got ${JSON.stringify(source[key])})`);
+    out[key] = n;
+  }
+  return out;
+}
+
+export function envTunables(env = process.env) {
+  return readTunables(env, TUNABLE_DEFAULTS);
+}
+
+function validateFeedShape(shape, where) {
+  if (!FEED_SHAPES.includes(shape)) {
+    throw new Error(`Unknown feed shape "${shape}" in ${where}, expected ${FEED_SHAPES.join(" | ")}`);
+  }
+}
+
+function validateMode(mode, where) {
+  if (!EXTRACT_MODES.includes(mode)) {
+    throw new Error(`Unknown extraction mode "${mode}" in ${where}, expected ${EXTRACT_MODES.join(" | ")}`);
+  }
+}
+
+function validateSource(source, where) {
+  if (source && !SOURCE_NAMES.includes(source)) {
+    throw new Error(`Unknown source "${source}" in ${where}, expected ${SOURCE_NAMES.join(" | ")}`);
+  }
+}
+
+// hostConcurrency: a number (every host) or { default, "<host>": n, "*.<domain>": n }
+function readHostConcurrency(value, where) {
+  const caps = typeof value === "object" && value !== null && !Array.isArray(value)
+    ? { default: DEFAULT_HOST_CONCURRENCY, ...value }
+    : { default: value };
+  for (const [host, n] of Object.entries(caps)) {
+    caps[host] = Number(n);
+    if (!Number.isInteger(caps[host]) || caps[host] < 1) {
+      throw new Error(`hostConcurrency for ${host} must be a whole number ≥ 1 in ${where}`);
+    }
+  }
+  return caps;
+}
+
+/**
+ * Worker pool settings of a batch: { workers, rateLimit, hostConcurrency } from the config's
+ * top level, else WORKERS / RATE_LIMIT / HOST_CONCURRENCY.
+ */
+export function readPool(raw = {}, env = process.env, where = "env") {
+  const workers = Number(raw.workers ?? (env.WORKERS || DEFAULT_WORKERS));
+  if (!Number.isInteger(workers) || workers < 1) throw new Error(`workers must be a whole number ≥ 1 in ${where}`);
+  const rateLimit = Number(raw.rateLimit ?? (env.RATE_LIMIT || DEFAULT_RATE_LIMIT));
+  if (!isFinite(rateLimit) || rateLimit < 0) throw new Error(`rateLimit must be requests per second (0 = none) in ${where}`);
+  const hostConcurrency = readHostConcurrency(raw.hostConcurrency ?? (env.HOST_CONCURRENCY || DEFAULT_HOST_CONCURRENCY), where);
+  return { workers, rateLimit, hostConcurrency };
+}
+
+// Daemon schedule of a gallery: { schedule, jitter } with the cron expression checked up front
+function readSchedule(g, raw, env, where) {
+  const schedule = g.schedule || raw.schedule || env.SCHEDULE || DEFAULT_SCHEDULE;
+  try {
+    parseCron(schedule);
+  } catch (e) {
+    throw new Error(`${e.message} in ${where}`);
+  }
+  const jitter = Number(g.jitter ?? raw.jitter ?? env.SCHEDULE_JITTER ?? DEFAULT_JITTER);
+  if (!isFinite(jitter) || jitter < 0) throw new Error(`jitter must be a number of seconds in ${where}`);
+  return { schedule, jitter };
+}
+
+function parseConfigText(text, file) {
+  const ext = path.extname(file).toLowerCase();
+  if (ext === ".yaml" || ext === ".yml") return YAML.parse(text);
+  return JSON.parse(text);
+}
+
+/**
+ * Gallery config (JSON or YAML):
+ *   outDir:    output folder, relative to the config file (default: public/)
+ *   defaults:  tunables applied to every gallery (MAX_SCROLLS, WAIT_BETWEEN, …)
+ *   formats:   extra output formats for every gallery (jsonfeed, rss, atom, csv, jsonl, html)
+ *   publicUrl: where outDir is served from, used for self links in feeds
+ *   feedShape: legacy | versioned | both (default: FEED_SHAPE env, else legacy)
+ *   mode:      api | dom (default: EXTRACT_MODE env, else api; api falls back to dom scrolling)
+ *   source:    cosmos | arena | generic (default: picked from each gallery's url)
+ *   schedule:  daemon mode cron expression (default: SCHEDULE env, else hourly)
+ *   jitter:    daemon mode random delay in seconds added to each run (default: 120)
+ *   notify:    webhook / slack / command hooks fired after each run (default: NOTIFY_* env)
+ *   rules:     filter rules for every gallery (rules.mjs), checked after a gallery's own `rules`
+ *              and before the source's defaults
+ *   collapse:  false keeps what the source's cleanup would fold together (eg Cosmos mp4/Mux pairs)
+ *   workers:   galleries scraped at once, each in its own browser context (default: WORKERS env, else 1)
+ *   rateLimit: requests per second against the galleries' sites, all workers together
+ *              (default: RATE_LIMIT env, else 8; 0 = no limit)
+ *   hostConcurrency: post-processing fetches in flight per media host, a number or
+ *              { default, "<host>": n } (default: HOST_CONCURRENCY env, else 6)
+ *   accounts:  logged-in sessions by name, { <name>: { storageState, cookies } } (auth.mjs);
+ *              a gallery picks one with `account: <name>`, or has its own `auth:`
+ *   galleries: list of URL strings or { url, slug?, title?, outFile?, formats?, ...tunables }
+ */
+export function loadGalleryConfig(file, env = process.env) {
+  const abs = path.resolve(file);
+  const raw = parseConfigText(fs.readFileSync(abs, "utf8"), abs) || {};
+  const list = Array.isArray(raw) ? raw : raw.galleries;
+  if (!Array.isArray(list) || !list.length) {
+    throw new Error(`No galleries listed in ${abs}`);
+  }
+
+  const baseDir = path.dirname(abs);
+  const outDir = raw.outDir ? path.resolve(baseDir, raw.outDir) : DEFAULT_OUT_DIR;
+  const accounts = validateAccounts(raw.accounts, baseDir, abs);
+  const defaults = readTunables(raw.defaults || {}, envTunables(env));
+  variantOptionsFromEnv(env);
+
+  const slugs = new Set();
+  const galleries = list.map((entry, i) => {
+    const g = typeof entry === "string" ? { url: entry } : { ...entry };
+    if (!g.url) throw new Error(`Gallery #${i + 1} in ${abs} has no url`);
+
+    const slug = g.slug || slugFromUrl(g.url);
+    if (!slug) throw new Error(`Gallery #${i + 1} in ${abs} has an invalid url: ${g.url}`);
+    if (slugs.has(slug)) throw new Error(`Duplicate gallery slug "${slug}" in ${abs}`);
+    slugs.add(slug);
+
+    const formats = g.formats || raw.formats || [];
+    validateFormats(formats, `${abs} (${slug})`);
+
+    const feedShape = g.feedShape || raw.feedShape || env.FEED_SHAPE || "legacy";
+    validateFeedShape(feedShape, `${abs} (${slug})`);
+
+    const mode = g.mode || raw.mode || env.EXTRACT_MODE || "api";
+    validateMode(mode, `${abs} (${slug})`);
+
+    const source = g.source || null;
+    validateSource(source, `${abs} (${slug})`);
+
+    const rules = [
+      ...validateRules(g.rules, `${abs} (${slug})`, "gallery rule"),
+      ...validateRules(raw.rules, abs, "global rule")
+    ];
+    const collapse = g.collapse ?? raw.collapse ?? true;
+    if (typeof collapse !== "boolean") throw new Error(`collapse must be true or false in ${abs} (${slug})`);
+    validateNearDuplicates(g.nearDuplicates, `${abs} (${slug})`);
+    validateDerivatives(g.derivatives, `${abs} (${slug})`);
+    const auth = readGalleryAuth(g, accounts, baseDir, slug, `${abs} (${slug})`);
+
+    return {
+      ...g,
+      url: g.url,
+      slug,
+      feedShape,
+      mode,
+      source,
+      rules,
+      collapse,
+      auth,
+      ...readSchedule(g, raw, env, `${abs} (${slug})`),
+      outFile: g.outFile ? path.resolve(baseDir, g.outFile) : path.join(outDir, `${slug}.json`),
+      formats,
+      publicUrl: g.publicUrl || raw.publicUrl || env.PUBLIC_URL || null,
+      notify: validateNotify(g.notify ?? raw.notify ?? notifyFromEnv(env), `${abs} (${slug})`),
+      tunables: readTunables(g, defaults)
+    };
+  });
+
+  return { file: abs, outDir, galleries, accounts, ...readPool(raw, env, abs) };
+}
+
+// Legacy single-gallery mode: COSMOS_URL + OUT_FILE (+ FORMATS=rss,html,…)
+export function galleryFromEnv(env = process.env) {
+  const url = env.COSMOS_URL || "https://www.cosmos.so/rlphoto/swim";
+  const formats = (env.FORMATS || "").split(",").map(s => s.trim()).filter(Boolean);
+  validateFormats(formats, "FORMATS");
+  const feedShape = env.FEED_SHAPE || "legacy";
+  validateFeedShape(feedShape, "FEED_SHAPE");
+  const mode = env.EXTRACT_MODE || "api";
+  validateMode(mode, "EXTRACT_MODE");
+  const source = env.SOURCE || null;
+  validateSource(source, "SOURCE");
+  variantOptionsFromEnv(env);
+  const slug = slugFromUrl(url);
+  return {
+    url,
+    slug,
+    outFile: env.OUT_FILE ? path.resolve(env.OUT_FILE) : path.join(DEFAULT_OUT_DIR, "gallery.json"),
+    formats,
+    feedShape,
+    mode,
+    source,
+    auth: authFromEnv(env, slug),
+    ...readSchedule({}, {}, env, "SCHEDULE"),
+    publicUrl: env.PUBLIC_URL || null,
+    notify: validateNotify(notifyFromEnv(env), "NOTIFY_*"),
+    tunables: envTunables(env)
+  };
+}
@@ -0,0 +1,87 @@
+/**
+ * Minimal 5-field cron ("minute hour day-of-month month day-of-week"), local time.
+ * Fields take `*`, numbers, ranges `a-b`, lists `a,b` and steps `*\/n` / `a-b/n`;
+ * day-of-week 0 or 7 is Sunday. Shorthands: @hourly, @daily, @weekly, @monthly.
+ */
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 }
+];
+
+const SHORTHANDS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *"
+};
+
+function parseField(text, { name, min, max }, expr) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const m = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!m) throw new Error(`Invalid ${name} "${part}" in cron "${expr}"`);
+    const from = m[1] === "*" ? min : Number(m[2]);
+    const to = m[1] === "*" ? max : m[3] !== undefined ? Number(m[3]) : m[4] ? max : from;
+    const step = m[4] ? Number(m[4]) : 1;
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`Out of range ${name} "${part}" in cron "${expr}" (${min}-${max})`);
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+export function parseCron(expr) {
+  const text = SHORTHANDS[String(expr).trim()] || String(expr).trim();
+  const parts = text.split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Cron "${expr}" needs 5 fields (minute hour day month weekday)`);
+
+  const [minute, hour, dom, month, dow] = parts.map((p, i) => parseField(p, FIELDS[i], expr));
+  if (dow.has(7)) dow.add(0);
+  return {
+    expr: String(expr),
+    minute,
+    hour,
+    dom,
+    month,
+    dow,
+    // Standard cron: when both day fields are restricted, either may match
+    anyDay: parts[2] === "*" || parts[4] === "*"
+  };
+}
+
+function dayMatches(cron, d) {
+  const domOk = cron.dom.has(d.getDate());
+  const dowOk = cron.dow.has(d.getDay());
+  return cron.anyDay ? domOk && dowOk : domOk || dowOk;
+}
+
+// First fire time strictly after `from`
+export function nextRun(cron, from = new Date()) {
+  const d = new Date(from);
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+
+  // Four years covers every valid day/month combination (Feb 29)
+  const limit = from.getTime() + 4 * 366 * 24 * 3600 * 1000;
+  while (d.getTime() <= limit) {
+    if (!cron.month.has(d.getMonth() + 1) || !dayMatches(cron, d)) {
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hour.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minute.has(d.getMinutes())) {
+      d.setMinutes(d.getMinutes() + 1);
+      continue;
+    }
+    return d;
+  }
+  throw new Error(`Cron "${cron.expr}" never fires`);
+}
@@ -0,0 +1,270 @@
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { fileURLToPath } from "url";
+import { nextRun, parseCron } from "./cron.mjs";
+import { log } from "./log.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_HISTORY_FILE = path.resolve(__dirname, "../.cache/daemon-history.json");
+
+const HISTORY_LIMIT = 20;
+// setTimeout cannot wait longer than ~24.8 days; longer waits are re-armed
+const MAX_TIMER_MS = 2 ** 31 - 1;
+// A feed is stale when its last success is older than this many schedule intervals
+const STALE_INTERVALS = 2;
+
+function loadHistory(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8")) || {};
+  } catch {
+    return {};
+  }
+}
+
+function saveHistory(file, history) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(history, null, 2));
+}
+
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// "5m ago" / "in 2h"
+function relative(iso, now) {
+  if (!iso) return "never";
+  const secs = Math.round((Date.parse(iso) - now) / 1000);
+  const abs = Math.abs(secs);
+  const text =
+    abs < 120 ? `${abs}s` :
+    abs < 7200 ? `${Math.round(abs / 60)}m` :
+    abs < 172800 ? `${Math.round(abs / 3600)}h` :
+    `${Math.round(abs / 86400)}d`;
+  return secs > 0 ? `in ${text}` : `${text} ago`;
+}
+
+function statusPage(status) {
+  const now = Date.parse(status.now);
+  const rows = status.galleries.map(g => {
+    const last = g.lastRun;
+    const state = g.running ? "running" : g.stale ? "stale" : !last ? "pending" : last.ok ? "ok" : "failed";
+    const hyd = last?.hydration ? `${last.hydration.total} (img ${last.hydration.imgs}, video ${last.hydration.vids}, bg ${last.hydration.bg})` : "";
+    return `<tr class="${state}">
+  <td><b>${escapeHtml(g.slug)}</b><br><a href="${escapeHtml(g.url)}">${escapeHtml(g.url)}</a></td>
+  <td>${state}</td>
+  <td>${escapeHtml(relative(g.lastSuccessAt, now))}</td>
+  <td>${last ? `${escapeHtml(relative(last.finishedAt, now))}, ${(last.ms / 1000).toFixed(1)}s` : ""}</td>
+  <td>${last?.ok ? last.count : ""}</td>
+  <td>${escapeHtml(hyd)}</td>
+  <td><code>${escapeHtml(g.schedule)}</code><br>${escapeHtml(relative(g.nextRunAt, now))}</td>
+  <td>${escapeHtml(last && !last.ok ? `${last.state ? `[${last.state}] ` : ""}${last.error}` : "")}</td>
+</tr>`;
+  }).join("\n");
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta http-equiv="refresh" content="30">
+<title>Scraper status</title>
+<style>
+  body { font: 14px/1.4 system-ui, sans-serif; margin: 24px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; vertical-align: top; padding: 6px 10px; border-bottom: 1px solid #ddd; }
+  tr.ok td:nth-child(2) { color: #137333; }
+  tr.failed td:nth-child(2), tr.stale td:nth-child(2) { color: #c5221f; font-weight: bold; }
+  tr.running td:nth-child(2) { color: #1a73e8; }
+</style>
+</head>
+<body>
+<h1>Scraper status</h1>
+<p>Daemon up since ${escapeHtml(status.startedAt)} · <a href="status.json">status.json</a></p>
+<table>
+<tr><th>Gallery</th><th>State</th><th>Last success</th><th>Last run</th><th>Items</th><th>Hydration</th><th>Schedule / next</th><th>Error</th></tr>
+${rows}
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Scheduler daemon: each gallery re-scrapes on its own cron schedule (`schedule`, plus up to
+ * `jitter` seconds of random delay). A run that is still going when its next slot comes up is
+ * skipped, never doubled. Recent runs are kept per gallery (and on disk, across restarts) and
+ * served on http://<host>:<port>/ (HTML) and /status.json.
+ *
+ * run(gallery) does the actual scrape and resolves to { count, pageState?, hydration?, ordering? }; a thrown
+ * error may carry `hydration` and `pageState`.
+ */
+export function startDaemon(galleries, {
+  run,
+  port = 8787,
+  host = "127.0.0.1",
+  historyFile = DEFAULT_HISTORY_FILE
+} = {}) {
+  const startedAt = new Date().toISOString();
+  const history = loadHistory(historyFile);
+  const slots = new Map();
+  let stopped = false;
+
+  for (const gallery of galleries) {
+    slots.set(gallery.slug, {
+      gallery,
+      cron: parseCron(gallery.schedule),
+      jitterMs: (gallery.jitter || 0) * 1000,
+      running: null,
+      nextRunAt: null,
+      timer: null
+    });
+    history[gallery.slug] ??= [];
+  }
+
+  function record(slug, entry) {
+    history[slug] = [entry, ...history[slug]].slice(0, HISTORY_LIMIT);
+    try {
+      saveHistory(historyFile, history);
+    } catch (e) {
+      const error = String(e?.message || e).slice(0, 200);
+      log.warn("daemon.history-failed", `⚠️  Could not save run history: ${error}`, { error });
+    }
+  }
+
+  async function fire(slot) {
+    const { slug } = slot.gallery;
+    schedule(slot);
+
+    if (slot.running) {
+      log.warn("daemon.skip", `⏭️  ${slug}: previous run (started ${slot.running}) still going, skipping this slot`, {
+        gallery: slug,
+        runningSince: slot.running
+      });
+      return;
+    }
+
+    slot.running = new Date().toISOString();
+    const started = Date.now();
+    log.info("daemon.run", `\n=== ${slug} → ${slot.gallery.url} (scheduled)`, { gallery: slug, url: slot.gallery.url });
+    let entry;
+    try {
+      const res = await run(slot.gallery);
+      entry = { ok: true, count: res.count, state: res.pageState?.state || null, hydration: res.hydration || null, ordering: res.ordering || null };
+    } catch (e) {
+      const error = String(e?.message || e).slice(0, 300);
+      log.error("daemon.failed", `❌ ${slug} failed: ${error}`, { gallery: slug, error });
+      entry = { ok: false, error, state: e?.pageState?.state || null, hydration: e?.hydration || null };
+    }
+    record(slug, {
+      startedAt: slot.running,
+      finishedAt: new Date().toISOString(),
+      ms: Date.now() - started,
+      ...entry
+    });
+    slot.running = null;
+  }
+
+  function schedule(slot) {
+    if (stopped) return;
+    const at = nextRun(slot.cron).getTime() + Math.round(Math.random() * slot.jitterMs);
+    slot.nextRunAt = new Date(at).toISOString();
+    arm(slot, at);
+  }
+
+  function arm(slot, at) {
+    clearTimeout(slot.timer);
+    const wait = at - Date.now();
+    slot.timer = wait > MAX_TIMER_MS
+      ? setTimeout(() => arm(slot, at), MAX_TIMER_MS)
+      : setTimeout(() => fire(slot).catch(() => {}), Math.max(0, wait));
+  }
+
+  function status() {
+    const now = Date.now();
+    return {
+      startedAt,
+      now: new Date(now).toISOString(),
+      galleries: [...slots.values()].map(slot => {
+        const { gallery, cron } = slot;
+        const runs = history[gallery.slug] || [];
+        const lastSuccessAt = runs.find(r => r.ok)?.finishedAt || null;
+
+        // One schedule interval = gap between the next two slots
+        const next = nextRun(cron, new Date(now));
+        const intervalMs = nextRun(cron, next).getTime() - next.getTime();
+        const staleAfter = STALE_INTERVALS * intervalMs + slot.jitterMs;
+        const since = Date.parse(lastSuccessAt || startedAt);
+
+        return {
+          slug: gallery.slug,
+          url: gallery.url,
+          outFile: gallery.outFile,
+          schedule: cron.expr,
+          jitter: slot.jitterMs / 1000,
+          nextRunAt: slot.nextRunAt,
+          running: !!slot.running,
+          runningSince: slot.running,
+          lastSuccessAt,
+          stale: now - since > staleAfter,
+          lastRun: runs[0] || null,
+          history: runs
+        };
+      })
+    };
+  }
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      res.writeHead(405, { Allow: "GET, HEAD" }).end();
+      return;
+    }
+    if (url.pathname === "/status.json") {
+      res.writeHead(200, { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" });
+      res.end(JSON.stringify(status(), null, 2));
+      return;
+    }
+    if (url.pathname === "/") {
+      res.writeHead(200, { "Content-Type": "text/html; charset=utf-8", "Cache-Control": "no-store" });
+      res.end(statusPage(status()));
+      return;
+    }
+    res.writeHead(404, { "Content-Type": "text/plain" }).end("Not found\n");
+  });
+  server.listen(port, host, () => {
+    const { port: boundPort } = server.address();
+    log.info("daemon.start", `🕰️  Daemon: ${slots.size} galleries scheduled, status on http://${host}:${boundPort}/`, {
+      galleries: slots.size,
+      host,
+      port: boundPort
+    });
+  });
+
+  for (const slot of slots.values()) {
+    schedule(slot);
+    log.info("daemon.schedule", `  ${slot.gallery.slug}: "${slot.cron.expr}" (+≤${slot.jitterMs / 1000}s), next ${slot.nextRunAt}`, {
+      gallery: slot.gallery.slug,
+      schedule: slot.cron.expr,
+      jitter: slot.jitterMs / 1000,
+      nextRunAt: slot.nextRunAt
+    });
+  }
+
+  return {
+    server,
+    status,
+    // Stop scheduling and wait for runs in progress
+    async stop() {
+      stopped = true;
+      for (const slot of slots.values()) clearTimeout(slot.timer);
+      await new Promise(resolve => server.close(resolve));
+      while ([...slots.values()].some(s => s.running)) await new Promise(r => setTimeout(r, 500));
+    }
+  };
+}
@@ -0,0 +1,201 @@
+import { spawn } from "child_process";
+import fs from "fs";
+import path from "path";
+import { mapLimit } from "./concurrency.mjs";
+import { log as rootLog } from "./log.mjs";
+import { MEDIA_DIR } from "./mirror.mjs";
+
+/**
+ * Derived files live next to the mirror, keyed by the source's content hash:
+ *   media/derived/<sha256>/<width>.<format>   resized variants
+ *   media/derived/<sha256>/poster.jpg         frame grabbed from a video
+ * Anything already on disk is reused, so re-runs only process new media.
+ */
+export const DERIVED_DIR = "derived";
+
+export const DEFAULT_VARIANT_WIDTHS = [320, 640, 1280, 1920];
+export const DEFAULT_VARIANT_FORMATS = ["webp", "jpg"];
+
+const MIME_BY_FORMAT = { webp: "image/webp", jpg: "image/jpeg", avif: "image/avif" };
+// Formats a variant can have (the feed schema's enum)
+export const VARIANT_FORMATS = Object.keys(MIME_BY_FORMAT);
+const LQIP_WIDTH = 16;
+
+function validateVariantWidths(widths, where) {
+  if (!Array.isArray(widths) || !widths.length || !widths.every(w => Number.isInteger(w) && w > 0)) {
+    throw new Error(`Variant widths must be a list of whole numbers of pixels ≥ 1 in ${where} (got ${widths})`);
+  }
+}
+
+function validateVariantFormats(formats, where) {
+  if (!Array.isArray(formats) || !formats.length) throw new Error(`Variant formats must be a list in ${where}`);
+  for (const f of formats) {
+    if (!VARIANT_FORMATS.includes(f)) {
+      throw new Error(`Unknown variant format "${f}" in ${where}, expected ${VARIANT_FORMATS.join(" | ")}`);
+    }
+  }
+}
+
+// VARIANT_WIDTHS / VARIANT_FORMATS (comma-separated), the defaults when unset
+export function variantOptionsFromEnv(env = process.env) {
+  const list = (value) => (value || "").split(",").map(s => s.trim()).filter(Boolean);
+  const widthList = list(env.VARIANT_WIDTHS);
+  const formatList = list(env.VARIANT_FORMATS);
+  const widths = widthList.length ? widthList.map(Number) : DEFAULT_VARIANT_WIDTHS;
+  const formats = formatList.length ? formatList : DEFAULT_VARIANT_FORMATS;
+  validateVariantWidths(widths, "VARIANT_WIDTHS");
+  validateVariantFormats(formats, "VARIANT_FORMATS");
+  return { widths, formats };
+}
+
+// Config check for `derivatives: true | { widths, formats }`
+export function validateDerivatives(value, where) {
+  if (value === undefined || value === null || typeof value === "boolean") return;
+  if (typeof value !== "object" || Array.isArray(value)) {
+    throw new Error(`derivatives must be true, false or { widths, formats } in ${where}`);
+  }
+  if (value.widths !== undefined) validateVariantWidths(value.widths, where);
+  if (value.formats !== undefined) validateVariantFormats(value.formats, where);
+}
+
+// sharp is only loaded when a gallery actually asks for derivatives or near-duplicate detection
+let sharpModule = null;
+export async function loadSharp() {
+  sharpModule ??= (await import("sharp")).default;
+  return sharpModule;
+}
+
+let ffmpegMissing = false;
+
+function runFfmpeg(args) {
+  const bin = process.env.FFMPEG_PATH || "ffmpeg";
+  return new Promise((resolve, reject) => {
+    const proc = spawn(bin, args, { stdio: ["ignore", "ignore", "pipe"] });
+    let stderr = "";
+    proc.stderr.on("data", (d) => { stderr = (stderr + d).slice(-2000); });
+    proc.on("error", reject);
+    proc.on("close", (code) => (code === 0 ? resolve() : reject(new Error(`ffmpeg exited ${code}: ${stderr.trim().split("\n").pop()}`))));
+  });
+}
+
+// One frame from the video (a file or URL), a little way in so we skip black lead-in frames
+export async function extractPosterFrame(videoFile, outFile, duration = 0) {
+  if (fs.existsSync(outFile)) return true;
+  if (ffmpegMissing) return false;
+  const at = duration ? Math.min(1, duration / 2) : 0;
+  try {
+    await runFfmpeg(["-v", "error", "-ss", String(at), "-i", videoFile, "-frames:v", "1", "-q:v", "2", "-y", outFile]);
+    return fs.existsSync(outFile);
+  } catch (e) {
+    if (e.code === "ENOENT") {
+      ffmpegMissing = true;
+      rootLog.warn("derivatives.no-ffmpeg", "⚠️  ffmpeg not found (set FFMPEG_PATH); skipping video poster frames");
+    } else {
+      const error = String(e.message).slice(0, 200);
+      rootLog.warn("derivatives.poster-failed", `⚠️  Poster frame failed for ${videoFile}: ${error}`, { file: videoFile, error });
+    }
+    return false;
+  }
+}
+
+// Widths to render: never upscale, but always give at least one variant
+function targetWidths(widths, originalWidth) {
+  const fit = widths.filter(w => w <= originalWidth);
+  return fit.length ? fit : [originalWidth];
+}
+
+async function renderVariants(sharp, sourceFile, dir, { widths, formats, urlFor }) {
+  const meta = await sharp(sourceFile).rotate().metadata();
+  const rotated = (meta.orientation || 1) >= 5;
+  const origW = rotated ? meta.height : meta.width;
+  const origH = rotated ? meta.width : meta.height;
+  if (!origW || !origH) return [];
+
+  const variants = [];
+  for (const width of targetWidths(widths, origW)) {
+    const height = Math.round((origH * width) / origW);
+    for (const format of formats) {
+      const file = path.join(dir, `${width}.${format}`);
+      if (!fs.existsSync(file)) {
+        await sharp(sourceFile).rotate().resize({ width }).toFormat(format === "jpg" ? "jpeg" : format, { quality: 80 }).toFile(file);
+      }
+      variants.push({ src: urlFor(file), width, height, format, type: MIME_BY_FORMAT[format] });
+    }
+  }
+  return variants;
+}
+
+// Tiny inline placeholder plus a blurhash computed from the same pixels
+async function placeholders(sharp, sourceFile) {
+  const lqip = await sharp(sourceFile).rotate().resize({ width: LQIP_WIDTH }).webp({ quality: 40 }).toBuffer();
+  const { data, info } = await sharp(sourceFile).rotate().resize(32, 32, { fit: "inside" }).ensureAlpha().raw()
+    .toBuffer({ resolveWithObject: true });
+  const { encode } = await import("blurhash");
+  return {
+    lqip: `data:image/webp;base64,${lqip.toString("base64")}`,
+    blurhash: encode(new Uint8ClampedArray(data), info.width, info.height, 4, 3)
+  };
+}
+
+/**
+ * Post-processing stage (after mirroring): srcset-ready `variants` for every mirrored image,
+ * and for videos a locally extracted `posterFrame` with variants of that frame.
+ * Also fills `lqip` and, when Cosmos did not give us one, `blurhash`.
+ */
+export async function deriveItems(items, {
+  outDir,
+  publicUrl = null,
+  widths = DEFAULT_VARIANT_WIDTHS,
+  formats = DEFAULT_VARIANT_FORMATS,
+  concurrency = 2,
+  log = rootLog
+} = {}) {
+  const sharp = await loadSharp();
+  const mediaDir = path.join(outDir, MEDIA_DIR);
+  const urlFor = (file) => {
+    const rel = path.relative(outDir, file).split(path.sep).join("/");
+    return publicUrl ? new URL(rel, publicUrl.replace(/\/?$/, "/")).href : rel;
+  };
+  let done = 0;
+  let skipped = 0;
+
+  const out = await mapLimit(items, concurrency, async (it) => {
+    if (!it.mirrorSrc) {
+      skipped++;
+      return it;
+    }
+    const mirrored = path.join(mediaDir, path.basename(new URL(it.mirrorSrc, "file:///").pathname));
+    const sha = path.basename(mirrored).split(".")[0];
+    const dir = path.join(mediaDir, DERIVED_DIR, sha);
+    fs.mkdirSync(dir, { recursive: true });
+
+    try {
+      const next = { ...it };
+      let still = mirrored;
+      if (it.type === "video") {
+        const frame = path.join(dir, "poster.jpg");
+        if (!(await extractPosterFrame(mirrored, frame, it.duration))) {
+          skipped++;
+          return it;
+        }
+        next.posterFrame = urlFor(frame);
+        still = frame;
+      }
+
+      next.variants = await renderVariants(sharp, still, dir, { widths, formats, urlFor });
+      const ph = await placeholders(sharp, still);
+      next.lqip = ph.lqip;
+      if (!next.blurhash) next.blurhash = ph.blurhash;
+      done++;
+      return next;
+    } catch (e) {
+      skipped++;
+      const error = String(e?.message || e).slice(0, 200);
+      log.warn("derivatives.failed", `⚠️  Derivatives failed for ${it.src}: ${error}`, { url: it.src, error });
+      return it;
+    }
+  });
+
+  log.info("derivatives", `🖼️  Derivatives: ${done} items processed, ${skipped} skipped`, { done, skipped });
+  return out;
+}
@@ -0,0 +1,76 @@
+import fs from "fs";
+import { itemKey } from "./keys.mjs";
+
+// Items of the feed currently on disk (null when there is no readable previous feed)
+export function readPreviousFeed(file) {
+  try {
+    const feed = JSON.parse(fs.readFileSync(file, "utf8"));
+    return Array.isArray(feed?.items) ? feed.items : null;
+  } catch {
+    return null;
+  }
+}
+
+export function diffReportPath(outFile) {
+  return outFile.replace(/\.json$/i, "") + ".diff.json";
+}
+
+// Indices (into seq) of one longest strictly increasing subsequence
+function longestIncreasingRun(seq) {
+  const tails = [];
+  const prev = new Array(seq.length).fill(-1);
+  for (let i = 0; i < seq.length; i++) {
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (seq[tails[mid]] < seq[i]) lo = mid + 1;
+      else hi = mid;
+    }
+    if (lo > 0) prev[i] = tails[lo - 1];
+    tails[lo] = i;
+  }
+  const keep = new Set();
+  for (let i = tails[tails.length - 1] ?? -1; i >= 0; i = prev[i]) keep.add(i);
+  return keep;
+}
+
+/**
+ * Compare two ordered item lists by dedupe key: the source adapter's `itemKey` when given (as
+ * the dedupe pass uses), else the default one.
+ * - added/removed: keys only present on one side
+ * - reordered: items present on both sides that moved relative to the others
+ *   (everything outside the longest run that kept its relative order)
+ */
+export function diffFeeds(previousItems, nextItems, source = null) {
+  const keyOf = source?.itemKey || itemKey;
+  const prev = (previousItems || []).map((it, index) => ({ key: keyOf(it.type, it.src), src: it.src, index }));
+  const next = nextItems.map((it, index) => ({ key: keyOf(it.type, it.src), src: it.src, index }));
+
+  const prevByKey = new Map(prev.map(e => [e.key, e]));
+  const nextByKey = new Map(next.map(e => [e.key, e]));
+
+  const added = next.filter(e => !prevByKey.has(e.key));
+  const removed = prev.filter(e => !nextByKey.has(e.key));
+
+  const common = next.filter(e => prevByKey.has(e.key));
+  const stable = longestIncreasingRun(common.map(e => prevByKey.get(e.key).index));
+  const reordered = common
+    .filter((_, i) => !stable.has(i))
+    .map(e => ({ key: e.key, src: e.src, from: prevByKey.get(e.key).index, to: e.index }));
+
+  return {
+    previousCount: prev.length,
+    count: next.length,
+    unchanged: common.length - reordered.length,
+    added,
+    removed,
+    reordered
+  };
+}
+
+// Percentage of the previous feed that would disappear (0 when the feed grows or is new)
+export function dropPercent(diff) {
+  if (!diff.previousCount || diff.count >= diff.previousCount) return 0;
+  return ((diff.previousCount - diff.count) / diff.previousCount) * 100;
+}
@@ -0,0 +1,168 @@
+import { VIDEO_EXT_RE, clampDim, guessMediaType, normaliseURL } from "./filters.mjs";
+import { evaluateRules, rulesetOf } from "./rules.mjs";
+
+export const JSON_MEDIA_CONTAINER_KEYS = new Set([
+  "media",
+  "multipleMedia",
+  "image",
+  "images",
+  "video",
+  "videos",
+  "poster",
+  "thumbnail",
+  "mux",
+  "asset",
+  "assets"
+]);
+
+export const JSON_MEDIA_TYPE_NAMES = new Set([
+  "StaticImage",
+  "AnimatedImage",
+  "Video",
+  "MuxVideo",
+  "Thumbnail",
+  "Mux"
+]);
+
+export function collectMediaUrlsFromJson(value, out = new Set(), path = []) {
+  if (!value) return out;
+
+  if (typeof value === "string") {
+    const parent = path[path.length - 1];
+    if (JSON_MEDIA_CONTAINER_KEYS.has(parent)) out.add(value);
+    return out;
+  }
+
+  if (Array.isArray(value)) {
+    value.forEach((item) => collectMediaUrlsFromJson(item, out, path));
+    return out;
+  }
+
+  if (typeof value !== "object") return out;
+
+  const pathHasMediaContainer = path.some((part) => JSON_MEDIA_CONTAINER_KEYS.has(part));
+  const typeName = typeof value.__typename === "string" ? value.__typename : "";
+
+  if (typeof value.url === "string" && (pathHasMediaContainer || JSON_MEDIA_TYPE_NAMES.has(typeName))) {
+    out.add(value.url);
+  }
+  if (typeof value.src === "string" && (pathHasMediaContainer || JSON_MEDIA_TYPE_NAMES.has(typeName))) {
+    out.add(value.src);
+  }
+  if (typeof value.poster === "string") {
+    out.add(value.poster);
+  }
+  if (typeof value.mp4Url === "string" && (pathHasMediaContainer || JSON_MEDIA_TYPE_NAMES.has(typeName))) {
+    out.add(value.mp4Url);
+  }
+  if (typeof value.playbackUrl === "string" && (pathHasMediaContainer || JSON_MEDIA_TYPE_NAMES.has(typeName))) {
+    out.add(value.playbackUrl);
+  }
+
+  for (const [key, child] of Object.entries(value)) {
+    if (key === "url" || key === "src" || key === "poster" || key === "mp4Url" || key === "playbackUrl" || key === "__typename") continue;
+    collectMediaUrlsFromJson(child, out, [...path, key]);
+  }
+
+  return out;
+}
+
+// All URLs worth looking at in a JSON response body (falls back to a raw URL scan if it isn't JSON)
+export function mediaUrlsFromJsonText(text) {
+  try {
+    return [...collectMediaUrlsFromJson(JSON.parse(text))];
+  } catch {
+    return text.match(/https?:\/\/[^\s"'\\)]+/g) || [];
+  }
+}
+
+/**
+ * Verdict of the gallery's filter rules (rules.mjs) on a URL: { ok, rule, detail, excluded }.
+ * Dropped URLs get a report rule (see report.mjs) with the rule that matched as `detail`; kept
+ * ones the include rule that let them through. `fields`: { origin, raw, width, height }.
+ */
+export function filterVerdict(url, source, type, fields = {}) {
+  return evaluateRules(rulesetOf(source), { url, type, ...fields });
+}
+
+// True when an exclude rule drops the URL whatever its type (junk, UI assets, thumbnails, …).
+// defaultsOnly: the source's own rules, not the gallery's
+export function isExcludedUrl(url, source, { defaultsOnly = false, origin = "network" } = {}) {
+  return evaluateRules(rulesetOf(source, { defaultsOnly }), { url, type: "unknown", origin }).excluded;
+}
+
+/**
+ * Normalised URL if a network-sourced URL passes the filters, otherwise null.
+ * origin: where the URL was seen ("network" response, URL inside a "json" body, "api" page);
+ * width/height when the API told us.
+ */
+export function acceptNetworkUrl(url, source, tally = null, { origin = "network", width = 0, height = 0 } = {}) {
+  const norm = normaliseURL(url);
+  if (!norm) return null;
+
+  const verdict = filterVerdict(norm, source, guessMediaType(norm), { origin, width, height });
+  const where = { origin, stage: "capture", detail: verdict.detail, raw: url };
+  if (!verdict.ok) {
+    tally?.add(verdict.rule, norm, where);
+    return null;
+  }
+  tally?.keep(verdict.rule, norm, where);
+  return norm;
+}
+
+// Turn a raw DOM capture into a positional item (or null when it is filtered out)
+export function acceptDomItem(it, base, source, tally = null) {
+  if (!it?.src) return null;
+  const norm0 = normaliseURL(it.src, base);
+  if (!norm0) return null;
+
+  const width = clampDim(it.width, 0);
+  const height = clampDim(it.height, 0);
+  const verdict = filterVerdict(norm0, source, guessMediaType(norm0, it.type), { origin: "dom", raw: it.src, width, height });
+  const where = { origin: "dom", stage: "capture", detail: verdict.detail, raw: it.src };
+  if (!verdict.ok) {
+    tally?.add(verdict.rule, norm0, where);
+    return null;
+  }
+  tally?.keep(verdict.rule, norm0, where);
+
+  const isVideo = VIDEO_EXT_RE.test(new URL(norm0).pathname);
+  return {
+    type: isVideo ? "video" : "image",
+    src: norm0,
+    poster: it.poster ? normaliseURL(it.poster, base) : null,
+    top: Number(it.top) || 0,
+    left: Number(it.left) || 0,
+    width,
+    height
+  };
+}
+
+// Remember a DOM item by src, keeping the best (largest non-zero) dims seen so far
+export function mergeDomItem(foundMap, item) {
+  const existing = foundMap.get(item.src);
+  if (!existing) {
+    foundMap.set(item.src, {
+      type: item.type,
+      src: item.src,
+      origin: "dom",
+      poster: null,
+      width: item.width,
+      height: item.height
+    });
+    return;
+  }
+  existing.origin = "dom";
+  if ((!existing.width || existing.width < item.width) && item.width) existing.width = item.width;
+  if ((!existing.height || existing.height < item.height) && item.height) existing.height = item.height;
+}
+
+// Network URLs (already through the filters) that the DOM never showed
+export function mergeNetworkToMap(netFound, foundMap) {
+  for (const u of netFound) {
+    if (foundMap.has(u)) continue;
+    let isVideo = false;
+    try { isVideo = VIDEO_EXT_RE.test(new URL(u).pathname); } catch {}
+    foundMap.set(u, { type: isVideo ? "video" : "image", src: u, origin: "network", width: 0, height: 0 });
+  }
+}
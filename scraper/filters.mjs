@@ -0,0 +1,55 @@
+import { muxPlaybackIdFromUrl } from "./keys.mjs";
+
+// Host-independent URL helpers; per-site filter rules live in sources/ (see rules.mjs)
+
+// Media patterns
+export const IMAGE_EXT_RE = /\.(jpe?g|png|webp|gif|avif|heic)(\?|$)/i;
+export const VIDEO_EXT_RE = /\.(mp4|webm|m4v|mov)(\?|$)/i;
+export const MEDIA_EXT_RE = /\.(jpe?g|png|webp|gif|avif|mp4|webm|m4v|mov|heic)(\?|$)/i;
+export const M3U8_EXT_RE  = /\.m3u8(\?|$)/i;
+
+// The same extensions as lists, for filter rules (rules.mjs)
+export const IMAGE_EXTS = ["jpg", "jpeg", "png", "webp", "gif", "avif", "heic"];
+export const VIDEO_EXTS = ["mp4", "webm", "m4v", "mov"];
+export const MEDIA_EXTS = [...IMAGE_EXTS, ...VIDEO_EXTS];
+
+// Normalise URL (strip query/hash, keep extension)
+export function normaliseURL(src, base) {
+  try {
+    const u = new URL(src, base);
+    u.search = "";
+    u.hash = "";
+    return `${u.protocol}//${u.host}${u.pathname}`;
+  } catch {
+    return null;
+  }
+}
+
+// Lowercased extension of the last path segment ("" when it has none)
+export function fileExtension(pathname) {
+  const last = (pathname || "").split("/").filter(Boolean).pop() || "";
+  return /\.([a-z0-9]{2,5})$/i.exec(last)?.[1].toLowerCase() || "";
+}
+
+export function isMuxVideo(urlStr) {
+  return !!muxPlaybackIdFromUrl(urlStr);
+}
+
+export function clampDim(n, fallback = 0) {
+  const x = Number(n) || 0;
+  if (!isFinite(x) || x <= 0) return fallback;
+  // avoid silly huge numbers from bad DOM states
+  return Math.min(Math.max(Math.floor(x), 1), 20000);
+}
+
+// Best guess at the media type of a URL: extension first, then what the source told us
+export function guessMediaType(urlStr, fallbackType = "unknown") {
+  try {
+    const p = new URL(urlStr).pathname || "";
+    if (IMAGE_EXT_RE.test(p)) return "image";
+    if (VIDEO_EXT_RE.test(p)) return "video";
+    if (M3U8_EXT_RE.test(p)) return "video";
+  } catch {}
+  if (fallbackType === "image" || fallbackType === "video") return fallbackType;
+  return "unknown";
+}
@@ -0,0 +1,110 @@
+import fs from "fs";
+import path from "path";
+import { diffFeeds } from "./diff.mjs";
+
+/**
+ * Fixture directory layout (one per gallery, eg fixtures/swim/):
+ *   index.json     { url, responses: [{ method, url, postData?, status, headers, body }] }
+ *   bodies/…       response bodies referenced by `body` (relative to the fixture dir)
+ *   expected.json  optional feed to compare against; the run writes actual.json next to it
+ */
+export const FIXTURE_INDEX = "index.json";
+
+export function fixtureDirFor(root, slug) {
+  const perGallery = path.join(root, slug);
+  return fs.existsSync(path.join(perGallery, FIXTURE_INDEX)) ? perGallery : root;
+}
+
+export function loadFixtureIndex(dir) {
+  const file = path.join(dir, FIXTURE_INDEX);
+  const index = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(index?.responses)) throw new Error(`${file} has no responses list`);
+  return index;
+}
+
+function stripQuery(urlStr) {
+  try {
+    const u = new URL(urlStr);
+    return `${u.protocol}//${u.host}${u.pathname}`;
+  } catch {
+    return urlStr;
+  }
+}
+
+/**
+ * Lookup for recorded responses, most specific match first:
+ * method + url + post body, then method + url, then url without query.
+ * Repeated requests for the same key are answered in recorded order (the last one repeats),
+ * which is what paginated POSTs to a single API endpoint need.
+ */
+export function createFixtureResolver(index) {
+  const buckets = new Map();
+  const cursors = new Map();
+
+  const add = (key, entry) => {
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(entry);
+  };
+
+  for (const entry of index.responses) {
+    const method = (entry.method || "GET").toUpperCase();
+    add(`${method} ${entry.url} ${entry.postData || ""}`, entry);
+    add(`${method} ${entry.url}`, entry);
+    add(`* ${stripQuery(entry.url)}`, entry);
+  }
+
+  return (method, url, postData = "") => {
+    const m = (method || "GET").toUpperCase();
+    for (const key of [`${m} ${url} ${postData || ""}`, `${m} ${url}`, `* ${stripQuery(url)}`]) {
+      const list = buckets.get(key);
+      if (!list) continue;
+      const i = cursors.get(key) || 0;
+      cursors.set(key, i + 1);
+      return list[Math.min(i, list.length - 1)];
+    }
+    return null;
+  };
+}
+
+export function readFixtureBody(dir, entry) {
+  if (!entry.body) return Buffer.alloc(0);
+  return fs.readFileSync(path.join(dir, entry.body));
+}
+
+// Headers that no longer describe the body once it sits decoded on disk
+const DROP_HEADERS = new Set(["content-encoding", "content-length", "transfer-encoding"]);
+
+// Serve every request of a browser context from the fixture dir; anything unrecorded is a 404
+export async function routeFixtures(context, dir) {
+  const resolve = createFixtureResolver(loadFixtureIndex(dir));
+
+  await context.route("**/*", async (route) => {
+    const req = route.request();
+    const entry = resolve(req.method(), req.url(), req.postData());
+    if (!entry) {
+      await route.fulfill({ status: 404, body: "" });
+      return;
+    }
+
+    const headers = {};
+    for (const [k, v] of Object.entries(entry.headers || {})) {
+      if (!DROP_HEADERS.has(k.toLowerCase())) headers[k] = v;
+    }
+    await route.fulfill({ status: entry.status || 200, headers, body: readFixtureBody(dir, entry) });
+  });
+}
+
+/**
+ * Write actual.json into the fixture dir and compare it with expected.json (if present).
+ * Items must match exactly, in order; the diff of a mismatch is keyed like the gallery's source.
+ */
+export function checkFixtureOutput(dir, items, source = null) {
+  fs.writeFileSync(path.join(dir, "actual.json"), JSON.stringify({ count: items.length, items }, null, 2));
+
+  const expectedFile = path.join(dir, "expected.json");
+  if (!fs.existsSync(expectedFile)) return { compared: false, ok: true };
+
+  const expected = JSON.parse(fs.readFileSync(expectedFile, "utf8")).items || [];
+  const ok = JSON.stringify(expected) === JSON.stringify(items);
+  return { compared: true, ok, diff: ok ? null : diffFeeds(expected, items, source) };
+}
@@ -0,0 +1,276 @@
+import fs from "fs";
+import path from "path";
+import { MEDIA_DIR } from "./mirror.mjs";
+import { sourceFor } from "./sources/index.mjs";
+
+// Optional per-item fields, in the order they appear in tabular exports
+const ITEM_FIELDS = [
+  "type", "src", "mirrorSrc", "width", "height", "aspectRatio", "duration", "hasAudio",
+  "poster", "id", "title", "caption", "sourceUrl", "createdAt", "dominantColor", "blurhash"
+];
+
+const MIME_BY_EXT = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+  gif: "image/gif",
+  avif: "image/avif",
+  heic: "image/heic",
+  mp4: "video/mp4",
+  m4v: "video/mp4",
+  webm: "video/webm",
+  mov: "video/quicktime"
+};
+
+// From the URL's extension, else the source's type for extensionless images
+export function mimeTypeOf(item, source = null) {
+  try {
+    const { pathname } = new URL(item.src);
+    const last = pathname.split("/").pop() || "";
+    const ext = last.includes(".") ? last.split(".").pop().toLowerCase() : "";
+    if (MIME_BY_EXT[ext]) return MIME_BY_EXT[ext];
+    if (item.type === "image" && !ext && source?.extensionlessImageType) return source.extensionlessImageType;
+  } catch {}
+  return item.type === "video" ? "video/mp4" : "application/octet-stream";
+}
+
+function escapeXml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+const escapeHtml = escapeXml;
+
+function feedTitle(gallery) {
+  return gallery.title || gallery.slug;
+}
+
+// `author:` of the gallery, else the board's owner (the first URL path segment on Cosmos and
+// Are.na), else the site's host
+function feedAuthor(gallery) {
+  if (gallery.author) return gallery.author;
+  try {
+    const u = new URL(gallery.url);
+    const segments = u.pathname.split("/").filter(Boolean);
+    return segments.length > 1 ? decodeURIComponent(segments[0]) : u.host;
+  } catch {
+    return feedTitle(gallery);
+  }
+}
+
+// Size of the item's mirrored copy next to the feed file, or null when it has none on disk
+function mirroredBytes(item, file) {
+  if (!item.mirrorSrc) return null;
+  try {
+    const name = path.basename(new URL(item.mirrorSrc, "file:///").pathname);
+    return fs.statSync(path.join(path.dirname(file), MEDIA_DIR, name)).size;
+  } catch {
+    return null;
+  }
+}
+
+function itemTitle(item, i) {
+  return item.title || item.caption || `${item.type === "video" ? "Video" : "Image"} ${i + 1}`;
+}
+
+function itemDate(item, fallback) {
+  const d = item.createdAt ? new Date(item.createdAt) : null;
+  return d && !isNaN(d) ? d : fallback;
+}
+
+// Absolute URL of an output file when the gallery knows where public/ is served from
+function publicUrlOf(gallery, file) {
+  return gallery.publicUrl ? new URL(path.basename(file), gallery.publicUrl.replace(/\/?$/, "/")).href : null;
+}
+
+function mediaHtml(item, source) {
+  const alt = escapeHtml(item.title || item.caption || "");
+  if (item.type === "video") {
+    const poster = item.poster ? ` poster="${escapeHtml(item.poster)}"` : "";
+    // Browsers that cannot play HLS natively skip to the first MP4 (src last, in case there is none)
+    if (item.sources?.length) {
+      const list = item.sources.some(s => s.src === item.src) ? item.sources : [...item.sources, { src: item.src, type: mimeTypeOf(item, source) }];
+      const sources = list.map(s => `<source src="${escapeHtml(s.src)}" type="${escapeHtml(s.type)}">`).join("");
+      return `<video${poster} muted loop playsinline controls>${sources}</video>`;
+    }
+    return `<video src="${escapeHtml(item.src)}"${poster} muted loop playsinline controls></video>`;
+  }
+  return `<img src="${escapeHtml(item.src)}" alt="${alt}" loading="lazy">`;
+}
+
+function toJsonFeed(gallery, items, { file, source }) {
+  const feedUrl = publicUrlOf(gallery, file);
+  return JSON.stringify({
+    version: "https://jsonfeed.org/version/1.1",
+    title: feedTitle(gallery),
+    home_page_url: gallery.url,
+    ...(feedUrl ? { feed_url: feedUrl } : {}),
+    items: items.map((it, i) => ({
+      id: it.id || it.src,
+      url: it.sourceUrl || it.src,
+      title: itemTitle(it, i),
+      ...(it.caption ? { content_text: it.caption } : {}),
+      content_html: mediaHtml(it, source),
+      ...(it.type === "image" ? { image: it.src } : it.poster ? { image: it.poster } : {}),
+      ...(itemDate(it, null) ? { date_published: itemDate(it, null).toISOString() } : {}),
+      attachments: [{ url: it.src, mime_type: mimeTypeOf(it, source), ...(it.duration ? { duration_in_seconds: it.duration } : {}) }],
+      _cosmos: Object.fromEntries(ITEM_FIELDS.filter(k => it[k] !== undefined).map(k => [k, it[k]]))
+    }))
+  }, null, 2);
+}
+
+function mediaContentXml(it, source) {
+  const dims = it.width && it.height ? ` width="${it.width}" height="${it.height}"` : "";
+  const duration = it.duration ? ` duration="${Math.round(it.duration)}"` : "";
+  const medium = it.type === "video" ? "video" : "image";
+  return `<media:content url="${escapeXml(it.src)}" type="${mimeTypeOf(it, source)}" medium="${medium}"${dims}${duration} />`;
+}
+
+// Items without a known creation date get no pubDate rather than a fake one, and an enclosure
+// only when their size is known (a mirrored copy): media:content carries the media either way
+function toRss(gallery, items, { file, now, source }) {
+  const selfUrl = publicUrlOf(gallery, file);
+  const enclosure = (it) => {
+    const bytes = mirroredBytes(it, file);
+    return bytes === null ? "" : `      <enclosure url="${escapeXml(it.src)}" type="${mimeTypeOf(it, source)}" length="${bytes}" />\n`;
+  };
+  const entries = items.map((it, i) => `    <item>
+      <title>${escapeXml(itemTitle(it, i))}</title>
+      <link>${escapeXml(it.sourceUrl || it.src)}</link>
+      <guid isPermaLink="false">${escapeXml(it.id || it.src)}</guid>
+${itemDate(it, null) ? `      <pubDate>${itemDate(it, null).toUTCString()}</pubDate>\n` : ""}${it.caption ? `      <description>${escapeXml(it.caption)}</description>\n` : ""}${enclosure(it)}      ${mediaContentXml(it, source)}
+    </item>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:media="http://search.yahoo.com/mrss/" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(feedTitle(gallery))}</title>
+    <link>${escapeXml(gallery.url)}</link>
+    <description>${escapeXml(`Media from ${gallery.url}`)}</description>
+${selfUrl ? `    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml" />\n` : ""}    <lastBuildDate>${now.toUTCString()}</lastBuildDate>
+${entries.join("\n")}
+  </channel>
+</rss>
+`;
+}
+
+function toAtom(gallery, items, { file, now, source }) {
+  const selfUrl = publicUrlOf(gallery, file);
+  const entries = items.map((it, i) => `  <entry>
+    <id>${escapeXml(it.id ? `${gallery.url}#${it.id}` : it.src)}</id>
+    <title>${escapeXml(itemTitle(it, i))}</title>
+    <updated>${itemDate(it, now).toISOString()}</updated>
+    <link rel="alternate" href="${escapeXml(it.sourceUrl || it.src)}" />
+    <link rel="enclosure" href="${escapeXml(it.src)}" type="${mimeTypeOf(it, source)}" />
+${it.caption ? `    <summary>${escapeXml(it.caption)}</summary>\n` : ""}    ${mediaContentXml(it, source)}
+  </entry>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">
+  <id>${escapeXml(gallery.url)}</id>
+  <title>${escapeXml(feedTitle(gallery))}</title>
+  <updated>${now.toISOString()}</updated>
+  <author><name>${escapeXml(feedAuthor(gallery))}</name></author>
+  <link rel="alternate" href="${escapeXml(gallery.url)}" />
+${selfUrl ? `  <link rel="self" href="${escapeXml(selfUrl)}" />\n` : ""}${entries.join("\n")}
+</feed>
+`;
+}
+
+function csvCell(v) {
+  if (v === undefined || v === null) return "";
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(gallery, items) {
+  const header = ["position", ...ITEM_FIELDS];
+  const rows = items.map((it, i) => [i + 1, ...ITEM_FIELDS.map(k => it[k])].map(csvCell).join(","));
+  return [header.join(","), ...rows].join("\n") + "\n";
+}
+
+function toJsonl(gallery, items) {
+  return items.map(it => JSON.stringify(it)).join("\n") + (items.length ? "\n" : "");
+}
+
+// Self-contained preview page: no external CSS/JS, media is still hotlinked
+function toHtml(gallery, items, { now, source }) {
+  const tiles = items.map((it) => {
+    const ratio = it.width && it.height ? ` style="aspect-ratio: ${it.width} / ${it.height}"` : "";
+    const caption = it.title || it.caption
+      ? `<figcaption>${escapeHtml(it.title || it.caption)}</figcaption>`
+      : "";
+    return `    <figure${ratio}>${mediaHtml(it, source)}${caption}</figure>`;
+  });
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(feedTitle(gallery))}</title>
+<style>
+  body { margin: 0; padding: 24px; font: 14px/1.4 system-ui, sans-serif; background: #111; color: #eee; }
+  header { margin-bottom: 24px; }
+  header a { color: inherit; }
+  main { columns: 4 260px; column-gap: 12px; }
+  figure { margin: 0 0 12px; break-inside: avoid; background: #222; }
+  figure img, figure video { display: block; width: 100%; height: 100%; object-fit: cover; }
+  figcaption { padding: 6px 8px; color: #aaa; }
+</style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(feedTitle(gallery))}</h1>
+    <p>${items.length} items from <a href="${escapeHtml(gallery.url)}">${escapeHtml(gallery.url)}</a>, generated ${escapeHtml(now.toISOString())}</p>
+  </header>
+  <main>
+${tiles.join("\n")}
+  </main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Output writers, selected per gallery with `formats: [...]`.
+ * The legacy `{ ok, source, count, items }` JSON is always written by publishFeed.
+ */
+export const FORMATS = {
+  jsonfeed: { ext: ".feed.json", render: toJsonFeed },
+  rss: { ext: ".rss.xml", render: toRss },
+  atom: { ext: ".atom.xml", render: toAtom },
+  csv: { ext: ".csv", render: toCsv },
+  jsonl: { ext: ".jsonl", render: toJsonl },
+  html: { ext: ".html", render: toHtml }
+};
+
+export function formatPath(outFile, format) {
+  return outFile.replace(/\.json$/i, "") + FORMATS[format].ext;
+}
+
+export function validateFormats(formats, where) {
+  for (const f of formats) {
+    if (f !== "json" && !FORMATS[f]) {
+      throw new Error(`Unknown output format "${f}" in ${where} (known: json, ${Object.keys(FORMATS).join(", ")})`);
+    }
+  }
+}
+
+export function writeFormats(gallery, items, formats = gallery.formats || []) {
+  const now = new Date();
+  const source = sourceFor(gallery);
+  const written = [];
+  for (const format of formats) {
+    if (format === "json") continue;
+    const file = formatPath(gallery.outFile, format);
+    fs.writeFileSync(file, FORMATS[format].render(gallery, items, { file, now, source }));
+    written.push(file);
+  }
+  return written;
+}
@@ -0,0 +1,598 @@
+import {
+  apiItemsFromPages,
+  followPagination,
+  pickPaginatedRequest,
+  replayableHeaders
+} from "./api.mjs";
+import { addAuthCookies, authContextOptions, detectLoginWall } from "./auth.mjs";
+import { createCollector } from "./collector.mjs";
+import { routeFixtures } from "./fixtures.mjs";
+import { log as rootLog } from "./log.mjs";
+import {
+  MAX_BLOCKED_WAIT_MS,
+  PAGE_STATE_POLICIES,
+  classifyPageState,
+  pageStateError,
+  parseRetryAfter,
+  readPageSnapshot
+} from "./page-state.mjs";
+import { createRunReport } from "./report.mjs";
+import { createScrollController, trackDataRequests } from "./scroll.mjs";
+import { sourceFor } from "./sources/index.mjs";
+
+// Longest wait for the page to settle into a state (hydrated, empty, …), and how often to look
+const HYDRATION_TIMEOUT_MS = 60000;
+const HYDRATION_POLL_MS = 1000;
+
+// Requests to the gallery's own site (eg www.cosmos.so, api.cosmos.so), not to its media hosts
+function siteRequestMatcher(galleryUrl, source) {
+  const domain = new URL(galleryUrl).host.toLowerCase().replace(/^www\./, "");
+  const mediaHosts = new Set(source.mediaHosts.map(h => h.toLowerCase()));
+  return (u) => {
+    const host = u.host.toLowerCase();
+    return (host === domain || host.endsWith(`.${domain}`)) && !mediaHosts.has(host);
+  };
+}
+
+/**
+ * Scrape one gallery in a fresh context of a shared browser.
+ * Returns { items, ordering, hydration, pageState } (the final ordered item list, how it was
+ * ordered, the last hydration signals and what the page turned out to be, page-state.mjs); a
+ * thrown error carries `hydration` too, and `pageState` when the page was not a usable board.
+ * An empty board is not an error: it comes back with no items.
+ * Timings, attempts and drop counts go into `report` (report.mjs), every filter decision into
+ * `trace` when given (trace.mjs); writing them out is up to the caller.
+ * With `gallery.auth` the context starts from the account's storage state and cookies (auth.mjs);
+ * a login wall fails the run straight away with an error saying so (`loginWall` on the error).
+ * Requests to the site wait for `rateLimiter` (createRateLimiter, shared by every worker);
+ * aborting `signal` closes the context, so whatever the page is doing fails straight away.
+ */
+export async function scrapeGallery(browser, gallery, {
+  fixtureDir = null,
+  recorder = null,
+  log = rootLog,
+  report = createRunReport(gallery),
+  trace = null,
+  rateLimiter = null,
+  signal = null
+} = {}) {
+  signal?.throwIfAborted();
+  const COSMOS_URL = gallery.url;
+  const {
+    MAX_SCROLLS,
+    WAIT_BETWEEN,
+    FIRST_IDLE,
+    STABLE_CHECKS,
+    SCROLL_IDLE,
+    SCROLL_MAX_WAIT,
+    HYDRATION_MIN_MEDIA,
+    RETRY_IDLE_MULT,
+    RETRY_MAX,
+    BLOCKED_BACKOFF,
+    MAX_API_PAGES,
+    API_PAGE_DELAY
+  } = gallery.tunables;
+  const source = sourceFor(gallery);
+  const apiMode = (gallery.mode || "api") === "api" && !!source.apiEntriesFromJson;
+  report.set({ source: source.name, mode: apiMode ? "api" : "dom" });
+
+  // Fresh context per gallery, the browser itself is shared across the batch. Fixture runs never
+  // need a session (everything is answered from disk)
+  const auth = fixtureDir ? null : gallery.auth;
+  const context = await browser.newContext({
+    viewport: { width: 3840, height: 2160 },
+    deviceScaleFactor: 2,
+    userAgent:
+      "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome Safari",
+    ...authContextOptions(auth)
+  });
+  try {
+    await addAuthCookies(context, auth);
+  } catch (e) {
+    await context.close().catch(() => {});
+    throw e;
+  }
+
+  const closeOnAbort = () => context.close().catch(() => {});
+  signal?.addEventListener("abort", closeOnAbort, { once: true });
+  if (signal?.aborted) closeOnAbort();
+
+  const isSiteRequest = siteRequestMatcher(COSMOS_URL, source);
+
+  // Offline mode: answer every request from a recorded fixture directory
+  if (fixtureDir) await routeFixtures(context, fixtureDir);
+  else if (rateLimiter) {
+    await context.route(isSiteRequest, async (route) => {
+      await rateLimiter.take();
+      await route.fallback().catch(() => {});
+    });
+  }
+
+  const page = await context.newPage();
+  const dataRequests = trackDataRequests(page, (url) => {
+    try {
+      return isSiteRequest(new URL(url));
+    } catch {
+      return false;
+    }
+  });
+
+  // Force lazy loaders to treat elements as visible
+  await page.addInitScript(() => {
+    window.IntersectionObserver = class FakeIO {
+      constructor(cb){ this._cb = cb; }
+      observe(el){
+        try { this._cb([{ isIntersecting: true, target: el, intersectionRatio: 1 }]); } catch {}
+      }
+      unobserve() {}
+      disconnect() {}
+      takeRecords(){ return []; }
+    };
+    window.IntersectionObserverEntry = function(){};
+  });
+
+  const collector = createCollector(COSMOS_URL, source, log, trace);
+
+  // API mode: JSON data requests seen so far, candidates for the board's paginated query
+  let apiResponses = [];
+  let apiItems = null;
+
+  // Last getHydrationSignals() result, reported with the run
+  let hydration = null;
+
+  // What the page turned out to be (classifyPageState), and what it is judged on for the current
+  // attempt: the gallery document's status, the statuses of the site's data requests, Retry-After
+  let pageState = null;
+  let docStatus = null;
+  let dataStatuses = [];
+  let retryAfterMs = null;
+  let emptyBoard = false;
+
+  // Network capture (helps when URLs are present in JSON responses)
+  page.on("response", async (res) => {
+    try {
+      if (["fetch", "xhr"].includes(res.request().resourceType()) && isSiteRequest(new URL(res.url()))) {
+        dataStatuses.push(res.status());
+        if (res.status() === 429) retryAfterMs = parseRetryAfter(res.headers()["retry-after"]) ?? retryAfterMs;
+      }
+
+      const ct = res.headers()["content-type"] || "";
+      let body = null;
+      const readText = async () => (body ??= await res.text().catch(() => ""));
+
+      await collector.addResponse(res.url(), ct, readText);
+      if (recorder) await recorder.response(res, readText);
+
+      if (apiMode && ct.toLowerCase().includes("application/json")) {
+        const req = res.request();
+        apiResponses.push({
+          request: { method: req.method(), url: res.url(), postData: req.postData() || null, headers: req.headers() },
+          text: await readText()
+        });
+      }
+    } catch {}
+  });
+
+  async function collectFromDOM() {
+    const batch = await page.evaluate(({ rootSelectors, minImageSize }) => {
+      const out = [];
+
+      // Prefer a stable “main” area but don’t assume site internals
+      const root =
+        rootSelectors.map(sel => document.querySelector(sel)).find(Boolean) ||
+        document.body;
+
+      const pickBestFromSrcset = (img) => {
+        try {
+          if (img.currentSrc) return img.currentSrc;
+          const ss = img.getAttribute("srcset");
+          if (!ss) return img.getAttribute("src") || "";
+          const parts = ss.split(",").map(s => s.trim());
+          const candidates = parts
+            .map(p => {
+              const [url, size] = p.split(/\s+/);
+              const w = size?.endsWith("w") ? parseInt(size, 10) : 0;
+              return { url, w: isNaN(w) ? 0 : w };
+            })
+            .sort((a, b) => b.w - a.w);
+          return candidates[0]?.url || img.getAttribute("src") || "";
+        } catch {
+          return img.getAttribute("src") || "";
+        }
+      };
+
+      const bgUrl = (el) => {
+        try {
+          const bg = getComputedStyle(el).backgroundImage || "";
+          const m = bg.match(/url\((['"]?)(.*?)\1\)/i);
+          return m?.[2] || "";
+        } catch { return ""; }
+      };
+
+      // 1) <img>
+      root.querySelectorAll("img").forEach(img => {
+        const rect = img.getBoundingClientRect();
+        if (minImageSize && (rect.width < minImageSize || rect.height < minImageSize)) return;
+        const src = pickBestFromSrcset(img);
+        if (!src) return;
+        out.push({
+          type: "image",
+          src,
+          poster: null,
+          top: rect.top + window.scrollY,
+          left: rect.left + window.scrollX,
+          width: img.naturalWidth || 0,
+          height: img.naturalHeight || 0
+        });
+      });
+
+      // 2) <video>
+      root.querySelectorAll("video").forEach(v => {
+        const rect = v.getBoundingClientRect();
+        const s = v.currentSrc || v.src || (v.querySelector("source")?.src) || "";
+        if (!s) return;
+        out.push({
+          type: "video",
+          src: s,
+          poster: v.poster || null,
+          top: rect.top + window.scrollY,
+          left: rect.left + window.scrollX,
+          width: v.videoWidth || 0,
+          height: v.videoHeight || 0
+        });
+      });
+
+      // 3) background-image tiles (Cosmos often uses these for stills)
+      // We only take “large enough” elements to avoid icons/sprites
+      // Note: backgrounds rarely expose intrinsic pixel size, so we only store rendered size as a fallback.
+      root.querySelectorAll("*").forEach(el => {
+        const s = bgUrl(el);
+        if (!s) return;
+        const rect = el.getBoundingClientRect();
+        if (rect.width < 120 || rect.height < 120) return;
+        out.push({
+          type: "image",
+          src: s,
+          poster: null,
+          top: rect.top + window.scrollY,
+          left: rect.left + window.scrollX,
+          width: Math.round(rect.width) || 0,
+          height: Math.round(rect.height) || 0
+        });
+      });
+
+      return out;
+    }, { rootSelectors: source.rootSelectors, minImageSize: source.minImageSize });
+
+    if (recorder) recorder.domBatch(batch);
+    collector.addDomBatch(batch);
+  }
+
+  async function getHydrationSignals() {
+    return await page.evaluate(({ rootSelectors }) => {
+      const root =
+        rootSelectors.map(sel => document.querySelector(sel)).find(Boolean) ||
+        document.body;
+
+      const imgs = root.querySelectorAll("img").length;
+      const vids = root.querySelectorAll("video").length;
+
+      let bg = 0;
+      root.querySelectorAll("*").forEach(el => {
+        const b = getComputedStyle(el).backgroundImage;
+        if (b && b.includes("url(")) bg++;
+      });
+
+      return { imgs, vids, bg, total: imgs + vids + bg, readyState: document.readyState };
+    }, { rootSelectors: source.rootSelectors });
+  }
+
+  // Where the page is after a scroll step: height, whether we are at the bottom, and whether one
+  // of the source's end-of-board markers is on screen
+  async function getScrollState() {
+    return await page.evaluate(({ rootSelectors, endMarkers }) => {
+      const root =
+        rootSelectors.map(sel => document.querySelector(sel)).find(Boolean) ||
+        document.body;
+      const height = document.body.scrollHeight;
+      const atBottom = window.scrollY + window.innerHeight >= document.documentElement.scrollHeight - 4;
+
+      const onScreen = (el) => {
+        const r = el?.getBoundingClientRect();
+        return !!r && r.width > 0 && r.height > 0 && r.bottom > 0 && r.top < window.innerHeight;
+      };
+      let endMarker = (endMarkers.selectors || []).some(sel => [...root.querySelectorAll(sel)].some(onScreen));
+      const texts = (endMarkers.text || []).map(t => new RegExp(t, "i"));
+      if (!endMarker && texts.length) {
+        // Short text nodes only: a marker is a line like "That's all", not a paragraph
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        for (let node = walker.nextNode(); node && !endMarker; node = walker.nextNode()) {
+          const text = node.textContent.trim();
+          if (!text || text.length > 80) continue;
+          endMarker = texts.some(re => re.test(text)) && onScreen(node.parentElement);
+        }
+      }
+      return { height, atBottom, endMarker };
+    }, { rootSelectors: source.rootSelectors, endMarkers: source.endMarkers || {} });
+  }
+
+  // Scroll until the board stops giving us anything new (scroll.mjs); records why it stopped
+  async function scrollCollectPass(label = "pass") {
+    log.info("scroll.start", `Scrolling + collecting (${label})…`, { attempt: label });
+    const controller = createScrollController({ maxScrolls: MAX_SCROLLS, retries: STABLE_CHECKS, backoffMs: WAIT_BETWEEN });
+    await collectFromDOM();
+    let seen = collector.uniqueCount;
+    let decision;
+
+    do {
+      const innerH = await page.evaluate(() => window.innerHeight);
+      await page.mouse.wheel(0, Math.floor(innerH * 0.9));
+      const idle = await dataRequests.waitForIdle(SCROLL_IDLE, SCROLL_MAX_WAIT);
+      await collectFromDOM();
+
+      const state = await getScrollState();
+      const added = collector.uniqueCount - seen;
+      seen = collector.uniqueCount;
+      decision = controller.next({ added, ...state });
+
+      const step = controller.steps;
+      const counts = { scroll: step, added, items: seen, domCaptures: collector.domCount, networkUrls: collector.netCount, height: state.height, idle };
+      if (step % 10 === 0) {
+        log.info("scroll", `…scroll ${step}, items: ${seen}, DOM captures: ${collector.domCount}, net: ${collector.netCount}`, counts);
+      } else {
+        log.debug("scroll", undefined, counts);
+      }
+
+      if (decision.action === "retry") {
+        log.info("scroll.retry", `…nothing new at the bottom, retry ${decision.retry}/${STABLE_CHECKS} in ${decision.waitMs}ms`, {
+          attempt: label,
+          scroll: step,
+          retry: decision.retry,
+          waitMs: decision.waitMs
+        });
+        await page.waitForTimeout(decision.waitMs);
+        // Up a little: the next step comes back down and sets off the bottom-of-page loader again
+        await page.mouse.wheel(0, -Math.floor(innerH * 0.5));
+        await page.waitForTimeout(200);
+      }
+    } while (decision.action !== "stop");
+
+    await collectFromDOM();
+    log.info("scroll.done", `Scrolling stopped after ${controller.steps} scrolls: ${decision.reason} (${collector.uniqueCount} items)`, {
+      attempt: label,
+      scrolls: controller.steps,
+      stopReason: decision.reason,
+      items: collector.uniqueCount
+    });
+    report.set({
+      collected: {
+        method: "scroll",
+        scrolls: controller.steps,
+        stopReason: decision.reason,
+        items: collector.uniqueCount,
+        domCaptures: collector.domCount,
+        networkUrls: collector.netCount
+      }
+    });
+  }
+
+  // Replay a captured data request from inside the page, so cookies, fixtures and the recorder all apply
+  async function fetchInPage(req) {
+    return await page.evaluate(async ({ url, method, postData, headers }) => {
+      const res = await fetch(url, { method, headers, body: postData || undefined, credentials: "include" });
+      if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+      return await res.json();
+    }, { url: req.url, method: req.method, postData: req.postData, headers: replayableHeaders(req.headers) });
+  }
+
+  // Follow the board's own pagination; false means "use DOM scrolling instead"
+  async function apiCollectPass(label) {
+    const candidates = [];
+    for (const r of apiResponses) {
+      try {
+        candidates.push({ request: r.request, json: JSON.parse(r.text) });
+      } catch {}
+    }
+    const seed = pickPaginatedRequest(candidates, source);
+    if (!seed) {
+      log.info("api.fallback", `🔎 No paginated data request seen (${label}), falling back to DOM scrolling`, { attempt: label, reason: "no-seed" });
+      report.set({ apiFallback: { reason: "no-seed" } });
+      return false;
+    }
+
+    // First screen from the DOM: the board's first page may have been server-rendered
+    await collectFromDOM();
+
+    log.info("api.start", `Following API pagination (${label}): ${seed.request.method} ${seed.request.url}`, {
+      attempt: label,
+      method: seed.request.method,
+      url: seed.request.url
+    });
+    let result;
+    try {
+      result = await followPagination(seed, fetchInPage, {
+        source,
+        maxPages: MAX_API_PAGES,
+        delayMs: API_PAGE_DELAY,
+        sleep: (ms) => page.waitForTimeout(ms)
+      });
+    } catch (e) {
+      const error = String(e?.message || e).slice(0, 200);
+      log.warn("api.fallback", `⚠️  API pagination failed (${label}): ${error}; falling back to DOM scrolling`, { attempt: label, reason: "error", error });
+      report.set({ apiFallback: { reason: "error", error } });
+      return false;
+    }
+
+    const leading = seed.firstPage ? [] : collector.buildDomItems();
+    const items = apiItemsFromPages(result.pages, leading, source, collector.tally);
+    log.info("api.done", `API: ${result.pages.length} pages, ${items.length} items (stopped: ${result.stopReason})`, {
+      attempt: label,
+      pages: result.pages.length,
+      items: items.length,
+      stopReason: result.stopReason
+    });
+    report.set({ collected: { method: "api", pages: result.pages.length, stopReason: result.stopReason, leading: leading.length } });
+    // The API said there was more than we got: the board is only as complete as scrolling makes it
+    if (result.truncated) {
+      log.warn("api.fallback", `⚠️  API pagination stopped early (${result.stopReason}) with more to come, falling back to DOM scrolling`, {
+        attempt: label,
+        reason: "truncated",
+        stopReason: result.stopReason,
+        pages: result.pages.length,
+        items: items.length
+      });
+      report.set({ apiFallback: { reason: "truncated", stopReason: result.stopReason, pages: result.pages.length, items: items.length } });
+      return false;
+    }
+    if (items.length < HYDRATION_MIN_MEDIA) {
+      log.warn("api.fallback", `⚠️  API gave fewer than ${HYDRATION_MIN_MEDIA} items, falling back to DOM scrolling`, { attempt: label, reason: "too-few", items: items.length });
+      report.set({ apiFallback: { reason: "too-few", items: items.length } });
+      return false;
+    }
+
+    if (recorder) recorder.api({ request: seed.request, stopReason: result.stopReason, pages: result.pages, leading });
+    apiItems = items;
+    return true;
+  }
+
+  async function classifyPage(final = false) {
+    const loginWall = await detectLoginWall(page, source, { isSiteUrl: isSiteRequest });
+    const snapshot = loginWall ? null : await readPageSnapshot(page, source);
+    return classifyPageState({ status: docStatus, dataStatuses, loginWall, snapshot, minMedia: HYDRATION_MIN_MEDIA, final });
+  }
+
+  // HARD GATE: look at the page until it is something (hydrated, empty, a 404, a login wall, …);
+  // when the gate runs out it is a timeout
+  async function waitForPageState() {
+    const started = Date.now();
+    for (;;) {
+      const state = await classifyPage(Date.now() - started >= HYDRATION_TIMEOUT_MS);
+      if (state) return state;
+      await page.waitForTimeout(HYDRATION_POLL_MS);
+    }
+  }
+
+  async function navigateAndMaybeRetry() {
+    const retryIdle = Math.round(FIRST_IDLE * RETRY_IDLE_MULT);
+
+    for (let attempt = 0; attempt <= RETRY_MAX; attempt++) {
+      const label = attempt === 0 ? "initial" : `retry-${attempt}`;
+      const idle = attempt === 0 ? FIRST_IDLE : retryIdle;
+      signal?.throwIfAborted();
+
+      if (attempt > 0) {
+        log.info("retry", `♻️  Retry attempt ${attempt}: resetting collections`, { attempt: label });
+        collector.reset();
+        apiResponses = [];
+        if (recorder) recorder.reset(label);
+      }
+
+      const attemptEntry = { label, outcome: null, reason: null, preGate: null, hydrated: null };
+      report.attempt(attemptEntry);
+      log.info("navigate", `Navigating to ${COSMOS_URL} (${label})`, { attempt: label, url: COSMOS_URL });
+      docStatus = null;
+      dataStatuses = [];
+      retryAfterMs = null;
+
+      let state;
+      try {
+        await report.time("navigate", async () => {
+          const res = await page.goto(COSMOS_URL, { waitUntil: "domcontentloaded", timeout: 120000 });
+          docStatus = res?.status() ?? null;
+          retryAfterMs = parseRetryAfter(res?.headers()["retry-after"]);
+          await page.waitForTimeout(idle);
+
+          // Tiny nudge scroll, boards sometimes only populate after first interaction
+          try {
+            await page.mouse.wheel(0, 800);
+            await page.waitForTimeout(1200);
+            await page.mouse.wheel(0, -200);
+            await page.waitForTimeout(800);
+          } catch {}
+        });
+      } catch (e) {
+        const error = String(e).slice(0, 200);
+        log.warn("navigate.failed", `⚠️  goto failed (${label}): ${error}`, { attempt: label, error });
+        state = { state: "timeout", reason: `navigation failed: ${error}` };
+      }
+
+      if (!state) {
+        const sig = attemptEntry.preGate = hydration = await getHydrationSignals();
+        log.info("hydration.signals", `Hydration signals (${label} pre-gate): total=${sig.total} (img=${sig.imgs}, video=${sig.vids}, bg=${sig.bg}) ready=${sig.readyState} status=${docStatus}`, {
+          attempt: label,
+          status: docStatus,
+          ...sig
+        });
+        state = await report.time("hydrate", () => waitForPageState());
+      }
+      attemptEntry.outcome = state.state;
+      attemptEntry.reason = state.reason;
+      pageState = state;
+
+      if (state.state === "empty") {
+        log.info("page-state", `📭 Empty board (${label}): ${state.reason}`, { attempt: label, ...state });
+        emptyBoard = true;
+        return;
+      }
+      if (state.state !== "hydrated") {
+        const policy = PAGE_STATE_POLICIES[state.state];
+        log.warn("page-state", `❌ Page is ${state.state} (${label}): ${state.reason}`, { attempt: label, ...state });
+        // 404s and login walls will not go away with a retry
+        if (!policy.retry || attempt >= RETRY_MAX) throw pageStateError(gallery, source, state);
+        if (policy.backoff) {
+          const waitMs = Math.min(retryAfterMs ?? BLOCKED_BACKOFF * 2 ** attempt, MAX_BLOCKED_WAIT_MS);
+          log.info("retry.backoff", `Backing off ${Math.round(waitMs / 1000)}s before retrying…`, { attempt: label, waitMs });
+          await page.waitForTimeout(waitMs);
+        }
+        log.info("retry", "Retrying with a fresh navigation…", { attempt: label });
+        continue;
+      }
+
+      const sig2 = attemptEntry.hydrated = hydration = await getHydrationSignals();
+      log.info("hydrated", `✅ Hydrated (${label}): total=${sig2.total} (img=${sig2.imgs}, video=${sig2.vids}, bg=${sig2.bg})`, {
+        attempt: label,
+        ...sig2
+      });
+
+      await report.time("collect", async () => {
+        if (apiMode && await apiCollectPass(label)) return;
+        await scrollCollectPass(label);
+      });
+      return;
+    }
+  }
+
+  let items;
+  try {
+    await navigateAndMaybeRetry();
+    items = emptyBoard ? [] : await report.time("build", () => apiItems ? collector.withMetadata(apiItems) : collector.buildItems());
+  } catch (e) {
+    if (recorder) recorder.finish({ error: e });
+    e.hydration = hydration;
+    report.set({ hydration, pageState, drops: collector.tally.counts() });
+    throw e;
+  } finally {
+    signal?.removeEventListener("abort", closeOnAbort);
+    await context.close().catch(() => {});
+  }
+
+  const ordering = emptyBoard
+    ? { method: "empty", confidence: 1 }
+    : apiItems ? { method: "api", confidence: 1 } : { method: "masonry", ...collector.orderingReport() };
+  if (recorder) recorder.finish({ items });
+  report.set({ hydration, pageState, ordering, drops: collector.tally.counts(items.map(it => it.src)) });
+  log.info("collected", `Collected ${items.length} items (${collector.domCount} DOM captures, ${collector.netCount} network URLs)`, {
+    items: items.length,
+    domCaptures: collector.domCount,
+    networkUrls: collector.netCount
+  });
+  if (ordering.method === "masonry") {
+    log.info(
+      "ordering",
+      `Grid order: ${ordering.columns} columns, confidence ${ordering.confidence} ` +
+      `(${ordering.duplicates} repeat captures, ${ordering.jittered} moved, ${ordering.ambiguous} near-ties)`,
+      ordering
+    );
+  }
+  return { items, ordering, hydration, pageState };
+}
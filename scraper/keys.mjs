@@ -0,0 +1,22 @@
+// Mux helpers
+export const MUX_STREAM_HOST = "stream.mux.com";
+
+export function muxPlaybackIdFromUrl(urlStr) {
+  try {
+    const u = new URL(urlStr);
+    if (u.host.toLowerCase() !== MUX_STREAM_HOST) return null;
+    const seg = u.pathname.split("/").filter(Boolean);
+    return seg[0] || null; // /<playbackId>/low.mp4
+  } catch {
+    return null;
+  }
+}
+
+// Dedupe key for a feed item: Mux videos by playback id, everything else by normalised URL
+export function itemKey(type, src) {
+  if (type === "video") {
+    const pid = muxPlaybackIdFromUrl(src);
+    return pid ? `video:mux:${pid}` : `video:url:${src}`;
+  }
+  return `image:url:${src}`;
+}
@@ -0,0 +1,44 @@
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+export const LOG_LEVELS = Object.keys(LEVELS);
+export const LOG_FORMATS = ["text", "json"];
+
+/**
+ * Leveled logger. Every line names an event ("hydrated", "scroll", "filter.drop", …) and may carry
+ * fields; the text format prints just the human message, the json format one object per line:
+ *   { ts, level, event, msg, ...context, ...fields }
+ * child(fields) adds context (eg the gallery slug) to every line it logs.
+ */
+export function createLogger({
+  level = "info",
+  format = "text",
+  context = {},
+  write = (line) => process.stdout.write(line + "\n")
+} = {}) {
+  const min = LEVELS[level] ?? LEVELS.info;
+
+  function emit(lvl, event, msg, fields = {}) {
+    if (LEVELS[lvl] < min) return;
+    if (format === "json") {
+      write(JSON.stringify({ ts: new Date().toISOString(), level: lvl, event, msg, ...context, ...fields }));
+    } else {
+      write(msg ?? `${event} ${JSON.stringify(fields)}`);
+    }
+  }
+
+  return {
+    level,
+    format,
+    enabled: (lvl) => LEVELS[lvl] >= min,
+    debug: (event, msg, fields) => emit("debug", event, msg, fields),
+    info: (event, msg, fields) => emit("info", event, msg, fields),
+    warn: (event, msg, fields) => emit("warn", event, msg, fields),
+    error: (event, msg, fields) => emit("error", event, msg, fields),
+    child: (fields) => createLogger({ level, format, context: { ...context, ...fields }, write })
+  };
+}
+
+// Process-wide logger: LOG_LEVEL (debug | info | warn | error) and LOG_FORMAT (text | json)
+export const log = createLogger({
+  level: LOG_LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : "info",
+  format: LOG_FORMATS.includes(process.env.LOG_FORMAT) ? process.env.LOG_FORMAT : "text"
+});
@@ -0,0 +1,166 @@
+// Intrinsic size from the first bytes of an image file (null when the format or data is unknown).
+// All parsers work on a Buffer that may be truncated; they never throw.
+
+function pngSize(buf) {
+  if (buf.length < 24) return null;
+  if (buf.readUInt32BE(0) !== 0x89504e47 || buf.toString("ascii", 12, 16) !== "IHDR") return null;
+  return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+}
+
+function gifSize(buf) {
+  if (buf.length < 10 || buf.toString("ascii", 0, 4) !== "GIF8") return null;
+  return { width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+}
+
+// EXIF orientation (1-8) from an APP1 segment, 1 when absent
+function exifOrientation(buf, start, end) {
+  if (buf.toString("ascii", start, start + 4) !== "Exif") return 1;
+  const tiff = start + 6;
+  if (tiff + 8 > end) return 1;
+  const le = buf.toString("ascii", tiff, tiff + 2) === "II";
+  const u16 = (o) => (le ? buf.readUInt16LE(o) : buf.readUInt16BE(o));
+  const u32 = (o) => (le ? buf.readUInt32LE(o) : buf.readUInt32BE(o));
+  const ifd = tiff + u32(tiff + 4);
+  if (ifd + 2 > end) return 1;
+  const entries = u16(ifd);
+  for (let i = 0; i < entries; i++) {
+    const e = ifd + 2 + i * 12;
+    if (e + 12 > end) break;
+    if (u16(e) === 0x0112) return u16(e + 8) || 1;
+  }
+  return 1;
+}
+
+function jpegSize(buf) {
+  if (buf.length < 4 || buf[0] !== 0xff || buf[1] !== 0xd8) return null;
+  let orientation = 1;
+  let i = 2;
+  while (i + 9 < buf.length) {
+    if (buf[i] !== 0xff) { i++; continue; }
+    const marker = buf[i + 1];
+    if (marker === 0xff) { i++; continue; }
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) { i += 2; continue; }
+    const len = buf.readUInt16BE(i + 2);
+    if (marker === 0xe1) orientation = exifOrientation(buf, i + 4, Math.min(i + 2 + len, buf.length));
+    // SOF0..SOF15, minus DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      const height = buf.readUInt16BE(i + 5);
+      const width = buf.readUInt16BE(i + 7);
+      return orientation >= 5 ? { width: height, height: width } : { width, height };
+    }
+    i += 2 + len;
+  }
+  return null;
+}
+
+function webpSize(buf) {
+  if (buf.length < 30) return null;
+  if (buf.toString("ascii", 0, 4) !== "RIFF" || buf.toString("ascii", 8, 12) !== "WEBP") return null;
+  const chunk = buf.toString("ascii", 12, 16);
+  if (chunk === "VP8 ") {
+    return { width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === "VP8L") {
+    const [b0, b1, b2, b3] = [buf[21], buf[22], buf[23], buf[24]];
+    return {
+      width: 1 + (((b1 & 0x3f) << 8) | b0),
+      height: 1 + (((b3 & 0x0f) << 10) | (b2 << 2) | ((b1 & 0xc0) >> 6))
+    };
+  }
+  if (chunk === "VP8X") {
+    return { width: 1 + buf.readUIntLE(24, 3), height: 1 + buf.readUIntLE(27, 3) };
+  }
+  return null;
+}
+
+/**
+ * ISO BMFF boxes in buf[start, end): [{ type, start, end, body }] where body is the payload offset.
+ * A box running past the buffer is still listed (end is clipped) so callers can spot truncation.
+ */
+export function listBoxes(buf, start = 0, end = buf.length) {
+  const out = [];
+  let i = start;
+  while (i + 8 <= end) {
+    let size = buf.readUInt32BE(i);
+    const type = buf.toString("ascii", i + 4, i + 8);
+    let header = 8;
+    if (size === 1) {
+      if (i + 16 > end) break;
+      size = Number(buf.readBigUInt64BE(i + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - i;
+    }
+    if (size < header) break;
+    out.push({ type, start: i, size, body: i + header, end: Math.min(i + size, end) });
+    i += size;
+  }
+  return out;
+}
+
+function childBoxes(buf, box, skip = 0) {
+  return listBoxes(buf, box.body + skip, box.end);
+}
+
+// AVIF / HEIC: largest `ispe` property, swapped when an `irot` turns it sideways
+function heifSize(buf) {
+  const top = listBoxes(buf);
+  const ftyp = top.find(b => b.type === "ftyp");
+  if (!ftyp) return null;
+  const brand = buf.toString("ascii", ftyp.body, ftyp.body + 4);
+  if (!/^(avif|avis|heic|heix|mif1|msf1)$/.test(brand)) return null;
+
+  const meta = top.find(b => b.type === "meta");
+  if (!meta) return null;
+  const iprp = childBoxes(buf, meta, 4).find(b => b.type === "iprp"); // meta is a full box
+  const ipco = iprp && childBoxes(buf, iprp).find(b => b.type === "ipco");
+  // Cut short, the properties we hold could be a thumbnail's: let the caller read further
+  if (!ipco || ipco.end < ipco.start + ipco.size) return null;
+
+  let best = null;
+  let rotated = false;
+  for (const prop of childBoxes(buf, ipco)) {
+    if (prop.type === "ispe" && prop.body + 12 <= prop.end) {
+      const width = buf.readUInt32BE(prop.body + 4);
+      const height = buf.readUInt32BE(prop.body + 8);
+      if (!best || width * height > best.width * best.height) best = { width, height };
+    }
+    if (prop.type === "irot" && prop.body < prop.end) rotated = rotated || (buf[prop.body] & 1) === 1;
+  }
+  if (best && rotated) return { width: best.height, height: best.width };
+  return best;
+}
+
+export function imageSizeFromHeader(buf) {
+  const size = pngSize(buf) || gifSize(buf) || jpegSize(buf) || webpSize(buf) || heifSize(buf);
+  if (!size || !size.width || !size.height) return null;
+  return size;
+}
+
+/**
+ * Dimensions and duration from a complete `moov` box:
+ * - duration from mvhd (timescale + duration)
+ * - width/height from the first track header with a non-zero size (16.16 fixed point)
+ */
+export function mp4InfoFromMoov(buf, moov) {
+  const info = { width: 0, height: 0, duration: 0 };
+  for (const box of childBoxes(buf, moov)) {
+    if (box.type === "mvhd") {
+      const v = buf[box.body];
+      if (box.body + (v === 1 ? 32 : 20) > box.end) continue;
+      const timescale = v === 1 ? buf.readUInt32BE(box.body + 20) : buf.readUInt32BE(box.body + 12);
+      const duration = v === 1 ? Number(buf.readBigUInt64BE(box.body + 24)) : buf.readUInt32BE(box.body + 16);
+      if (timescale) info.duration = Math.round((duration / timescale) * 1000) / 1000;
+    }
+    if (box.type === "trak" && !info.width) {
+      const tkhd = childBoxes(buf, box).find(b => b.type === "tkhd");
+      if (!tkhd) continue;
+      const at = tkhd.body + (buf[tkhd.body] === 1 ? 88 : 76);
+      if (at + 8 > tkhd.end) continue;
+      const width = buf.readUInt32BE(at) >>> 16;
+      const height = buf.readUInt32BE(at + 4) >>> 16;
+      if (width && height) Object.assign(info, { width, height });
+    }
+  }
+  return info;
+}
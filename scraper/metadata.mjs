@@ -0,0 +1,123 @@
+import { JSON_MEDIA_CONTAINER_KEYS, JSON_MEDIA_TYPE_NAMES } from "./extract.mjs";
+import { normaliseURL } from "./filters.mjs";
+import { muxPlaybackIdFromUrl } from "./keys.mjs";
+
+// Feed field -> candidate keys, read from the media object first, then from the element owning it
+const MEDIA_FIELDS = {
+  dominantColor: ["dominantColor", "dominantColour", "averageColor", "color"],
+  blurhash: ["blurhash", "blurHash"]
+};
+
+const ELEMENT_FIELDS = {
+  id: ["id"],
+  title: ["title", "name"],
+  caption: ["caption", "description", "text"],
+  sourceUrl: ["sourceUrl", "originalUrl", "sourceURL", "source", "link"],
+  createdAt: ["createdAt", "created_at", "insertedAt"]
+};
+
+const MEDIA_URL_KEYS = ["url", "src", "mp4Url", "playbackUrl"];
+
+function pick(obj, keys) {
+  if (!obj || typeof obj !== "object") return undefined;
+  for (const k of keys) {
+    const v = obj[k];
+    if (typeof v === "string" && v.trim()) return v.trim();
+    if (typeof v === "number" && isFinite(v)) return String(v);
+  }
+  return undefined;
+}
+
+function readMetadata(media, owners) {
+  const meta = {};
+  for (const [field, keys] of Object.entries(MEDIA_FIELDS)) {
+    const v = pick(media, keys) ?? owners.map(o => pick(o, keys)).find(Boolean);
+    if (v) meta[field] = v;
+  }
+  // The element is the closest ancestor carrying an id; the media object itself is only a fallback
+  const element = owners.find(o => pick(o, ["id"]) !== undefined) || media;
+  for (const [field, keys] of Object.entries(ELEMENT_FIELDS)) {
+    const v = pick(element, keys);
+    if (v) meta[field] = v;
+  }
+  // `source` is sometimes an object ({ url, … }) rather than a string
+  if (!meta.sourceUrl && element?.source && typeof element.source === "object") {
+    const v = pick(element.source, ["url", "href"]);
+    if (v) meta.sourceUrl = v;
+  }
+  if (meta.sourceUrl && !/^https?:\/\//i.test(meta.sourceUrl)) delete meta.sourceUrl;
+  return meta;
+}
+
+function mergeInto(out, key, meta) {
+  if (!key || !Object.keys(meta).length) return;
+  const existing = out.get(key);
+  if (!existing) {
+    out.set(key, { ...meta });
+    return;
+  }
+  // First non-empty value wins per field
+  for (const [k, v] of Object.entries(meta)) if (existing[k] === undefined) existing[k] = v;
+}
+
+/**
+ * Same walk as collectMediaUrlsFromJson, but keeps what Cosmos says about each media object
+ * (element id, title/caption, source link, creation date, dominant color, blurhash).
+ * Keyed by normalised media URL, plus `mux:<playbackId>` when the object names one.
+ */
+export function collectMediaMetadataFromJson(value, out = new Map(), path = [], owners = []) {
+  if (!value || typeof value !== "object") return out;
+
+  if (Array.isArray(value)) {
+    value.forEach((item) => collectMediaMetadataFromJson(item, out, path, owners));
+    return out;
+  }
+
+  const pathHasMediaContainer = path.some((part) => JSON_MEDIA_CONTAINER_KEYS.has(part));
+  const typeName = typeof value.__typename === "string" ? value.__typename : "";
+
+  if (pathHasMediaContainer || JSON_MEDIA_TYPE_NAMES.has(typeName)) {
+    const urls = MEDIA_URL_KEYS.map(k => value[k]).filter(u => typeof u === "string");
+    if (urls.length) {
+      const meta = readMetadata(value, owners);
+      for (const u of urls) {
+        const norm = normaliseURL(u);
+        mergeInto(out, norm, meta);
+        const pid = muxPlaybackIdFromUrl(norm);
+        if (pid) mergeInto(out, `mux:${pid.replace(/\.m3u8$/i, "")}`, meta);
+      }
+      if (typeof value.playbackId === "string") mergeInto(out, `mux:${value.playbackId}`, meta);
+    }
+  }
+
+  const nextOwners = [value, ...owners];
+  for (const [key, child] of Object.entries(value)) {
+    if (key === "__typename") continue;
+    collectMediaMetadataFromJson(child, out, [...path, key], nextOwners);
+  }
+
+  return out;
+}
+
+export function metadataFromJsonText(text, out = new Map()) {
+  try {
+    return collectMediaMetadataFromJson(JSON.parse(text), out);
+  } catch {
+    return out;
+  }
+}
+
+// Copy known metadata onto feed items, matching by normalised src (or Mux playback id)
+export function applyMetadata(items, metaMap) {
+  if (!metaMap.size) return items;
+  return items.map((it) => {
+    const pid = it.type === "video" ? muxPlaybackIdFromUrl(it.src) : null;
+    const meta = metaMap.get(it.src) || (pid ? metaMap.get(`mux:${pid}`) : null);
+    if (!meta) return it;
+    const out = { ...it };
+    for (const field of [...Object.keys(ELEMENT_FIELDS), ...Object.keys(MEDIA_FIELDS)]) {
+      if (meta[field] !== undefined && out[field] === undefined) out[field] = meta[field];
+    }
+    return out;
+  });
+}
@@ -0,0 +1,201 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import { NO_HOST_LIMITS, mapLimit, withRetries } from "./concurrency.mjs";
+import { log as rootLog } from "./log.mjs";
+
+/**
+ * Content-addressed media store under <outDir>/media/:
+ *   <sha256>.<ext>   one file per distinct content (two URLs with identical bytes share it)
+ *   index.json       src URL -> { file, sha256, bytes, contentType, mirroredAt }
+ *   .partial/        interrupted downloads, resumed with a Range request on the next run
+ */
+export const MEDIA_DIR = "media";
+
+const EXT_BY_MIME = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/gif": "gif",
+  "image/avif": "avif",
+  "image/heic": "heic",
+  "video/mp4": "mp4",
+  "video/webm": "webm",
+  "video/quicktime": "mov"
+};
+
+const DOWNLOAD_TIMEOUT_MS = 5 * 60 * 1000;
+
+function extensionFor(src, contentType) {
+  const mime = (contentType || "").split(";")[0].trim().toLowerCase();
+  if (EXT_BY_MIME[mime]) return EXT_BY_MIME[mime];
+  try {
+    const m = /\.([a-z0-9]{2,5})$/i.exec(new URL(src).pathname);
+    if (m) return m[1].toLowerCase();
+  } catch {}
+  return "bin";
+}
+
+function readIndexFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8")) || {};
+  } catch {
+    return {};
+  }
+}
+
+export function loadMirrorIndex(mediaDir) {
+  const file = path.join(mediaDir, "index.json");
+  let entries = readIndexFile(file);
+
+  return {
+    // Only trust an entry whose file is still on disk
+    get: (src) => {
+      const e = entries[src];
+      return e && fs.existsSync(path.join(mediaDir, e.file)) ? e : null;
+    },
+    set: (src, entry) => { entries[src] = entry; },
+    // Merged with what is on disk now (another process may have mirrored into the same dir),
+    // our entries winning, and swapped in whole so a reader never sees half a file
+    save() {
+      entries = { ...readIndexFile(file), ...entries };
+      fs.mkdirSync(mediaDir, { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(entries, null, 2));
+      fs.renameSync(tmp, file);
+    }
+  };
+}
+
+// Per media dir, for the whole process: galleries mirroring in parallel (WORKERS > 1) share the
+// index and each other's running downloads, so none overwrites another's entries and no two
+// write the same .partial file
+const stores = new Map();
+
+function mirrorStore(mediaDir) {
+  const key = path.resolve(mediaDir);
+  if (!stores.has(key)) stores.set(key, { index: loadMirrorIndex(key), downloads: new Map() });
+  return stores.get(key);
+}
+
+async function sha256File(file) {
+  const hash = crypto.createHash("sha256");
+  await pipeline(fs.createReadStream(file), hash);
+  return hash.digest("hex");
+}
+
+// Only network errors, 5xx, 408 and 429 are worth another try: a 404 / 410 asset is gone
+function httpError(status, src) {
+  return Object.assign(new Error(`HTTP ${status} for ${src}`), { status, retryable: status >= 500 || status === 408 || status === 429 });
+}
+
+// Download src into the store, resuming a previous partial download when the server allows it
+export async function mirrorOne(src, mediaDir) {
+  const partialDir = path.join(mediaDir, ".partial");
+  fs.mkdirSync(partialDir, { recursive: true });
+  const part = path.join(partialDir, crypto.createHash("sha1").update(src).digest("hex"));
+
+  const have = fs.existsSync(part) ? fs.statSync(part).size : 0;
+  const res = await fetch(src, {
+    headers: have ? { Range: `bytes=${have}-` } : {},
+    signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS)
+  });
+
+  // 416: the partial file already holds everything
+  if (res.status !== 416) {
+    if (!res.ok) throw httpError(res.status, src);
+    const append = have > 0 && res.status === 206;
+    await pipeline(Readable.fromWeb(res.body), fs.createWriteStream(part, { flags: append ? "a" : "w" }));
+  }
+
+  const contentType = res.headers.get("content-type") || "";
+  const sha256 = await sha256File(part);
+  const file = `${sha256}.${extensionFor(src, contentType)}`;
+  const dest = path.join(mediaDir, file);
+  if (fs.existsSync(dest)) fs.rmSync(part);
+  else fs.renameSync(part, dest);
+
+  return { file, sha256, bytes: fs.statSync(dest).size, contentType, mirroredAt: new Date().toISOString() };
+}
+
+function mirrorUrl(file, publicUrl) {
+  const rel = `${MEDIA_DIR}/${file}`;
+  return publicUrl ? new URL(rel, publicUrl.replace(/\/?$/, "/")).href : rel;
+}
+
+/**
+ * Post-processing stage: copy every item (and its poster) into the local store.
+ * Items keep their original `src` and gain `mirrorSrc` (`posterMirrorSrc` for posters).
+ * URLs already in the index are not downloaded again; failures leave the item un-mirrored.
+ */
+export async function mirrorItems(items, {
+  outDir,
+  publicUrl = null,
+  concurrency = 4,
+  retries = 3,
+  baseMs = 1000,
+  hosts = NO_HOST_LIMITS,
+  log = rootLog
+} = {}) {
+  const mediaDir = path.join(outDir, MEDIA_DIR);
+  const { index, downloads } = mirrorStore(mediaDir);
+  let downloaded = 0;
+  let reused = 0;
+  let failed = 0;
+
+  // One download per URL even when an item and a poster share it
+  const inflight = new Map();
+  const ensure = (src) => {
+    if (!inflight.has(src)) inflight.set(src, ensureOne(src));
+    return inflight.get(src);
+  };
+  // ... or when another gallery is already downloading it
+  const download = (src) => {
+    const running = downloads.get(src);
+    if (running) return { pending: running, joined: true };
+    const pending = withRetries(() => hosts.run(src, () => mirrorOne(src, mediaDir)), { retries, baseMs, shouldRetry: e => e.retryable !== false })
+      .then((entry) => {
+        index.set(src, entry);
+        return entry;
+      })
+      .finally(() => downloads.delete(src));
+    downloads.set(src, pending);
+    return { pending, joined: false };
+  };
+  const ensureOne = async (src) => {
+    const known = index.get(src);
+    if (known) {
+      reused++;
+      return known;
+    }
+    try {
+      const { pending, joined } = download(src);
+      const entry = await pending;
+      if (joined) reused++;
+      else downloaded++;
+      return entry;
+    } catch (e) {
+      failed++;
+      const error = String(e?.message || e).slice(0, 200);
+      log.warn("mirror.failed", `⚠️  Mirror failed for ${src}: ${error}`, { url: src, error });
+      return null;
+    }
+  };
+
+  const out = await mapLimit(items, concurrency, async (it) => {
+    const next = { ...it };
+    const entry = await ensure(it.src);
+    if (entry) next.mirrorSrc = mirrorUrl(entry.file, publicUrl);
+    if (it.poster) {
+      const posterEntry = await ensure(it.poster);
+      if (posterEntry) next.posterMirrorSrc = mirrorUrl(posterEntry.file, publicUrl);
+    }
+    return next;
+  });
+
+  index.save();
+  log.info("mirror", `🗄️  Mirror: ${downloaded} downloaded, ${reused} already mirrored, ${failed} failed`, { downloaded, reused, failed });
+  return out;
+}
@@ -0,0 +1,195 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import { NO_HOST_LIMITS, mapLimit } from "./concurrency.mjs";
+import { MUX_STREAM_HOST, muxPlaybackIdFromUrl } from "./keys.mjs";
+import { log as rootLog } from "./log.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Video sources for Mux items. Cosmos only hands us one static rendition (usually low.mp4);
+ * the playback id behind it also serves an HLS master playlist, listing every rendition, and up
+ * to three static MP4s (low / medium / high, whichever were enabled on the asset).
+ */
+export const DEFAULT_MUX_CACHE = path.resolve(__dirname, "../.cache/mux.json");
+export const DEFAULT_STREAM_BASE = `https://${MUX_STREAM_HOST}`;
+export const MP4_QUALITIES = ["high", "medium", "low"];
+export const HLS_MIME_TYPE = "application/x-mpegURL";
+
+// Cached lookups are redone after a week; those without static MP4s after a day, as Mux builds
+// them some time after upload
+export const MUX_CACHE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+export const MUX_NO_MP4_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+const FETCH_TIMEOUT_MS = 20000;
+const MAX_PLAYLIST_BYTES = 256 * 1024;
+// Codec prefixes of audio streams in CODECS="…" (AAC, AC-3, E-AC-3, Opus, FLAC, MP3)
+const AUDIO_CODEC_RE = /^(mp4a|ac-3|ec-3|opus|flac|mp3)\b/i;
+
+// KEY=value,KEY="quoted, value",… of an #EXT-X tag
+function parseAttributes(list) {
+  const attrs = {};
+  for (const m of list.matchAll(/([A-Z0-9-]+)=("[^"]*"|[^,]*)/g)) {
+    attrs[m[1]] = m[2].startsWith('"') ? m[2].slice(1, -1) : m[2];
+  }
+  return attrs;
+}
+
+/**
+ * Renditions and alternate audio of an HLS master playlist:
+ *   { renditions: [{ uri, bandwidth, averageBandwidth?, width?, height?, frameRate?, codecs? }],
+ *     audio: [{ groupId, name?, language?, uri? }] }
+ * Renditions are best first (highest bandwidth). Throws on anything that is not a master playlist.
+ */
+export function parseMasterPlaylist(text, baseUrl) {
+  const lines = String(text || "").split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  if (lines[0] !== "#EXTM3U") throw new Error(`Not an HLS playlist: ${baseUrl}`);
+
+  const renditions = [];
+  const audio = [];
+  for (let i = 1; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.startsWith("#EXT-X-MEDIA:")) {
+      const a = parseAttributes(line.slice("#EXT-X-MEDIA:".length));
+      if (a.TYPE !== "AUDIO") continue;
+      audio.push({
+        groupId: a["GROUP-ID"],
+        ...(a.NAME ? { name: a.NAME } : {}),
+        ...(a.LANGUAGE ? { language: a.LANGUAGE } : {}),
+        ...(a.URI ? { uri: new URL(a.URI, baseUrl).href } : {})
+      });
+      continue;
+    }
+    if (!line.startsWith("#EXT-X-STREAM-INF:")) continue;
+
+    const a = parseAttributes(line.slice("#EXT-X-STREAM-INF:".length));
+    const uri = lines[i + 1];
+    if (!uri || uri.startsWith("#")) continue;
+    i++;
+    const [width, height] = (a.RESOLUTION || "").split("x").map(Number);
+    renditions.push({
+      uri: new URL(uri, baseUrl).href,
+      bandwidth: Number(a.BANDWIDTH) || 0,
+      ...(Number(a["AVERAGE-BANDWIDTH"]) ? { averageBandwidth: Number(a["AVERAGE-BANDWIDTH"]) } : {}),
+      ...(width && height ? { width, height } : {}),
+      ...(Number(a["FRAME-RATE"]) ? { frameRate: Number(a["FRAME-RATE"]) } : {}),
+      ...(a.CODECS ? { codecs: a.CODECS } : {}),
+      ...(a.AUDIO ? { audioGroup: a.AUDIO } : {})
+    });
+  }
+  if (!renditions.length) throw new Error(`No renditions in ${baseUrl} (not a master playlist?)`);
+
+  renditions.sort((a, b) => b.bandwidth - a.bandwidth);
+  return { renditions, audio };
+}
+
+/**
+ * Whether a parsed master playlist carries sound: an alternate audio rendition, or an audio codec
+ * muxed into a variant. null when the playlist does not say (no CODECS on some variant).
+ */
+export function playlistHasAudio({ renditions, audio }) {
+  if (audio.length || renditions.some(r => r.audioGroup)) return true;
+  const codecs = renditions.map(r => (r.codecs || "").split(",").map(c => c.trim()).filter(Boolean));
+  if (codecs.some(list => list.some(c => AUDIO_CODEC_RE.test(c)))) return true;
+  return codecs.every(list => list.length) ? false : null;
+}
+
+async function fetchPlaylist(url) {
+  const res = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+  if (Number(res.headers.get("content-length")) > MAX_PLAYLIST_BYTES) throw new Error(`Playlist too large: ${url}`);
+  return res.text();
+}
+
+// Static renditions only exist when enabled on the asset: a 404 means "not there"; anything
+// else that is not a 2xx (timeout, 5xx, …) throws, so the answer is not cached
+async function mp4Exists(url) {
+  const res = await fetch(url, { method: "HEAD", signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  if (res.status === 404) return false;
+  if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+  return true;
+}
+
+function isFresh(info, { maxAgeMs, noMp4MaxAgeMs }) {
+  const age = Date.now() - Date.parse(info.probedAt || "");
+  return age >= 0 && age < (info.mp4?.length ? maxAgeMs : noMp4MaxAgeMs);
+}
+
+/**
+ * What Mux serves for one playback id, as cached:
+ *   { renditions: [{ width?, height?, bandwidth, averageBandwidth?, frameRate?, codecs? }],
+ *     hasAudio, mp4: ["high", …] }
+ */
+export async function resolveMuxPlayback(playbackId, { base = DEFAULT_STREAM_BASE } = {}) {
+  const hlsUrl = `${base}/${playbackId}.m3u8`;
+  const playlist = parseMasterPlaylist(await fetchPlaylist(hlsUrl), hlsUrl);
+  const mp4 = [];
+  for (const quality of MP4_QUALITIES) {
+    if (await mp4Exists(`${base}/${playbackId}/${quality}.mp4`)) mp4.push(quality);
+  }
+  return {
+    renditions: playlist.renditions.map(({ uri, audioGroup, ...r }) => r),
+    hasAudio: playlistHasAudio(playlist),
+    mp4
+  };
+}
+
+// Feed fields for a resolved playback id: HLS first (adaptive), then the MP4s best first
+function muxFields(playbackId, info, base) {
+  const sources = [
+    { src: `${base}/${playbackId}.m3u8`, type: HLS_MIME_TYPE },
+    ...info.mp4.map(quality => ({ src: `${base}/${playbackId}/${quality}.mp4`, type: "video/mp4", quality }))
+  ];
+  return {
+    sources,
+    renditions: info.renditions,
+    ...(typeof info.hasAudio === "boolean" ? { hasAudio: info.hasAudio } : {})
+  };
+}
+
+/**
+ * Post-processing stage: `sources`, `renditions` and `hasAudio` for every Mux video, resolved
+ * from its playback id and cached per id across runs (up to maxAgeMs, noMp4MaxAgeMs for ids
+ * without static MP4s). `src` is left alone; videos that are not on Mux, or that cannot be
+ * resolved, are kept as they are.
+ */
+export async function resolveMuxVideos(items, {
+  base = DEFAULT_STREAM_BASE,
+  cache = null,
+  maxAgeMs = MUX_CACHE_MAX_AGE_MS,
+  noMp4MaxAgeMs = MUX_NO_MP4_MAX_AGE_MS,
+  concurrency = 4,
+  hosts = NO_HOST_LIMITS,
+  log = rootLog
+} = {}) {
+  let resolved = 0;
+  let cached = 0;
+  let failed = 0;
+
+  const out = await mapLimit(items, concurrency, async (it) => {
+    const pid = it.type === "video" ? muxPlaybackIdFromUrl(it.src) : null;
+    if (!pid) return it;
+
+    let info = cache?.get(pid);
+    if (info && !isFresh(info, { maxAgeMs, noMp4MaxAgeMs })) info = null;
+    if (info) {
+      cached++;
+    } else {
+      try {
+        info = await hosts.run(base, () => resolveMuxPlayback(pid, { base }));
+      } catch (e) {
+        failed++;
+        const error = String(e?.message || e).slice(0, 200);
+        log.debug("mux.unresolved", `   ⚠️  Could not resolve Mux video ${it.src}: ${error}`, { url: it.src, error });
+        return it;
+      }
+      resolved++;
+      cache?.set(pid, info);
+    }
+    return { ...it, ...muxFields(pid, info, base) };
+  });
+
+  log.info("mux", `🎞️  Mux videos: ${resolved} resolved, ${cached} cached, ${failed} failed`, { resolved, cached, failed });
+  return out;
+}
@@ -0,0 +1,197 @@
+import { spawn } from "child_process";
+import { withRetries } from "./concurrency.mjs";
+import { log as rootLog } from "./log.mjs";
+
+/**
+ * Outbound notifications at the end of each gallery run. A gallery's `notify` is a list of:
+ *   { type: "webhook", url, headers? }   POST the payload as JSON
+ *   { type: "slack", url }               POST a Slack incoming-webhook message ({ text })
+ *   { type: "command", command }         run through the shell, payload JSON on stdin
+ * each with `on` (events it fires for, default failure + added + removed) and `retries`.
+ */
+export const NOTIFY_TYPES = ["webhook", "slack", "command"];
+export const NOTIFY_EVENTS = ["failure", "success", "added", "removed"];
+const DEFAULT_EVENTS = ["failure", "added", "removed"];
+const DEFAULT_RETRIES = 3;
+const RETRY_BASE_MS = 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+const COMMAND_TIMEOUT_MS = 30000;
+// Slack messages list this many added/removed URLs, the rest is counted
+const SLACK_URL_LIMIT = 5;
+
+// Hooks from NOTIFY_WEBHOOK / NOTIFY_SLACK_WEBHOOK / NOTIFY_COMMAND (used when the config sets none)
+export function notifyFromEnv(env = process.env) {
+  const hooks = [];
+  if (env.NOTIFY_WEBHOOK) hooks.push({ type: "webhook", url: env.NOTIFY_WEBHOOK });
+  if (env.NOTIFY_SLACK_WEBHOOK) hooks.push({ type: "slack", url: env.NOTIFY_SLACK_WEBHOOK });
+  if (env.NOTIFY_COMMAND) hooks.push({ type: "command", command: env.NOTIFY_COMMAND });
+  return hooks;
+}
+
+// Checked and filled-in hook list (throws on unknown types/events or missing url/command)
+export function validateNotify(hooks, where) {
+  if (!Array.isArray(hooks)) throw new Error(`notify must be a list in ${where}`);
+  return hooks.map((h, i) => {
+    const label = `notify #${i + 1} in ${where}`;
+    if (!h || !NOTIFY_TYPES.includes(h.type)) {
+      throw new Error(`Unknown ${label} type "${h?.type}", expected ${NOTIFY_TYPES.join(" | ")}`);
+    }
+    if (h.type === "command" ? !h.command : !h.url) {
+      throw new Error(`${label} needs ${h.type === "command" ? "a command" : "a url"}`);
+    }
+    const on = h.on === undefined ? DEFAULT_EVENTS : [].concat(h.on);
+    for (const ev of on) {
+      if (!NOTIFY_EVENTS.includes(ev)) throw new Error(`Unknown event "${ev}" in ${label}, expected ${NOTIFY_EVENTS.join(" | ")}`);
+    }
+    const retries = Number(h.retries ?? DEFAULT_RETRIES);
+    if (!Number.isInteger(retries) || retries < 0) throw new Error(`retries must be a whole number in ${label}`);
+    return { ...h, on, retries };
+  });
+}
+
+/**
+ * What a hook receives. `result` is { ok: true, count, diff } for a published feed or
+ * { ok: false, error, state?, hydration? } for a failed run (state: page-state.mjs).
+ */
+export function runPayload(gallery, result, at = new Date()) {
+  if (!result.ok) {
+    return {
+      gallery: gallery.slug,
+      url: gallery.url,
+      status: "failed",
+      events: ["failure"],
+      error: result.error,
+      state: result.state || null,
+      hydration: result.hydration || null,
+      at: at.toISOString()
+    };
+  }
+  const added = (result.diff?.added || []).map(e => e.src);
+  const removed = (result.diff?.removed || []).map(e => e.src);
+  return {
+    gallery: gallery.slug,
+    url: gallery.url,
+    status: "ok",
+    events: ["success", ...(added.length ? ["added"] : []), ...(removed.length ? ["removed"] : [])],
+    count: result.count,
+    previousCount: result.diff?.previousCount ?? null,
+    added,
+    removed,
+    error: null,
+    at: at.toISOString()
+  };
+}
+
+function urlList(urls) {
+  const shown = urls.slice(0, SLACK_URL_LIMIT).map(u => `• ${u}`);
+  if (urls.length > SLACK_URL_LIMIT) shown.push(`… and ${urls.length - SLACK_URL_LIMIT} more`);
+  return shown.join("\n");
+}
+
+export function slackMessage(payload) {
+  const name = `<${payload.url}|${payload.gallery}>`;
+  if (payload.status === "failed") return { text: `❌ ${name} failed: ${payload.error}` };
+
+  const { added, removed } = payload;
+  if (!added.length && !removed.length) return { text: `✅ ${name}: ${payload.count} items, no changes` };
+
+  const lines = [`🆕 ${name}: +${added.length} / -${removed.length} (${payload.previousCount ?? 0} → ${payload.count} items)`];
+  if (added.length) lines.push(`*Added*\n${urlList(added)}`);
+  if (removed.length) lines.push(`*Removed*\n${urlList(removed)}`);
+  return { text: lines.join("\n") };
+}
+
+function deliveryError(message, retryable = true) {
+  return Object.assign(new Error(message), { retryable });
+}
+
+// Error text with the hook URL (and so its secret) taken out
+function redact(message, url) {
+  let href = url;
+  try {
+    href = new URL(url).href;
+  } catch {}
+  return String(message).split(url).join("<hook url>").split(href).join("<hook url>");
+}
+
+async function post(url, body, headers = {}) {
+  let res;
+  try {
+    res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+  } catch (e) {
+    throw deliveryError(redact(e?.cause?.message || e?.message || e, url));
+  }
+  await res.arrayBuffer().catch(() => {});
+  // Client errors other than rate limiting will not fix themselves on retry
+  if (!res.ok) throw deliveryError(`HTTP ${res.status}`, res.status >= 500 || res.status === 429 || res.status === 408);
+}
+
+function runCommand(command, payload) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, {
+      shell: true,
+      stdio: ["pipe", "inherit", "inherit"],
+      timeout: COMMAND_TIMEOUT_MS,
+      env: {
+        ...process.env,
+        NOTIFY_GALLERY: payload.gallery,
+        NOTIFY_STATUS: payload.status,
+        NOTIFY_EVENTS: payload.events.join(",")
+      }
+    });
+    child.on("error", e => reject(deliveryError(e.message)));
+    child.on("close", (code, signal) => {
+      if (code === 0) resolve();
+      else reject(deliveryError(signal ? `killed by ${signal}` : `exit code ${code}`));
+    });
+    child.stdin.on("error", () => {});
+    child.stdin.end(JSON.stringify(payload, null, 2));
+  });
+}
+
+function deliver(hook, payload) {
+  if (hook.type === "webhook") return post(hook.url, payload, hook.headers);
+  if (hook.type === "slack") return post(hook.url, slackMessage(payload));
+  return runCommand(hook.command, payload);
+}
+
+// Log-safe name of a hook (webhook URLs often carry their secret in the path)
+function describe(hook) {
+  if (hook.type === "command") return `command "${hook.command}"`;
+  try {
+    return `${hook.type} ${new URL(hook.url).host}`;
+  } catch {
+    return hook.type;
+  }
+}
+
+/**
+ * Fire every hook of the gallery whose `on` matches the run. Never throws: a hook that still
+ * fails after its retries is logged and reported in the returned list.
+ */
+export async function notifyRun(gallery, result, { baseMs = RETRY_BASE_MS, log = rootLog } = {}) {
+  const hooks = gallery.notify || [];
+  if (!hooks.length) return [];
+
+  const payload = runPayload(gallery, result);
+  const due = hooks.filter(h => h.on.some(ev => payload.events.includes(ev)));
+  return Promise.all(due.map(async (hook) => {
+    try {
+      await withRetries((attempt) => {
+        if (attempt) log.info("notify.retry", `   ↻ Retrying ${describe(hook)} (attempt ${attempt + 1})`, { hook: describe(hook), attempt: attempt + 1 });
+        return deliver(hook, payload);
+      }, { retries: hook.retries, baseMs, shouldRetry: e => e.retryable !== false });
+      log.info("notify.sent", `📣 Notified ${describe(hook)} (${payload.events.join(", ")})`, { hook: describe(hook), events: payload.events });
+      return { hook: describe(hook), ok: true };
+    } catch (e) {
+      const error = String(e?.message || e).slice(0, 200);
+      log.warn("notify.failed", `⚠️  Notification to ${describe(hook)} failed: ${error}`, { hook: describe(hook), error });
+      return { hook: describe(hook), ok: false, error };
+    }
+  }));
+}
@@ -0,0 +1,107 @@
+/**
+ * Grid-order reconstruction for Cosmos's masonry layout.
+ *
+ * Cosmos places each tile in the currently shortest column (leftmost on ties), so tops are
+ * non-decreasing in placement order. We rebuild that order from DOM captures:
+ *   1. keep the first capture of every item (later scroll passes can see it shifted a few px)
+ *   2. cluster `left` values into columns
+ *   3. sort each column by top, then merge the columns: lowest top first, leftmost on near-ties
+ */
+
+// Captures whose left differs by less than this (CSS px) belong to the same column
+const COLUMN_TOLERANCE = 12;
+// Column heads closer than this are a tie, decided by column (sub-pixel / rounding noise)
+const TOP_TOLERANCE = 2;
+// Heads closer than this (but not tied) were decided by a few pixels: counted against confidence
+const AMBIGUOUS_TOP = 24;
+
+// Column start positions (ascending) for a set of left offsets
+export function detectColumns(lefts, tolerance = COLUMN_TOLERANCE) {
+  const sorted = [...lefts].sort((a, b) => a - b);
+  const columns = [];
+  for (const left of sorted) {
+    const last = columns[columns.length - 1];
+    if (last && left - last.max <= tolerance) {
+      last.max = left;
+      last.sum += left;
+      last.n++;
+    } else {
+      columns.push({ min: left, max: left, sum: left, n: 1 });
+    }
+  }
+  return columns.map(c => ({ left: c.sum / c.n, min: c.min, max: c.max, size: c.n }));
+}
+
+function columnIndexOf(columns, left) {
+  let best = 0;
+  for (let i = 1; i < columns.length; i++) {
+    if (Math.abs(columns[i].left - left) < Math.abs(columns[best].left - left)) best = i;
+  }
+  return best;
+}
+
+/**
+ * Placement order of positional captures ({ key, top, left, … }; `key` identifies an item,
+ * captures sharing a key are the same tile seen in several passes).
+ * Returns { items, report } with report = { columns, items, duplicates, jittered, ambiguous, confidence }.
+ */
+export function masonryOrder(captures, {
+  columnTolerance = COLUMN_TOLERANCE,
+  topTolerance = TOP_TOLERANCE,
+  ambiguousTop = AMBIGUOUS_TOP
+} = {}) {
+  // 1) First-seen position wins
+  const firstSeen = new Map();
+  let duplicates = 0;
+  let jittered = 0;
+  for (const it of captures) {
+    const prev = firstSeen.get(it.key);
+    if (!prev) {
+      firstSeen.set(it.key, it);
+      continue;
+    }
+    duplicates++;
+    if (Math.abs(prev.top - it.top) > topTolerance || Math.abs(prev.left - it.left) > columnTolerance) jittered++;
+  }
+  const unique = [...firstSeen.values()];
+
+  // 2) Columns
+  const columns = detectColumns(unique.map(it => it.left), columnTolerance);
+  const byColumn = columns.map(() => []);
+  for (const it of unique) byColumn[columnIndexOf(columns, it.left)].push(it);
+  byColumn.forEach(col => col.sort((a, b) => a.top - b.top));
+
+  // 3) k-way merge of the columns
+  const heads = byColumn.map(() => 0);
+  const items = [];
+  let ambiguous = 0;
+  while (items.length < unique.length) {
+    let pick = -1;
+    for (let c = 0; c < byColumn.length; c++) {
+      if (heads[c] >= byColumn[c].length) continue;
+      const top = byColumn[c][heads[c]].top;
+      // Columns are scanned left to right, so only a clearly lower top takes over
+      if (pick < 0 || top < byColumn[pick][heads[pick]].top - topTolerance) pick = c;
+    }
+
+    const chosenTop = byColumn[pick][heads[pick]].top;
+    for (let c = 0; c < byColumn.length; c++) {
+      if (c === pick || heads[c] >= byColumn[c].length) continue;
+      const diff = Math.abs(byColumn[c][heads[c]].top - chosenTop);
+      if (diff > topTolerance && diff <= ambiguousTop) {
+        ambiguous++;
+        break;
+      }
+    }
+
+    items.push(byColumn[pick][heads[pick]++]);
+  }
+
+  const penalties = ambiguous + jittered;
+  const confidence = unique.length ? Math.max(0, Math.round((1 - penalties / unique.length) * 100) / 100) : 1;
+
+  return {
+    items,
+    report: { columns: columns.length, items: unique.length, duplicates, jittered, ambiguous, confidence }
+  };
+}
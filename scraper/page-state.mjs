@@ -0,0 +1,161 @@
+import { loginWallError } from "./auth.mjs";
+
+/**
+ * What a gallery page turned out to be once it loaded, each with its own exit code and retry
+ * policy:
+ *   hydrated         the board's media are on the page: scrape it
+ *   empty            the board exists but has no elements: publish an empty feed
+ *   not-found        404 / 410, or the site's "page not found" screen
+ *   login-required   401, or a login wall (auth.mjs)
+ *   blocked          429 / 403, or a bot challenge (Cloudflare, DataDome, hCaptcha, …)
+ *   timeout          navigation failed, the server errored (5xx), or no media within the gate
+ * Only blocked and timeout are retried (blocked after a back-off); the others will not change
+ * with another navigation.
+ */
+export const PAGE_STATES = ["hydrated", "empty", "not-found", "login-required", "blocked", "timeout"];
+
+// Exit code for failures that are not about the page (schema, shrink guard, fixture mismatch, …)
+export const EXIT_FAILED = 1;
+
+export const PAGE_STATE_POLICIES = {
+  hydrated: { exitCode: 0, retry: false },
+  empty: { exitCode: 0, retry: false },
+  "not-found": { exitCode: 3, retry: false },
+  "login-required": { exitCode: 4, retry: false },
+  blocked: { exitCode: 5, retry: true, backoff: true },
+  timeout: { exitCode: 6, retry: true }
+};
+
+// Longest back-off before retrying a blocked page, whatever Retry-After says
+export const MAX_BLOCKED_WAIT_MS = 5 * 60 * 1000;
+
+// Bot-challenge interstitials; these depend on the CDN in front of a site, not on the site
+export const CHALLENGE_MARKERS = {
+  selectors: [
+    "#challenge-form",
+    "#challenge-running",
+    "iframe[src*='challenges.cloudflare.com']",
+    "iframe[src*='hcaptcha.com']",
+    "iframe[src*='captcha-delivery.com']",
+    "#px-captcha"
+  ],
+  text: [
+    "^just a moment",
+    "^checking (if the site connection is secure|your browser)",
+    "^verify(ing)? (that )?you are (a )?human",
+    "^attention required",
+    "^(access denied|too many requests)[.!]?$"
+  ]
+};
+
+// Retry-After (seconds or an HTTP date) in ms, or null
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const s = String(value).trim();
+  if (/^\d+$/.test(s)) return Number(s) * 1000;
+  const at = Date.parse(s);
+  return isNaN(at) ? null : Math.max(0, at - now);
+}
+
+/**
+ * Media counted towards hydration (as the old gate did: img, video and media-host background
+ * images under the source's root) and which markers are visible: the source's `emptyMarkers` and
+ * `notFoundMarkers`, and CHALLENGE_MARKERS. Marker fields hold a short description, or null.
+ * Resolves to null when the page cannot be read (mid-navigation, closed).
+ */
+export async function readPageSnapshot(page, source) {
+  return await page.evaluate(({ rootSelectors, mediaHosts, markers }) => {
+    const root =
+      rootSelectors.map(sel => document.querySelector(sel)).find(Boolean) ||
+      document.body;
+
+    const imgs = root.querySelectorAll("img").length;
+    const vids = root.querySelectorAll("video").length;
+    let bg = 0;
+    root.querySelectorAll("*").forEach(el => {
+      const b = getComputedStyle(el).backgroundImage || "";
+      if (!b.includes("url(") || b.includes("gradient(")) return;
+      const u = b.match(/url\((['"]?)(.*?)\1\)/i)?.[2] || "";
+      // only count background urls that look like real media/CDN, not UI assets
+      if (u && (!mediaHosts.length || mediaHosts.some(h => u.includes(h)))) bg++;
+    });
+
+    const visible = (el) => {
+      const r = el?.getBoundingClientRect();
+      return !!r && r.width > 0 && r.height > 0;
+    };
+    // Short text nodes only: a marker is a heading or a line, not a paragraph that mentions it
+    const find = ({ selectors = [], text = [] }, scope, title = "") => {
+      const hit = selectors.find(sel => [...scope.querySelectorAll(sel)].some(visible));
+      if (hit) return hit;
+      const texts = text.map(t => new RegExp(t, "i"));
+      if (title && texts.some(re => re.test(title))) return `title "${title}"`;
+      const walker = document.createTreeWalker(scope, NodeFilter.SHOW_TEXT);
+      for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        const t = node.textContent.trim();
+        if (t && t.length <= 120 && texts.some(re => re.test(t)) && visible(node.parentElement)) return `"${t}"`;
+      }
+      return null;
+    };
+
+    return {
+      media: imgs + vids + bg,
+      empty: find(markers.empty, root),
+      notFound: find(markers.notFound, document.body, document.title.trim()),
+      challenge: find(markers.challenge, document.body, document.title.trim())
+    };
+  }, {
+    rootSelectors: source.rootSelectors,
+    mediaHosts: source.mediaHosts,
+    markers: { empty: source.emptyMarkers || {}, notFound: source.notFoundMarkers || {}, challenge: CHALLENGE_MARKERS }
+  }).catch(() => null);
+}
+
+/**
+ * The page's state from what we know about it:
+ *   status        HTTP status of the gallery document (null when unknown)
+ *   dataStatuses  statuses of the site's own data requests since navigating
+ *   loginWall     detectLoginWall()'s reason, or null
+ *   snapshot      readPageSnapshot()
+ * Resolves to { state, reason }, or null while undecided (keep waiting), unless `final` (the
+ * hydration gate ran out), which makes it a timeout.
+ */
+export function classifyPageState({ status = null, dataStatuses = [], loginWall = null, snapshot = null, minMedia = 6, final = false }) {
+  if (loginWall) return { state: "login-required", reason: loginWall };
+  if (status === 401) return { state: "login-required", reason: "HTTP 401" };
+  if (status === 404 || status === 410) return { state: "not-found", reason: `HTTP ${status}` };
+  if (snapshot?.challenge) return { state: "blocked", reason: `bot challenge (${snapshot.challenge})` };
+  if (status === 429 || status === 403) return { state: "blocked", reason: `HTTP ${status}` };
+  if (dataStatuses.includes(429)) return { state: "blocked", reason: "HTTP 429 on the site's data requests" };
+  if (snapshot && snapshot.media >= minMedia) return { state: "hydrated", reason: `${snapshot.media} media` };
+  // Markers only count on a page without the board's media, so a caption like "404" on a tile
+  // cannot turn a board into a missing one
+  if (snapshot?.notFound) return { state: "not-found", reason: `not-found page (${snapshot.notFound})` };
+  if (snapshot?.empty) return { state: "empty", reason: `empty board (${snapshot.empty})` };
+  if (status >= 500) return { state: "timeout", reason: `HTTP ${status}` };
+  if (final) return { state: "timeout", reason: `${snapshot?.media ?? 0} of ${minMedia} media on the page` };
+  return null;
+}
+
+// The error a gallery fails with for a page state, `pageState` ({ state, reason }) on it
+export function pageStateError(gallery, source, { state, reason }) {
+  let e;
+  if (state === "login-required") {
+    e = loginWallError(gallery, source, reason);
+  } else if (state === "not-found") {
+    e = new Error(`${source.title} has no board at ${gallery.url} (${reason}); check the gallery URL`);
+  } else if (state === "blocked") {
+    e = new Error(`${source.title} blocked the scraper at ${gallery.url} (${reason}); lower RATE_LIMIT / WORKERS or try again later`);
+  } else {
+    e = new Error(`${source.title} did not hydrate in time (${reason})`);
+  }
+  e.pageState = { state, reason };
+  return e;
+}
+
+// Process exit code for a batch: that of the failed galleries' common state, else EXIT_FAILED
+export function batchExitCode(failedStates) {
+  if (!failedStates.length) return 0;
+  const codes = new Set(failedStates.map(state => PAGE_STATE_POLICIES[state]?.exitCode || EXIT_FAILED));
+  return codes.size === 1 ? [...codes][0] : EXIT_FAILED;
+}
@@ -0,0 +1,223 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { NO_HOST_LIMITS, mapLimit } from "./concurrency.mjs";
+import { extractPosterFrame, loadSharp } from "./derivatives.mjs";
+import { log as rootLog } from "./log.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Near-duplicate detection: the same picture behind different URLs (uploaded twice, or served
+ * from two CDN paths). Every image, and every video's poster frame, gets a 64-bit perceptual
+ * hash; items of the same type whose hashes are within `distance` bits of each other form a
+ * cluster, and only its best member (largest real dimensions) stays in the feed.
+ *   dhash   brightness gradients of a 9×8 thumbnail (fast, survives resizing and recompression)
+ *   phash   low frequencies of the DCT of a 32×32 thumbnail (also survives small edits)
+ */
+export const PERCEPTUAL_HASHES = ["dhash", "phash"];
+export const DEFAULT_HASH = "dhash";
+export const DEFAULT_DISTANCE = 6;
+export const DEFAULT_HASH_CACHE = path.resolve(__dirname, "../.cache/phash.json");
+
+const FETCH_TIMEOUT_MS = 60000;
+const MAX_IMAGE_BYTES = 40 * 1024 * 1024;
+
+// Config check for `nearDuplicates: true | { hash, distance }`
+export function validateNearDuplicates(value, where) {
+  if (value === undefined || value === null || typeof value === "boolean") return;
+  if (typeof value !== "object" || Array.isArray(value)) {
+    throw new Error(`nearDuplicates must be true, false or { hash, distance } in ${where}`);
+  }
+  if (value.hash !== undefined && !PERCEPTUAL_HASHES.includes(value.hash)) {
+    throw new Error(`Unknown perceptual hash "${value.hash}" in ${where}, expected ${PERCEPTUAL_HASHES.join(" | ")}`);
+  }
+  const d = value.distance;
+  if (d !== undefined && (!Number.isInteger(d) || d < 0 || d > 64)) {
+    throw new Error(`nearDuplicates distance must be a whole number of bits (0-64) in ${where}`);
+  }
+}
+
+// Grayscale pixels of a w×h thumbnail (aspect ratio ignored, as both hashes expect)
+async function grayPixels(input, w, h) {
+  const sharp = await loadSharp();
+  const { data, info } = await sharp(input).rotate().flatten({ background: "#ffffff" }).greyscale()
+    .resize(w, h, { fit: "fill" }).raw().toBuffer({ resolveWithObject: true });
+  const px = new Float64Array(w * h);
+  for (let i = 0; i < px.length; i++) px[i] = data[i * info.channels];
+  return px;
+}
+
+function bitsToHex(bits) {
+  let hex = "";
+  for (let i = 0; i < bits.length; i += 4) {
+    hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+  }
+  return hex;
+}
+
+export async function dHash(input) {
+  const px = await grayPixels(input, 9, 8);
+  const bits = [];
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) bits.push(px[y * 9 + x] < px[y * 9 + x + 1] ? 1 : 0);
+  }
+  return bitsToHex(bits);
+}
+
+const DCT_SIZE = 32;
+const DCT_KEEP = 8;
+const COS = Array.from({ length: DCT_KEEP }, (_, u) =>
+  Array.from({ length: DCT_SIZE }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * DCT_SIZE))));
+
+export async function pHash(input) {
+  const px = await grayPixels(input, DCT_SIZE, DCT_SIZE);
+  // Top-left 8×8 of the 2D DCT-II, the lowest frequencies
+  const rows = Array.from({ length: DCT_SIZE }, (_, y) =>
+    COS.map(cu => cu.reduce((sum, c, x) => sum + c * px[y * DCT_SIZE + x], 0)));
+  const coeffs = [];
+  for (let v = 0; v < DCT_KEEP; v++) {
+    for (let u = 0; u < DCT_KEEP; u++) {
+      coeffs.push(COS[v].reduce((sum, c, y) => sum + c * rows[y][u], 0));
+    }
+  }
+  // Compared to the median, leaving out the DC term (overall brightness)
+  const median = [...coeffs.slice(1)].sort((a, b) => a - b)[Math.floor((coeffs.length - 1) / 2)];
+  return bitsToHex(coeffs.map(c => (c > median ? 1 : 0)));
+}
+
+export function hammingDistance(a, b) {
+  let x = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let n = 0;
+  while (x) {
+    n += Number(x & 1n);
+    x >>= 1n;
+  }
+  return n;
+}
+
+async function fetchImage(url) {
+  const res = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+  if (Number(res.headers.get("content-length")) > MAX_IMAGE_BYTES) throw new Error(`Too large to hash: ${url}`);
+  return Buffer.from(await res.arrayBuffer());
+}
+
+// Still to hash for an item: the image itself, a video's poster, else a frame grabbed with ffmpeg
+function stillOf(it) {
+  if (it.type !== "video") return { url: it.src, input: () => fetchImage(it.src) };
+  if (it.poster) return { url: it.poster, input: () => fetchImage(it.poster) };
+  return {
+    url: it.src,
+    async input() {
+      const file = path.join(os.tmpdir(), `cosmos-frame-${process.pid}-${Math.random().toString(36).slice(2)}.jpg`);
+      try {
+        if (!(await extractPosterFrame(it.src, file, it.duration))) throw new Error(`No poster frame for ${it.src}`);
+        return fs.readFileSync(file);
+      } finally {
+        fs.rmSync(file, { force: true });
+      }
+    }
+  };
+}
+
+/**
+ * Clusters of near-identical items: union of every same-type pair whose hashes are at most
+ * `distance` apart. entries: [{ index, type, hash }]; returns arrays of entries, biggest first.
+ */
+export function clusterNearDuplicates(entries, distance) {
+  const parent = entries.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      if (entries[i].type !== entries[j].type) continue;
+      if (hammingDistance(entries[i].hash, entries[j].hash) <= distance) parent[find(j)] = find(i);
+    }
+  }
+  const groups = new Map();
+  entries.forEach((e, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(e);
+  });
+  return [...groups.values()].filter(g => g.length > 1).sort((a, b) => b.length - a.length);
+}
+
+const area = (it) => (Number(it.width) || 0) * (Number(it.height) || 0);
+
+/**
+ * Post-processing stage (after probing, so "best" means real dimensions): drops near-duplicates,
+ * the best member of each cluster taking the place of the first. Hashes are cached by URL across
+ * runs; items that cannot be hashed are kept as they are.
+ * Resolves to { items, report } with every drop listed in report.dropped.
+ */
+export async function dropNearDuplicates(items, {
+  hash = DEFAULT_HASH,
+  distance = DEFAULT_DISTANCE,
+  cache = null,
+  concurrency = 4,
+  hosts = NO_HOST_LIMITS,
+  log = rootLog
+} = {}) {
+  const hashFn = hash === "phash" ? pHash : dHash;
+  let hashed = 0;
+  let cached = 0;
+  let failed = 0;
+
+  const hashes = await mapLimit(items, concurrency, async (it) => {
+    const still = stillOf(it);
+    const hit = cache?.get(still.url)?.[hash];
+    if (hit) {
+      cached++;
+      return hit;
+    }
+    try {
+      const value = await hashFn(await hosts.run(still.url, () => still.input()));
+      cache?.set(still.url, { ...cache.get(still.url), [hash]: value });
+      hashed++;
+      return value;
+    } catch (e) {
+      failed++;
+      const error = String(e?.message || e).slice(0, 200);
+      log.debug("near-duplicates.unhashed", `   ⚠️  Could not hash ${it.src}: ${error}`, { url: it.src, error });
+      return null;
+    }
+  });
+
+  const entries = items.map((it, index) => ({ index, type: it.type, hash: hashes[index] })).filter(e => e.hash);
+  const clusters = clusterNearDuplicates(entries, distance);
+
+  const replace = new Map(); // index of a cluster's first member -> its best member
+  const dropped = new Set();
+  const droppedReport = [];
+  for (const cluster of clusters) {
+    const [first, ...rest] = cluster;
+    const best = cluster.reduce((a, b) => (area(items[b.index]) > area(items[a.index]) ? b : a));
+    replace.set(first.index, items[best.index]);
+    rest.forEach(e => dropped.add(e.index));
+    for (const e of cluster) {
+      if (e === best) continue;
+      droppedReport.push({
+        src: items[e.index].src,
+        keptSrc: items[best.index].src,
+        distance: hammingDistance(e.hash, best.hash)
+      });
+    }
+  }
+
+  const out = [];
+  items.forEach((it, i) => {
+    if (replace.has(i)) out.push(replace.get(i));
+    else if (!dropped.has(i)) out.push(it);
+  });
+
+  const report = { hash, distance, hashed, cached, failed, clusters: clusters.length, dropped: droppedReport };
+  log.info(
+    "near-duplicates",
+    `🪞 Near-duplicates: ${droppedReport.length} dropped in ${clusters.length} clusters (${hashed} hashed, ${cached} cached, ${failed} failed)`,
+    { hash, distance, hashed, cached, failed, clusters: clusters.length, dropped: droppedReport.length }
+  );
+  return { items: out, report };
+}
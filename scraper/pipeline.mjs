@@ -0,0 +1,121 @@
+import {
+  VIDEO_EXT_RE,
+  clampDim,
+  guessMediaType,
+  normaliseURL
+} from "./filters.mjs";
+import { filterVerdict, isExcludedUrl } from "./extract.mjs";
+import { masonryOrder } from "./ordering.mjs";
+
+/**
+ * Positional DOM captures that survive the filters, normalised and keyed, in capture order.
+ * The same tile captured in several passes appears several times (same key).
+ */
+export function positionalCandidates(positional, base, source, tally = null) {
+  const out = [];
+
+  for (const it of positional) {
+    const src = it.src;
+
+    // The filter rules again, now that the item's type is settled (eg image hosts)
+    const verdict = filterVerdict(src, source, it.type, { origin: "dom", width: it.width, height: it.height });
+    if (!verdict.ok) {
+      tally?.add(verdict.rule, src, { origin: "dom", stage: "candidates", detail: verdict.detail });
+      continue;
+    }
+
+    const norm = normaliseURL(src, base);
+    if (!norm) continue;
+
+    out.push({ ...it, src: norm, key: source.itemKey(it.type, norm) });
+  }
+
+  return out;
+}
+
+// Masonry placement order of the positional captures, with its confidence report
+export function gridOrder(positional, base, source, tally = null) {
+  return masonryOrder(positionalCandidates(positional, base, source, tally));
+}
+
+/**
+ * Ordered, deduped item list:
+ * - positional DOM captures first, in reconstructed masonry order (see ordering.mjs)
+ * - then network-only items (from foundMap) that never appeared on screen
+ */
+export function orderItems(positional, foundMap, base, source, tally = null) {
+  const seen = new Set();
+  const seenSrcs = new Set();
+  const ordered = [];
+
+  for (const it of gridOrder(positional, base, source, tally).items) {
+    seen.add(it.key);
+    seenSrcs.add(it.src);
+
+    // Position comes from the first capture, dims from the best one (foundMap keeps the largest seen)
+    const best = foundMap.get(it.src);
+    const out = {
+      type: it.type,
+      src: it.src,
+      width: clampDim(best?.width || it.width, 0),
+      height: clampDim(best?.height || it.height, 0)
+    };
+
+    // Keep poster if present and not junk
+    if (it.poster) {
+      const p = normaliseURL(it.poster, base);
+      if (p && !isExcludedUrl(p, source, { origin: "dom" })) out.poster = p;
+    }
+
+    ordered.push(out);
+  }
+
+  // Optional: append network-only items that never appeared on screen.
+  // Keep after visible items so ordering stays correct.
+  for (const v of foundMap.values()) {
+    const src = v?.src;
+    if (!src) continue;
+    const where = { origin: v.origin || "network", stage: "order" };
+    const verdict = filterVerdict(src, source, guessMediaType(src, v.type), { origin: where.origin, width: v.width, height: v.height });
+    if (!verdict.ok) {
+      tally?.add(verdict.rule, src, { ...where, detail: verdict.detail });
+      continue;
+    }
+
+    const type = v.type || (VIDEO_EXT_RE.test(new URL(src).pathname) ? "video" : "image");
+
+    // Mux renditions and the HLS playlist are added after scraping (mux.mjs)
+    const norm = normaliseURL(src, base);
+    if (!norm) continue;
+
+    const key = source.itemKey(type, norm);
+
+    // Same media as an item we already have (eg another URL of the same Mux video)
+    if (seen.has(key)) {
+      if (!seenSrcs.has(norm)) tally?.add("duplicate", norm, { ...where, detail: key });
+      continue;
+    }
+    seen.add(key);
+    seenSrcs.add(norm);
+
+    ordered.push({
+      type,
+      src: norm,
+      width: clampDim(v.width, 0),
+      height: clampDim(v.height, 0)
+    });
+  }
+
+  return ordered;
+}
+
+// Ordered items plus the source's own cleanup (eg Cosmos's mp4/Mux pairs)
+export function buildFeedItems(positional, foundMap, base, source, tally = null) {
+  const ordered = orderItems(positional, foundMap, base, source, tally);
+  const collapsed = source.collapse(ordered);
+  if (tally && collapsed.length < ordered.length) {
+    const kept = new Set(collapsed.map(it => it.src));
+    for (const it of ordered) if (!kept.has(it.src)) tally.add("collapsed", it.src, { origin: "dom", stage: "collapse" });
+  }
+  return collapsed;
+}
@@ -0,0 +1,109 @@
+import path from "path";
+import { NO_HOST_LIMITS } from "./concurrency.mjs";
+import { deriveItems, variantOptionsFromEnv } from "./derivatives.mjs";
+import { log as rootLog } from "./log.mjs";
+import { mirrorItems } from "./mirror.mjs";
+import { DEFAULT_MUX_CACHE, DEFAULT_STREAM_BASE, resolveMuxVideos } from "./mux.mjs";
+import { DEFAULT_DISTANCE, DEFAULT_HASH, DEFAULT_HASH_CACHE, dropNearDuplicates } from "./perceptual.mjs";
+import { loadProbeCache, probeItems } from "./probe.mjs";
+
+// Header probing for true dimensions (set PROBE_DIMENSIONS=0, or `probe: false` per gallery, to skip)
+const PROBE_DIMENSIONS = process.env.PROBE_DIMENSIONS !== "0";
+const PROBE_CONCURRENCY = Number(process.env.PROBE_CONCURRENCY || 6);
+
+// HLS renditions, static MP4s and audio flag of Mux videos (set MUX_SOURCES=0, or
+// `muxSources: false` per gallery, to skip). MUX_STREAM_BASE swaps in another host (eg a local stand-in).
+const MUX_SOURCES = process.env.MUX_SOURCES !== "0";
+const MUX_STREAM_BASE = (process.env.MUX_STREAM_BASE || DEFAULT_STREAM_BASE).replace(/\/+$/, "");
+
+// Near-duplicate pass (opt-in: NEAR_DUPLICATES=1, or `nearDuplicates: true` / `{ hash, distance }`
+// per gallery). Hashes every image and video poster frame; frames without a poster need ffmpeg.
+const NEAR_DUPLICATES = process.env.NEAR_DUPLICATES === "1";
+const NEAR_DUPLICATE_HASH = process.env.NEAR_DUPLICATE_HASH || DEFAULT_HASH;
+const NEAR_DUPLICATE_DISTANCE = Number(process.env.NEAR_DUPLICATE_DISTANCE || DEFAULT_DISTANCE);
+
+// Local media mirror (opt-in: MIRROR_MEDIA=1, or `mirror: true` per gallery)
+const MIRROR_MEDIA = process.env.MIRROR_MEDIA === "1";
+const MIRROR_CONCURRENCY = Number(process.env.MIRROR_CONCURRENCY || 4);
+const MIRROR_RETRIES = Number(process.env.MIRROR_RETRIES || 3);
+
+// Responsive variants + placeholders for mirrored media (opt-in: DERIVATIVES=1, or `derivatives: true`
+// / `derivatives: { widths, formats }` per gallery). Needs the mirror; video posters need ffmpeg.
+const DERIVATIVES = process.env.DERIVATIVES === "1";
+const { widths: VARIANT_WIDTHS, formats: VARIANT_FORMATS } = variantOptionsFromEnv();
+
+let probeCache = null;
+let muxCache = null;
+let hashCache = null;
+
+/**
+ * Stages that run on the final ordered item list, after scraping and before publishing.
+ * Each stage takes and returns the whole list; order matters (mirroring wants probed items).
+ * Their fetches share `hosts` (createHostLimits) with every other gallery in flight; an aborted
+ * `signal` (the gallery's timeout) stops the run between stages.
+ */
+export async function postProcess(gallery, items, { log = rootLog, report = null, hosts = NO_HOST_LIMITS, signal = null } = {}) {
+  if (PROBE_DIMENSIONS && gallery.probe !== false) {
+    probeCache ??= loadProbeCache(process.env.PROBE_CACHE || undefined);
+    items = await probeItems(items, { cache: probeCache, concurrency: PROBE_CONCURRENCY, hosts, log });
+    probeCache.save();
+  }
+
+  signal?.throwIfAborted();
+  if (MUX_SOURCES && gallery.muxSources !== false) {
+    muxCache ??= loadProbeCache(process.env.MUX_CACHE || DEFAULT_MUX_CACHE);
+    items = await resolveMuxVideos(items, { base: MUX_STREAM_BASE, cache: muxCache, hosts, log });
+    muxCache.save();
+  }
+
+  // Before mirroring, so dropped duplicates are never downloaded or derived
+  signal?.throwIfAborted();
+  const dedupe = gallery.nearDuplicates ?? NEAR_DUPLICATES;
+  if (dedupe) {
+    const opts = typeof dedupe === "object" ? dedupe : {};
+    hashCache ??= loadProbeCache(process.env.PHASH_CACHE || DEFAULT_HASH_CACHE);
+    const res = await dropNearDuplicates(items, {
+      hash: opts.hash || NEAR_DUPLICATE_HASH,
+      distance: opts.distance ?? NEAR_DUPLICATE_DISTANCE,
+      cache: hashCache,
+      hosts,
+      log
+    });
+    hashCache.save();
+    items = res.items;
+    if (report) {
+      report.set({
+        nearDuplicates: res.report,
+        drops: report.data.drops && { ...report.data.drops, "near-duplicate": res.report.dropped.length }
+      });
+    }
+  }
+
+  signal?.throwIfAborted();
+  if (gallery.mirror ?? MIRROR_MEDIA) {
+    items = await mirrorItems(items, {
+      outDir: path.dirname(gallery.outFile),
+      publicUrl: gallery.publicUrl,
+      concurrency: MIRROR_CONCURRENCY,
+      retries: MIRROR_RETRIES,
+      hosts,
+      log
+    });
+  }
+
+  signal?.throwIfAborted();
+  const derive = gallery.derivatives ?? DERIVATIVES;
+  if (derive) {
+    const opts = typeof derive === "object" ? derive : {};
+    items = await deriveItems(items, {
+      outDir: path.dirname(gallery.outFile),
+      publicUrl: gallery.publicUrl,
+      widths: opts.widths || VARIANT_WIDTHS,
+      formats: opts.formats || VARIANT_FORMATS,
+      log
+    });
+  }
+
+  signal?.throwIfAborted();
+  return items;
+}
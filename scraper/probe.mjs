@@ -0,0 +1,160 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { NO_HOST_LIMITS, mapLimit } from "./concurrency.mjs";
+import { log as rootLog } from "./log.mjs";
+import { imageSizeFromHeader, listBoxes, mp4InfoFromMoov } from "./media-headers.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_PROBE_CACHE = path.resolve(__dirname, "../.cache/probe.json");
+
+const IMAGE_HEAD_BYTES = 64 * 1024;
+const IMAGE_MAX_BYTES = 512 * 1024; // JPEGs with big EXIF/ICC blocks push SOF further out
+const MP4_CHUNK_BYTES = 64 * 1024;
+const MP4_MAX_MOOV_BYTES = 16 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 20000;
+
+/**
+ * Bytes [start, end] of a URL via a Range request. Servers that ignore Range get their
+ * body cut off after the requested length, so we never download whole files.
+ * Resolves to { buf, total } where total is the full size when the server told us.
+ */
+export async function fetchRange(url, start, end) {
+  const res = await fetch(url, {
+    headers: { Range: `bytes=${start}-${end}` },
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+
+  const ranged = res.status === 206;
+  const total = Number((res.headers.get("content-range") || "").split("/")[1]) ||
+    (!ranged && Number(res.headers.get("content-length"))) || 0;
+
+  // A 200 means we got the file from byte 0: skip up to `start` ourselves
+  const skip = ranged ? 0 : start;
+  const want = end - start + 1;
+  const chunks = [];
+  let have = 0;
+  let seen = 0;
+  const reader = res.body.getReader();
+  try {
+    while (have < want) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      let part = Buffer.from(value);
+      if (seen < skip) {
+        const drop = Math.min(skip - seen, part.length);
+        seen += drop;
+        part = part.subarray(drop);
+      }
+      if (!part.length) continue;
+      chunks.push(part);
+      have += part.length;
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+  return { buf: Buffer.concat(chunks).subarray(0, want), total };
+}
+
+export async function probeImage(url) {
+  let { buf } = await fetchRange(url, 0, IMAGE_HEAD_BYTES - 1);
+  let size = imageSizeFromHeader(buf);
+  if (!size && buf.length >= IMAGE_HEAD_BYTES) {
+    ({ buf } = await fetchRange(url, 0, IMAGE_MAX_BYTES - 1));
+    size = imageSizeFromHeader(buf);
+  }
+  return size;
+}
+
+// Walk top-level boxes with small range reads until we hold the whole moov (front or back of the file)
+export async function probeMp4(url) {
+  let offset = 0;
+  let { buf: chunk, total } = await fetchRange(url, 0, MP4_CHUNK_BYTES - 1);
+  let chunkStart = 0;
+
+  for (let guard = 0; guard < 32; guard++) {
+    const rel = offset - chunkStart;
+    if (rel < 0 || rel + 16 > chunk.length) {
+      if (total && offset >= total) return null;
+      ({ buf: chunk } = await fetchRange(url, offset, offset + MP4_CHUNK_BYTES - 1));
+      chunkStart = offset;
+      if (chunk.length < 8) return null;
+      continue;
+    }
+
+    const [box] = listBoxes(chunk, rel, chunk.length);
+    if (!box) return null;
+
+    if (box.type === "moov") {
+      if (box.size > MP4_MAX_MOOV_BYTES) return null;
+      let moovBuf = chunk;
+      let moov = box;
+      if (rel + box.size > chunk.length) {
+        ({ buf: moovBuf } = await fetchRange(url, offset, offset + box.size - 1));
+        [moov] = listBoxes(moovBuf, 0, moovBuf.length);
+      }
+      const info = mp4InfoFromMoov(moovBuf, moov);
+      return info.width && info.height ? info : null;
+    }
+
+    offset += box.size;
+  }
+  return null;
+}
+
+export function loadProbeCache(file = DEFAULT_PROBE_CACHE) {
+  let entries = {};
+  try {
+    entries = JSON.parse(fs.readFileSync(file, "utf8")) || {};
+  } catch {}
+
+  return {
+    get: (url) => entries[url] || null,
+    set: (url, info) => { entries[url] = { ...info, probedAt: new Date().toISOString() }; },
+    save() {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(entries, null, 2));
+    }
+  };
+}
+
+/**
+ * Post-processing stage: true intrinsic width/height (and duration for videos) for every item,
+ * read from file headers and cached by URL across runs. Items that cannot be probed keep
+ * whatever the DOM gave us. Fetches wait for a slot on their host in `hosts`.
+ */
+export async function probeItems(items, { cache, concurrency = 6, hosts = NO_HOST_LIMITS, log = rootLog } = {}) {
+  let probed = 0;
+  let cached = 0;
+  let failed = 0;
+
+  const out = await mapLimit(items, concurrency, async (it) => {
+    let info = cache?.get(it.src);
+    if (info) {
+      cached++;
+    } else {
+      try {
+        info = await hosts.run(it.src, () => (it.type === "video" ? probeMp4(it.src) : probeImage(it.src)));
+      } catch {
+        info = null;
+      }
+      if (!info) {
+        failed++;
+        return it;
+      }
+      probed++;
+      cache?.set(it.src, info);
+    }
+
+    const next = { ...it, width: info.width, height: info.height };
+    next.aspectRatio = Math.round((info.width / info.height) * 10000) / 10000;
+    if (it.type === "video" && info.duration) next.duration = info.duration;
+    return next;
+  });
+
+  log.info("probe", `📐 Dimensions: ${probed} probed, ${cached} cached, ${failed} unknown`, { probed, cached, failed });
+  return out;
+}
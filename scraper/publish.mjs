@@ -0,0 +1,114 @@
+import fs from "fs";
+import path from "path";
+import { diffFeeds, diffReportPath, dropPercent, readPreviousFeed } from "./diff.mjs";
+import { writeFormats } from "./formats.mjs";
+import { log as rootLog } from "./log.mjs";
+import { SCHEMA_VERSION, SCRAPER_VERSION, validateFeed } from "./schema.mjs";
+import { sourceFor } from "./sources/index.mjs";
+
+// FEED_SHAPE: "legacy" | "versioned" | "both" (legacy <slug>.json + versioned <slug>.v2.json)
+export const FEED_SHAPES = ["legacy", "versioned", "both"];
+
+export function feedDocument(gallery, items) {
+  return { ok: true, source: gallery.url, count: items.length, items };
+}
+
+export function versionedFeedDocument(gallery, items, generatedAt = new Date()) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    generatedAt: generatedAt.toISOString(),
+    scraperVersion: SCRAPER_VERSION,
+    ok: true,
+    source: gallery.url,
+    slug: gallery.slug,
+    count: items.length,
+    items
+  };
+}
+
+export function versionedPath(outFile) {
+  return outFile.replace(/\.json$/i, "") + ".v2.json";
+}
+
+// [file, document, shape] pairs to write for the gallery's feed shape
+function feedFiles(gallery, items) {
+  const shape = gallery.feedShape || "legacy";
+  if (shape === "versioned") return [[gallery.outFile, versionedFeedDocument(gallery, items), "versioned"]];
+  const files = [[gallery.outFile, feedDocument(gallery, items), "legacy"]];
+  if (shape === "both") files.push([versionedPath(gallery.outFile), versionedFeedDocument(gallery, items), "versioned"]);
+  return files;
+}
+
+/**
+ * Write public/<slug>.json (+ <slug>.diff.json and any extra formats) for a scraped gallery.
+ * Throws, keeping the previous feed, when a document fails schema validation
+ * or when the shrink guard trips and we are not forced.
+ * pageState: the page's { state, reason } (page-state.mjs); a board the site itself shows as
+ * empty is not held back by the shrink guard.
+ */
+export function publishFeed(gallery, items, { force = false, pageState = null, log = rootLog } = {}) {
+  const OUT_FILE = gallery.outFile;
+  const { MAX_DROP_PCT } = gallery.tunables;
+
+  // Diff against the feed we published last time (same keys as the dedupe pass)
+  const diff = diffFeeds(readPreviousFeed(OUT_FILE), items, sourceFor(gallery));
+  const dropPct = dropPercent(diff);
+  const forced = force || gallery.force === true;
+  const emptied = pageState?.state === "empty";
+  const guardTripped = dropPct > MAX_DROP_PCT && !emptied;
+  log.info(
+    "diff",
+    `Diff vs previous feed: ${diff.previousCount} → ${diff.count} ` +
+    `(+${diff.added.length} / -${diff.removed.length}, ${diff.reordered.length} moved)`,
+    { previousCount: diff.previousCount, count: diff.count, added: diff.added.length, removed: diff.removed.length, moved: diff.reordered.length }
+  );
+
+  fs.mkdirSync(path.dirname(OUT_FILE), { recursive: true });
+  fs.writeFileSync(
+    diffReportPath(OUT_FILE),
+    JSON.stringify({
+      source: gallery.url,
+      generatedAt: new Date().toISOString(),
+      guard: {
+        maxDropPct: MAX_DROP_PCT,
+        dropPct: Math.round(dropPct * 10) / 10,
+        tripped: guardTripped,
+        forced,
+        pageState: pageState?.state ?? null,
+        skipped: emptied ? pageState.reason : null
+      },
+      ...diff
+    }, null, 2)
+  );
+
+  // Validate everything before touching any feed file
+  const files = feedFiles(gallery, items);
+  for (const [file, doc, shape] of files) {
+    const errors = validateFeed(doc, shape);
+    if (errors.length) {
+      for (const err of errors) log.error("schema.error", `   ✗ ${err}`, { shape, error: err });
+      throw new Error(`Feed for ${gallery.slug} failed ${shape} schema validation (${errors.length} errors), kept ${file}`);
+    }
+  }
+
+  if (guardTripped && !forced) {
+    throw new Error(
+      `Refusing to overwrite ${OUT_FILE}: item count dropped ${dropPct.toFixed(1)}% ` +
+      `(${diff.previousCount} → ${diff.count}, limit ${MAX_DROP_PCT}%). Re-run with --force to accept.`
+    );
+  }
+  if (guardTripped) log.warn("guard.forced", `⚠️  Drop of ${dropPct.toFixed(1)}% accepted (forced)`, { dropPct });
+  if (emptied && dropPct > MAX_DROP_PCT) {
+    log.warn("guard.empty", `⚠️  Drop of ${dropPct.toFixed(1)}% accepted: ${pageState.reason}`, { dropPct, reason: pageState.reason });
+  }
+
+  for (const [file, doc] of files) fs.writeFileSync(file, JSON.stringify(doc, null, 2));
+  const extra = writeFormats(gallery, items);
+
+  log.info("saved", `✅ Saved ${items.length} items → ${files.map(([file]) => file).join(", ")}`, {
+    count: items.length,
+    files: files.map(([file]) => file)
+  });
+  for (const file of extra) log.info("saved.format", `   + ${file}`, { file });
+  return { count: items.length, outFile: OUT_FILE, diff };
+}
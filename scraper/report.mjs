@@ -0,0 +1,115 @@
+import fs from "fs";
+import path from "path";
+
+// Filter rules a URL can be dropped by, in the order they are checked
+export const DROP_RULES = ["excluded", "mux-thumbnail", "m3u8", "image-host", "not-media", "duplicate", "collapsed"];
+
+export function runReportPath(outFile) {
+  return outFile.replace(/\.json$/i, "") + ".run-report.json";
+}
+
+/**
+ * Unique URLs dropped per filter rule. The same tile is captured on every scroll, so each URL is
+ * counted once, under the first rule that dropped it; filter decisions are logged at debug level.
+ * `where` is { origin, stage, detail?, raw? }; with a trace (trace.mjs) every decision, kept or
+ * dropped, is recorded there too.
+ */
+export function createDropTally(log = null, trace = null) {
+  const ruleByUrl = new Map();
+
+  return {
+    add(rule, url, where = {}) {
+      if (!url) return;
+      trace?.record("dropped", rule, url, where);
+      if (ruleByUrl.has(url)) return;
+      ruleByUrl.set(url, rule);
+      log?.debug("filter.drop", `   ✗ ${rule}: ${url}`, { rule, url, ...where });
+    },
+
+    keep(rule, url, where = {}) {
+      trace?.record("kept", rule, url, where);
+    },
+
+    reset() {
+      ruleByUrl.clear();
+      trace?.reset();
+    },
+
+    // Counts per rule, leaving out URLs that made it into the feed by another path
+    counts(keptSrcs = []) {
+      const kept = new Set(keptSrcs);
+      const out = Object.fromEntries(DROP_RULES.map(rule => [rule, 0]));
+      for (const [url, rule] of ruleByUrl) {
+        if (!kept.has(url)) out[rule]++;
+      }
+      return out;
+    }
+  };
+}
+
+/**
+ * Machine-readable account of one gallery run, written to <slug>.run-report.json next to the
+ * feed whether the run succeeded or not: phase timings, each navigation attempt with its
+ * hydration signals and page state, what was collected, per-rule drop counts and the final count.
+ */
+export function createRunReport(gallery) {
+  const started = Date.now();
+  const data = {
+    gallery: gallery.slug,
+    url: gallery.url,
+    source: null,
+    mode: gallery.mode || "api",
+    ok: null,
+    error: null,
+    startedAt: new Date(started).toISOString(),
+    finishedAt: null,
+    ms: null,
+    phases: {},
+    attempts: [],
+    hydration: null,
+    pageState: null,
+    collected: null,
+    apiFallback: null,
+    ordering: null,
+    drops: null,
+    nearDuplicates: null,
+    count: null
+  };
+
+  return {
+    data,
+
+    // Run fn, adding its duration to phases[phase] (phases repeat across retries)
+    async time(phase, fn) {
+      const t = Date.now();
+      try {
+        return await fn();
+      } finally {
+        data.phases[phase] = (data.phases[phase] || 0) + Date.now() - t;
+      }
+    },
+
+    set(fields) {
+      Object.assign(data, fields);
+    },
+
+    attempt(entry) {
+      data.attempts.push(entry);
+    },
+
+    finish({ count = null, error = null } = {}) {
+      data.ok = !error;
+      data.error = error ? String(error?.message || error).slice(0, 300) : null;
+      data.count = count;
+      data.finishedAt = new Date().toISOString();
+      data.ms = Date.now() - started;
+      return data;
+    },
+
+    write(file) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(data, null, 2));
+      return file;
+    }
+  };
+}
@@ -0,0 +1,171 @@
+import { fileExtension } from "./filters.mjs";
+import { DROP_RULES } from "./report.mjs";
+
+/**
+ * Declarative filter rules: what counts as media for a gallery.
+ *
+ *   - exclude: { type: video, origin: network }
+ *   - include: { type: image, host: ["images.example.com", "*.example.org"], minWidth: 400 }
+ *
+ * Each rule includes or excludes the URLs matching all of its conditions (a list means any of):
+ *   url, host, path     glob, `*` matching anything, case-insensitive; or { regex: "…" }
+ *                       (url is checked against the URL as captured and normalised)
+ *   ext                 extension of the last path segment, without the dot ("" = none)
+ *   type                image | video | unknown (network URLs without a media extension)
+ *   origin              dom (rendered on the board) | network (responses, JSON bodies, API pages)
+ *   minWidth, minHeight, maxWidth, maxHeight
+ *                       rendered or API size; only match when the size is known
+ * The first matching rule decides; when none matches the URL is dropped as "not-media".
+ * Optional `name` (traces, logs) and `report` (the run report rule a drop counts under,
+ * default "excluded").
+ */
+
+export const RULE_TYPES = ["image", "video", "unknown"];
+export const RULE_ORIGINS = ["dom", "network"];
+const PATTERN_CONDITIONS = ["url", "host", "path"];
+const SIZE_CONDITIONS = {
+  minWidth: (c, n) => c.width >= n,
+  minHeight: (c, n) => c.height >= n,
+  maxWidth: (c, n) => c.width <= n,
+  maxHeight: (c, n) => c.height <= n
+};
+const SIZE_DIM = { minWidth: "width", maxWidth: "width", minHeight: "height", maxHeight: "height" };
+const CONDITIONS = [...PATTERN_CONDITIONS, "ext", "type", "origin", ...Object.keys(SIZE_CONDITIONS)];
+
+const listOf = (v) => (Array.isArray(v) ? v : [v]);
+
+function patternRe(pattern, where) {
+  if (pattern && typeof pattern === "object" && typeof pattern.regex === "string") {
+    try {
+      return new RegExp(pattern.regex, "i");
+    } catch (e) {
+      throw new Error(`Bad regex ${JSON.stringify(pattern.regex)} in ${where}: ${e.message}`);
+    }
+  }
+  if (typeof pattern !== "string" || !pattern) {
+    throw new Error(`Filter patterns must be non-empty strings or { regex } in ${where}`);
+  }
+  const body = pattern.split("*").map(s => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*");
+  return new RegExp(`^${body}$`, "i");
+}
+
+function compileRule(rule, where, fallbackName) {
+  if (!rule || typeof rule !== "object" || Array.isArray(rule)) throw new Error(`Filter rules must be objects in ${where}`);
+  const actions = ["include", "exclude"].filter(a => a in rule);
+  if (actions.length !== 1) throw new Error(`Filter rule needs exactly one of include | exclude in ${where}`);
+  const action = actions[0];
+  const when = rule[action] || {};
+  if (typeof when !== "object" || Array.isArray(when)) throw new Error(`Filter rule ${action} must be an object in ${where}`);
+
+  const unknown = Object.keys(when).find(k => !CONDITIONS.includes(k));
+  if (unknown) throw new Error(`Unknown filter condition "${unknown}" in ${where}, expected ${CONDITIONS.join(" | ")}`);
+  const report = rule.report || (action === "exclude" ? "excluded" : null);
+  if (report && !DROP_RULES.includes(report)) {
+    throw new Error(`Unknown report rule "${report}" in ${where}, expected ${DROP_RULES.join(" | ")}`);
+  }
+
+  const tests = [];
+  for (const key of PATTERN_CONDITIONS) {
+    if (when[key] === undefined) continue;
+    const res = listOf(when[key]).map(p => patternRe(p, where));
+    tests.push(key === "url"
+      ? (c) => res.some(re => re.test(c.url) || (!!c.raw && re.test(c.raw)))
+      : (c) => res.some(re => re.test(c[key])));
+  }
+  if (when.ext !== undefined) {
+    const exts = new Set(listOf(when.ext).map(e => String(e ?? "").replace(/^\./, "").toLowerCase()));
+    tests.push((c) => exts.has(c.ext));
+  }
+  for (const [key, allowed] of [["type", RULE_TYPES], ["origin", RULE_ORIGINS]]) {
+    if (when[key] === undefined) continue;
+    const values = new Set(listOf(when[key]));
+    const bad = [...values].find(v => !allowed.includes(v));
+    if (bad !== undefined) throw new Error(`Unknown filter ${key} "${bad}" in ${where}, expected ${allowed.join(" | ")}`);
+    tests.push((c) => values.has(c[key]));
+  }
+  for (const [key, cmp] of Object.entries(SIZE_CONDITIONS)) {
+    if (when[key] === undefined) continue;
+    const n = Number(when[key]);
+    if (!isFinite(n) || n < 0) throw new Error(`Filter condition ${key} must be a number of pixels in ${where}`);
+    const dim = SIZE_DIM[key];
+    tests.push((c) => c[dim] > 0 && cmp(c, n));
+  }
+
+  return {
+    name: rule.name || fallbackName,
+    action,
+    report,
+    test: (c) => tests.every(t => t(c))
+  };
+}
+
+export function compileRules(rules = [], where = "filter rules") {
+  return rules.map((rule, i) => compileRule(rule, `${where}, rule #${i + 1}`, `rule #${i + 1}`));
+}
+
+/**
+ * Config check for a `rules:` list. Returns it with unnamed rules named after their place
+ * (eg "gallery rule #2"), so traces and logs can point back at the config.
+ */
+export function validateRules(rules, where, label = "rule") {
+  if (rules === undefined || rules === null) return [];
+  if (!Array.isArray(rules)) throw new Error(`rules must be a list in ${where}`);
+  const named = rules.map((r, i) => (r && typeof r === "object" && !Array.isArray(r) && !r.name ? { ...r, name: `${label} #${i + 1}` } : r));
+  compileRules(named, where);
+  return named;
+}
+
+// URLs no source ever wants; ahead of every other rule, so nothing can let them back in
+const BUILT_IN_RULES = compileRules([
+  { name: "m3u8", report: "m3u8", exclude: { url: ["*.m3u8", "*.m3u8?*"] } },
+  { name: "junk", exclude: { url: ["data:*", "*favicon*"] } }
+], "built-in rules");
+
+const rulesets = { full: new WeakMap(), defaults: new WeakMap() };
+
+/**
+ * Rules a URL goes through, first match wins: the built-in ones, then the gallery's own
+ * (source.galleryRules, see sourceFor), then the source's defaults. `defaultsOnly` leaves out
+ * the gallery's rules.
+ */
+export function rulesetOf(source, { defaultsOnly = false } = {}) {
+  const cache = defaultsOnly ? rulesets.defaults : rulesets.full;
+  if (!cache.has(source)) {
+    cache.set(source, [...BUILT_IN_RULES, ...(defaultsOnly ? [] : source.galleryRules || []), ...source.rules]);
+  }
+  return cache.get(source);
+}
+
+/**
+ * Verdict of a ruleset on one candidate { url, raw?, type, origin, width?, height? }:
+ *   { ok, rule, detail, excluded }
+ * Kept URLs name the include rule that let them in; dropped ones get the report rule, with the
+ * rule that matched as `detail`. `excluded` is true when an exclude rule matched (rather than
+ * no rule at all).
+ */
+export function evaluateRules(rules, { url, raw = null, type = "unknown", origin = "network", width = 0, height = 0 }) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    return { ok: false, rule: "not-media", detail: "bad-url", excluded: false };
+  }
+
+  const candidate = {
+    url,
+    raw,
+    type,
+    origin: origin === "dom" ? "dom" : "network",
+    width: Number(width) || 0,
+    height: Number(height) || 0,
+    host: u.host.toLowerCase(),
+    path: u.pathname,
+    ext: fileExtension(u.pathname)
+  };
+  for (const rule of rules) {
+    if (!rule.test(candidate)) continue;
+    if (rule.action === "include") return { ok: true, rule: rule.name, detail: null, excluded: false };
+    return { ok: false, rule: rule.report, detail: rule.name, excluded: true };
+  }
+  return { ok: false, rule: "not-media", detail: "no-match", excluded: false };
+}
@@ -0,0 +1,40 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import Ajv from "ajv/dist/2020.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const SCHEMA_VERSION = 2;
+export const FEED_SCHEMA = JSON.parse(fs.readFileSync(path.join(__dirname, "feed.schema.json"), "utf8"));
+export const SCRAPER_VERSION = JSON.parse(
+  fs.readFileSync(path.resolve(__dirname, "../package.json"), "utf8")
+).version;
+
+const ajv = new Ajv({ allErrors: true });
+ajv.addSchema(FEED_SCHEMA);
+const validators = {
+  versioned: ajv.getSchema(FEED_SCHEMA.$id),
+  legacy: ajv.getSchema(`${FEED_SCHEMA.$id}#/$defs/legacyFeed`)
+};
+
+/**
+ * Problems with a feed document (empty when it is valid).
+ * Item errors point at the item's index and src so a bad item is easy to find.
+ */
+export function validateFeed(doc, shape = "versioned") {
+  const validate = validators[shape];
+  const errors = [];
+  if (!validate(doc)) {
+    for (const e of validate.errors.slice(0, 20)) {
+      const m = /^\/items\/(\d+)/.exec(e.instancePath);
+      const where = m ? `${e.instancePath} (${doc.items[Number(m[1])]?.src})` : e.instancePath || "/";
+      errors.push(`${where} ${e.message}`);
+    }
+  }
+  if (Array.isArray(doc?.items) && doc.count !== doc.items.length) {
+    errors.push(`/count is ${doc.count} but there are ${doc.items.length} items`);
+  }
+  return errors;
+}
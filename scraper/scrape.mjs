@@ -1,799 +1,366 @@
 import fs from "fs";
 import path from "path";
-import { fileURLToPath } from "url";
+import { parseArgs } from "util";
 import { chromium } from "playwright";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const COSMOS_URL = process.env.COSMOS_URL || "https://www.cosmos.so/rlphoto/swim";
-const OUT_DIR = path.resolve(__dirname, "../public");
-const OUT_FILE = process.env.OUT_FILE
-  ? path.resolve(process.env.OUT_FILE)
-  : path.join(OUT_DIR, "gallery.json");
-
-// Tunables via env
-const MAX_SCROLLS   = Number(process.env.MAX_SCROLLS   || 260);
-const WAIT_BETWEEN  = Number(process.env.WAIT_BETWEEN  || 900);
-const FIRST_IDLE    = Number(process.env.FIRST_IDLE    || 8000);
-const STABLE_CHECKS = Number(process.env.STABLE_CHECKS || 8);
-
-// Hydration / retry tunables (safe defaults)
-const HYDRATION_MIN_MEDIA = Number(process.env.HYDRATION_MIN_MEDIA || 6); // img + video + bg tiles
-const RETRY_IDLE_MULT     = Number(process.env.RETRY_IDLE_MULT     || 1.75);
-const RETRY_MAX           = Number(process.env.RETRY_MAX           || 1);
-
-// Media patterns
-const IMAGE_EXT_RE = /\.(jpe?g|png|webp|gif|avif|heic)(\?|$)/i;
-const VIDEO_EXT_RE = /\.(mp4|webm|m4v|mov)(\?|$)/i;
-const MEDIA_EXT_RE = /\.(jpe?g|png|webp|gif|avif|mp4|webm|m4v|mov|heic)(\?|$)/i;
-const M3U8_EXT_RE  = /\.m3u8(\?|$)/i;
-
-// Hosts
-const CDN_HOST_ALLOW = [
-  "cdn.cosmos.so",
-  "files.cosmos.so",
-  "image.mux.com",
-  "stream.mux.com",
-  "images.prismic",
-  "cloudfront",
-  "googleusercontent"
-];
-
-// Image host enforcement (only keep images hosted on cosmos.so)
-function isCosmosImageHost(hostname) {
-  const h = (hostname || "").toLowerCase();
-  return h === "cosmos.so" || h.endsWith(".cosmos.so");
+import { DEFAULT_AUTH_DIR, interactiveLogin } from "./auth.mjs";
+import { createHostLimits, createLimiter, createRateLimiter, mapLimit, withTimeout } from "./concurrency.mjs";
+import { galleryFromEnv, loadGalleryConfig, readPool } from "./config.mjs";
+import { startDaemon } from "./daemon.mjs";
+import { checkFixtureOutput, fixtureDirFor } from "./fixtures.mjs";
+import { scrapeGallery } from "./gallery.mjs";
+import { log } from "./log.mjs";
+import { notifyRun } from "./notify.mjs";
+import { batchExitCode } from "./page-state.mjs";
+import { postProcess } from "./postprocess.mjs";
+import { publishFeed } from "./publish.mjs";
+import { createRunReport, runReportPath } from "./report.mjs";
+import { startFeedServer } from "./server.mjs";
+import { createRecorder, replaySession } from "./session.mjs";
+import { sourceFor } from "./sources/index.mjs";
+import { DEFAULT_TRACE_DIR, createTrace, explainUrl, readTrace, traceFile } from "./trace.mjs";
+
+// Batch mode: `node scraper/scrape.mjs galleries.yaml` (or GALLERY_CONFIG=galleries.json).
+// Without a config file we scrape the single COSMOS_URL → OUT_FILE as before.
+const { values: FLAGS, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    // Overwrite feeds even when the shrink guard (MAX_DROP_PCT) trips
+    force: { type: "boolean", default: false },
+    // Offline run against recorded responses (fixtures/<slug>/index.json), no network
+    fixtures: { type: "string" },
+    // Save every response + DOM pass into <dir>/<slug>-<timestamp>/ for later replay
+    record: { type: "string" },
+    // Rebuild the feed from a recorded session dir, without a browser
+    replay: { type: "string" },
+    // Keep running: re-scrape each gallery on its `schedule`, status page on DAEMON_PORT
+    daemon: { type: "boolean", default: false },
+    // Keep running: serve the output dir on SERVER_PORT, with POST /<slug>/refresh
+    serve: { type: "boolean", default: false },
+    // Record every filter decision into TRACE_DIR/<slug>.jsonl
+    trace: { type: "boolean", default: false },
+    // What happened to this URL in the last traced run (of --gallery <slug>, else of every gallery)
+    explain: { type: "string" },
+    gallery: { type: "string" },
+    // Log in by hand in a visible browser and save the session of this account (or gallery slug)
+    login: { type: "string" }
+  }
+});
+
+const CONFIG_FILE = positionals[0] || process.env.GALLERY_CONFIG || "";
+const FORCE_WRITE = FLAGS.force || process.env.FORCE_WRITE === "1";
+const FIXTURE_ROOT = FLAGS.fixtures || process.env.FIXTURE_DIR || "";
+const RECORD_ROOT = FLAGS.record || process.env.RECORD_DIR || "";
+const DAEMON_PORT = Number(process.env.DAEMON_PORT || 8787);
+const DAEMON_HOST = process.env.DAEMON_HOST || "127.0.0.1";
+const SERVER_PORT = Number(process.env.SERVER_PORT || 8080);
+const SERVER_HOST = process.env.SERVER_HOST || "127.0.0.1";
+const FEED_SERVER_TOKEN = process.env.FEED_SERVER_TOKEN || "";
+const TRACE = FLAGS.trace || process.env.TRACE === "1";
+const TRACE_DIR = process.env.TRACE_DIR ? path.resolve(process.env.TRACE_DIR) : DEFAULT_TRACE_DIR;
+
+function loadConfig() {
+  if (CONFIG_FILE) return loadGalleryConfig(CONFIG_FILE);
+  const gallery = galleryFromEnv();
+  return { outDir: path.dirname(gallery.outFile), galleries: [gallery], ...readPool() };
 }
 
-// Exclusions
-function isExcluded(src) {
-  return (
-    !src ||
-    src.startsWith("data:") ||
-    src.includes("default-avatars") ||
-    src.includes("/_next/") ||
-    src.includes("favicon") ||
-    src.includes("cosmos.so/api/avatar") ||
-    M3U8_EXT_RE.test(src)
-  );
+// What every worker shares: the rate limit against the sites and the per-host fetch caps
+function createShared({ rateLimit, hostConcurrency }) {
+  return { rateLimiter: createRateLimiter(rateLimit), hosts: createHostLimits(hostConcurrency) };
 }
 
-// Ignore mux thumbnails (these cause "duplicate looking" stills)
-function isMuxThumbnail(urlStr) {
-  try {
-    const u = new URL(urlStr);
-    return (
-      u.host.toLowerCase() === "image.mux.com" &&
-      /\/thumbnail\.png$/i.test(u.pathname)
-    );
-  } catch {
-    return false;
+// <slug>.run-report.json next to the feed, plus a one-line account of what the filters dropped
+function writeRunReport(report, gallery, glog) {
+  const { drops } = report.data;
+  if (drops) {
+    const parts = Object.entries(drops).filter(([, n]) => n).map(([rule, n]) => `${rule} ${n}`);
+    glog.info("drops", `🧹 Dropped: ${parts.join(", ") || "nothing"}`, { drops });
   }
-}
-
-// Normalise URL (strip query/hash, keep extension)
-function normaliseURL(src, base = COSMOS_URL) {
   try {
-    const u = new URL(src, base);
-    u.search = "";
-    u.hash = "";
-    return `${u.protocol}//${u.host}${u.pathname}`;
-  } catch {
-    return null;
+    const file = report.write(runReportPath(gallery.outFile));
+    glog.debug("report", `🧾 Run report → ${file}`, { file });
+  } catch (e) {
+    const error = String(e?.message || e).slice(0, 200);
+    glog.warn("report.failed", `⚠️  Could not write run report: ${error}`, { error });
   }
 }
 
-function hasFileExtension(pathname) {
-  // True if last path segment contains ".ext"
+// scrapeGallery, writing the filter trace when tracing is on (TRACE / --trace, or `trace: true`)
+async function scrapeTraced(browser, gallery, opts, glog) {
+  const trace = TRACE || gallery.trace === true ? createTrace() : null;
+  let items = [];
+  let error = null;
   try {
-    const last = (pathname || "").split("/").filter(Boolean).pop() || "";
-    return /\.[a-z0-9]{2,5}$/i.test(last);
-  } catch {
-    return false;
+    const res = await scrapeGallery(browser, gallery, { ...opts, log: glog, trace });
+    items = res.items;
+    return res;
+  } catch (e) {
+    error = e;
+    throw e;
+  } finally {
+    if (trace) {
+      const file = trace.write(traceFile(TRACE_DIR, gallery.slug), { gallery, source: sourceFor(gallery), items, error });
+      glog.info("trace", `🔬 Filter trace → ${file}`, { file });
+    }
   }
 }
 
-/**
- * Allow rule:
- * - Always reject .m3u8
- * - For images: allow cosmos.so hosted images, including extensionless Cosmos URLs
- * - For videos: keep existing allow behaviour (extension OR allowlisted host)
- * - For unknown: keep existing allow behaviour (extension OR allowlisted host)
- */
-function allowByHostAndExt(urlStr, typeHint = "unknown") {
-  try {
-    const u = new URL(urlStr);
-    const pathname = u.pathname || "";
-    if (M3U8_EXT_RE.test(pathname)) return false;
-
-    const hostOk = CDN_HOST_ALLOW.some(h => u.host.toLowerCase().includes(h));
-    const extOk  = MEDIA_EXT_RE.test(pathname);
-
-    if (typeHint === "image") {
-      // Cosmos often serves AVIF with no extension (eg /<uuid>)
-      // Accept only cosmos hosted, reject obvious video/m3u8, and allow extensionless.
-      if (!isCosmosImageHost(u.host)) return false;
-      if (VIDEO_EXT_RE.test(pathname)) return false;
-      if (M3U8_EXT_RE.test(pathname)) return false;
-
-      if (IMAGE_EXT_RE.test(pathname)) return true;
-      // If no extension on the last segment, treat it as a Cosmos image.
-      if (!hasFileExtension(pathname)) return true;
-
-      return false;
-    }
+async function runGallery(browser, gallery, glog, { rateLimiter, hosts }, signal) {
+  const recorder = RECORD_ROOT ? createRecorder(RECORD_ROOT, gallery, glog) : null;
+  const report = createRunReport(gallery);
 
-    if (typeHint === "video") {
-      return extOk || hostOk;
+  if (!FIXTURE_ROOT) {
+    try {
+      const { items, ordering, hydration, pageState } = await scrapeTraced(browser, gallery, { recorder, report, rateLimiter, signal }, glog);
+      const processed = await report.time("postprocess", () => postProcess(gallery, items, { log: glog, report, hosts, signal }));
+      // Past the timeout nothing is written: the previous feed stays
+      signal?.throwIfAborted();
+      const published = await report.time("publish", () => publishFeed(gallery, processed, { force: FORCE_WRITE, pageState, log: glog }));
+      report.finish({ count: published.count });
+      return { ...published, ordering, hydration, pageState };
+    } catch (e) {
+      // A timed-out run fails with whatever the closed page threw; report the timeout instead
+      const error = signal?.aborted ? signal.reason : e;
+      report.finish({ error });
+      throw error;
+    } finally {
+      writeRunReport(report, gallery, glog);
     }
-
-    return extOk || hostOk;
-  } catch {
-    return false;
   }
-}
 
-// Mux helpers
-const MUX_STREAM_HOST = "stream.mux.com";
-function muxPlaybackIdFromUrl(urlStr) {
-  try {
-    const u = new URL(urlStr);
-    if (u.host.toLowerCase() !== MUX_STREAM_HOST) return null;
-    const seg = u.pathname.split("/").filter(Boolean);
-    return seg[0] || null; // /<playbackId>/low.mp4
-  } catch {
-    return null;
+  // Fixture runs never touch public/: output goes to the fixture dir and is checked against expected.json
+  const fixtureDir = fixtureDirFor(FIXTURE_ROOT, gallery.slug);
+  const { items, ordering, hydration, pageState } = await scrapeTraced(browser, gallery, { fixtureDir, recorder, report, signal }, glog);
+  const check = checkFixtureOutput(fixtureDir, items, sourceFor(gallery));
+  if (!check.ok) {
+    const { added, removed, reordered } = check.diff;
+    throw new Error(
+      `Fixture output differs from expected.json in ${fixtureDir} ` +
+      `(+${added.length} / -${removed.length}, ${reordered.length} moved)`
+    );
   }
+  glog.info("fixture.ok", `✅ Fixture ${fixtureDir}: ${items.length} items${check.compared ? ", matches expected.json" : ""}`, {
+    fixtureDir,
+    count: items.length,
+    compared: check.compared
+  });
+  return { count: items.length, ordering, hydration, pageState };
 }
 
-function upgradeMuxLowToHigh(urlStr) {
-  return urlStr; // keep low.mp4 as-is (no replacement)
-}
-
-function isCosmosHostedMp4(urlStr) {
+// runGallery within the gallery's GALLERY_TIMEOUT, then its notification hooks (fixture runs notify nobody)
+async function runAndNotify(browser, gallery, shared) {
+  const glog = log.child({ gallery: gallery.slug });
+  const timeout = gallery.tunables.GALLERY_TIMEOUT;
   try {
-    const u = new URL(urlStr);
-    const host = u.host.toLowerCase();
-    if (!VIDEO_EXT_RE.test(u.pathname)) return false;
-    return host === "cdn.cosmos.so" || host === "files.cosmos.so";
-  } catch {
-    return false;
+    const res = await withTimeout(
+      (signal) => runGallery(browser, gallery, glog, shared, signal),
+      timeout * 1000,
+      () => Object.assign(new Error(`Timed out after ${timeout}s (GALLERY_TIMEOUT), previous feed kept`), {
+        pageState: { state: "timeout", reason: "GALLERY_TIMEOUT" }
+      })
+    );
+    if (!FIXTURE_ROOT) await notifyRun(gallery, { ok: true, ...res }, { log: glog });
+    return res;
+  } catch (e) {
+    const error = String(e?.message || e).slice(0, 300);
+    if (!FIXTURE_ROOT) await notifyRun(gallery, { ok: false, error, state: e?.pageState?.state, hydration: e?.hydration }, { log: glog });
+    throw e;
   }
 }
 
-function isMuxVideo(urlStr) {
-  return !!muxPlaybackIdFromUrl(urlStr);
-}
-
-function clampDim(n, fallback = 0) {
-  const x = Number(n) || 0;
-  if (!isFinite(x) || x <= 0) return fallback;
-  // avoid silly huge numbers from bad DOM states
-  return Math.min(Math.max(Math.floor(x), 1), 20000);
-}
-
-const JSON_MEDIA_CONTAINER_KEYS = new Set([
-  "media",
-  "multipleMedia",
-  "image",
-  "images",
-  "video",
-  "videos",
-  "poster",
-  "thumbnail",
-  "mux",
-  "asset",
-  "assets"
-]);
-
-const JSON_MEDIA_TYPE_NAMES = new Set([
-  "StaticImage",
-  "AnimatedImage",
-  "Video",
-  "MuxVideo",
-  "Thumbnail",
-  "Mux"
-]);
-
-function collectMediaUrlsFromJson(value, out = new Set(), path = []) {
-  if (!value) return out;
-
-  if (typeof value === "string") {
-    const parent = path[path.length - 1];
-    if (JSON_MEDIA_CONTAINER_KEYS.has(parent)) out.add(value);
-    return out;
+function printSummary(results) {
+  const okCount = results.filter(r => r.ok).length;
+  log.info("summary", `\nSummary: ${okCount}/${results.length} galleries succeeded`, { ok: okCount, total: results.length });
+  for (const r of results) {
+    const secs = (r.ms / 1000).toFixed(1);
+    const order = r.ordering ? `, ${r.ordering.method} order, confidence ${r.ordering.confidence}` : "";
+    const fields = { gallery: r.slug, ok: r.ok, state: r.state, count: r.count, error: r.error, ms: r.ms, ordering: r.ordering?.method, confidence: r.ordering?.confidence };
+    if (r.ok) log.info("summary.gallery", `  ✅ ${r.slug}: ${r.count} items${r.state === "empty" ? " (empty board)" : order} (${secs}s)`, fields);
+    else log.error("summary.gallery", `  ❌ ${r.slug}${r.state ? ` [${r.state}]` : ""}: ${r.error} (${secs}s)`, fields);
   }
+}
 
-  if (Array.isArray(value)) {
-    value.forEach((item) => collectMediaUrlsFromJson(item, out, path));
-    return out;
-  }
-
-  if (typeof value !== "object") return out;
-
-  const pathHasMediaContainer = path.some((part) => JSON_MEDIA_CONTAINER_KEYS.has(part));
-  const typeName = typeof value.__typename === "string" ? value.__typename : "";
+async function replay(dir) {
+  const { session, items, recorded } = await replaySession(dir);
+  const outFile = path.join(dir, "replay.json");
+  fs.writeFileSync(outFile, JSON.stringify({ ok: true, source: session.url, count: items.length, items }, null, 2));
+  log.info("replay", `✅ Replayed ${session.slug} (${session.recordedAt}): ${items.length} items → ${outFile}`, {
+    gallery: session.slug,
+    count: items.length,
+    file: outFile
+  });
 
-  if (typeof value.url === "string" && (pathHasMediaContainer || JSON_MEDIA_TYPE_NAMES.has(typeName))) {
-    out.add(value.url);
-  }
-  if (typeof value.src === "string" && (pathHasMediaContainer || JSON_MEDIA_TYPE_NAMES.has(typeName))) {
-    out.add(value.src);
-  }
-  if (typeof value.poster === "string") {
-    out.add(value.poster);
-  }
-  if (typeof value.mp4Url === "string" && (pathHasMediaContainer || JSON_MEDIA_TYPE_NAMES.has(typeName))) {
-    out.add(value.mp4Url);
-  }
-  if (typeof value.playbackUrl === "string" && (pathHasMediaContainer || JSON_MEDIA_TYPE_NAMES.has(typeName))) {
-    out.add(value.playbackUrl);
+  if (!recorded) {
+    log.info("replay.nothing-to-compare", `Recorded run ${session.ok ? "wrote no feed" : `failed: ${session.error}`}, nothing to compare.`);
+    return;
   }
-
-  for (const [key, child] of Object.entries(value)) {
-    if (key === "url" || key === "src" || key === "poster" || key === "mp4Url" || key === "playbackUrl" || key === "__typename") continue;
-    collectMediaUrlsFromJson(child, out, [...path, key]);
+  if (JSON.stringify(recorded) !== JSON.stringify(items)) {
+    log.error("replay.differs", `❌ Replay differs from the recorded feed (${recorded.length} recorded items)`, { recorded: recorded.length, count: items.length });
+    process.exitCode = 1;
+    return;
   }
-
-  return out;
-}
-
-async function waitForCosmosHydration(page, minTotal = 6, timeoutMs = 60000) {
-  await page.waitForFunction(
-    ({ minTotal }) => {
-      const root =
-        document.querySelector("main") ||
-        document.querySelector("#__next") ||
-        document.body;
-
-      const imgs = root.querySelectorAll("img").length;
-      const vids = root.querySelectorAll("video").length;
-
-      let bgMedia = 0;
-      root.querySelectorAll("*").forEach(el => {
-        const b = getComputedStyle(el).backgroundImage || "";
-        if (!b.includes("url(")) return;
-        if (b.includes("gradient(")) return;
-
-        const m = b.match(/url\((['"]?)(.*?)\1\)/i);
-        const u = m?.[2] || "";
-        if (!u) return;
-
-        // only count background urls that look like real media/CDN, not UI assets
-        if (
-          u.includes("cdn.cosmos.so") ||
-          u.includes("files.cosmos.so") ||
-          u.includes("image.mux.com") ||
-          u.includes("stream.mux.com")
-        ) bgMedia++;
-      });
-
-      return (imgs + vids + bgMedia) >= minTotal;
-    },
-    { minTotal },
-    { timeout: timeoutMs }
-  );
+  log.info("replay.matches", "✅ Replay matches the recorded feed");
 }
 
-(async () => {
-  const browser = await chromium.launch({ headless: true });
-
-  const context = await browser.newContext({
-    viewport: { width: 3840, height: 2160 },
-    deviceScaleFactor: 2,
-    userAgent:
-      "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome Safari"
-  });
-
-  const page = await context.newPage();
-
-  // Force lazy loaders to treat elements as visible
-  await page.addInitScript(() => {
-    window.IntersectionObserver = class FakeIO {
-      constructor(cb){ this._cb = cb; }
-      observe(el){
-        try { this._cb([{ isIntersecting: true, target: el, intersectionRatio: 1 }]); } catch {}
-      }
-      unobserve() {}
-      disconnect() {}
-      takeRecords(){ return []; }
-    };
-    window.IntersectionObserverEntry = function(){};
-  });
-
-  // Network capture (helps when URLs are present in JSON responses)
-  const netFound = new Set();
-  page.on("response", async (res) => {
-    try {
-      const url = res.url();
-      let norm = normaliseURL(url);
-      if (!norm || isExcluded(norm) || isMuxThumbnail(norm)) return;
-
-      // Explicit drop for .m3u8
-      if (M3U8_EXT_RE.test(norm)) return;
-
-      if (MEDIA_EXT_RE.test(norm)) {
-        const isImg = IMAGE_EXT_RE.test(new URL(norm).pathname);
-        const isVid = VIDEO_EXT_RE.test(new URL(norm).pathname);
-        const hint = isImg ? "image" : (isVid ? "video" : "unknown");
-        if (allowByHostAndExt(norm, hint)) netFound.add(norm);
-        return;
-      }
-
-      const ct = (res.headers()["content-type"] || "").toLowerCase();
-      if (ct.includes("application/json")) {
-        const text = await res.text().catch(() => "");
-        let urls = [];
-        try {
-          urls = [...collectMediaUrlsFromJson(JSON.parse(text))];
-        } catch {
-          urls = text.match(/https?:\/\/[^\s"'\\)]+/g) || [];
-        }
-        for (const u of urls) {
-          const n = normaliseURL(u);
-          if (!n || isExcluded(n) || isMuxThumbnail(n)) continue;
-
-          // Explicit drop for .m3u8
-          if (M3U8_EXT_RE.test(n)) continue;
-
-          let hint = "unknown";
-          try {
-            const p = new URL(n).pathname || "";
-            if (IMAGE_EXT_RE.test(p)) hint = "image";
-            else if (VIDEO_EXT_RE.test(p)) hint = "video";
-            else if (M3U8_EXT_RE.test(p)) hint = "video";
-          } catch {}
-
-          if (allowByHostAndExt(n, hint)) netFound.add(n);
-        }
-      }
-    } catch {}
-  });
-
-  // We keep positional captures from DOM (the only way to reproduce Cosmos ordering)
-  let positional = [];
-  const foundMap = new Map(); // src -> item (for late merges)
-
-  function resetCollections() {
-    positional = [];
-    netFound.clear();
-    foundMap.clear();
+function explain(url) {
+  let slugs = [];
+  try {
+    slugs = FLAGS.gallery
+      ? [FLAGS.gallery]
+      : fs.readdirSync(TRACE_DIR).filter(f => f.endsWith(".jsonl")).map(f => f.slice(0, -".jsonl".length));
+  } catch {}
+  if (!slugs.length) {
+    log.error("explain.no-trace", `No filter traces in ${TRACE_DIR}; scrape with --trace (or TRACE=1) first`);
+    process.exitCode = 1;
+    return;
   }
 
-  function mergeNetworkToMap() {
-    for (const u of netFound) {
-      if (!u || isExcluded(u) || isMuxThumbnail(u)) continue;
-      if (M3U8_EXT_RE.test(u)) continue;
-
-      let hint = "unknown";
-      try {
-        const p = new URL(u).pathname || "";
-        if (IMAGE_EXT_RE.test(p)) hint = "image";
-        else if (VIDEO_EXT_RE.test(p)) hint = "video";
-        else if (M3U8_EXT_RE.test(p)) hint = "video";
-      } catch {}
-
-      if (!allowByHostAndExt(u, hint)) continue;
-
-      let isVideo = false;
-      try { isVideo = VIDEO_EXT_RE.test(new URL(u).pathname); } catch {}
-      if (!foundMap.has(u)) foundMap.set(u, { type: isVideo ? "video" : "image", src: u, width: 0, height: 0 });
+  let found = 0;
+  for (const slug of slugs) {
+    let trace;
+    try {
+      trace = readTrace(traceFile(TRACE_DIR, slug));
+    } catch {
+      log.error("explain.no-trace", `No filter trace for ${slug} in ${TRACE_DIR}; scrape it with --trace first`, { gallery: slug });
+      process.exitCode = 1;
+      continue;
     }
-  }
-
-  async function collectFromDOM() {
-    const batch = await page.evaluate(() => {
-      const out = [];
-
-      // Prefer a stable “main” area but don’t assume Cosmos internals
-      const root =
-        document.querySelector("main") ||
-        document.querySelector("#__next") ||
-        document.body;
-
-      const pickBestFromSrcset = (img) => {
-        try {
-          if (img.currentSrc) return img.currentSrc;
-          const ss = img.getAttribute("srcset");
-          if (!ss) return img.getAttribute("src") || "";
-          const parts = ss.split(",").map(s => s.trim());
-          const candidates = parts
-            .map(p => {
-              const [url, size] = p.split(/\s+/);
-              const w = size?.endsWith("w") ? parseInt(size, 10) : 0;
-              return { url, w: isNaN(w) ? 0 : w };
-            })
-            .sort((a, b) => b.w - a.w);
-          return candidates[0]?.url || img.getAttribute("src") || "";
-        } catch {
-          return img.getAttribute("src") || "";
-        }
-      };
-
-      const bgUrl = (el) => {
-        try {
-          const bg = getComputedStyle(el).backgroundImage || "";
-          const m = bg.match(/url\((['"]?)(.*?)\1\)/i);
-          return m?.[2] || "";
-        } catch { return ""; }
-      };
-
-      // 1) <img>
-      root.querySelectorAll("img").forEach(img => {
-        const rect = img.getBoundingClientRect();
-        const src = pickBestFromSrcset(img);
-        if (!src) return;
-        out.push({
-          type: "image",
-          src,
-          poster: null,
-          top: rect.top + window.scrollY,
-          left: rect.left + window.scrollX,
-          width: img.naturalWidth || 0,
-          height: img.naturalHeight || 0
-        });
-      });
-
-      // 2) <video>
-      root.querySelectorAll("video").forEach(v => {
-        const rect = v.getBoundingClientRect();
-        const s = v.currentSrc || v.src || (v.querySelector("source")?.src) || "";
-        if (!s) return;
-        out.push({
-          type: "video",
-          src: s,
-          poster: v.poster || null,
-          top: rect.top + window.scrollY,
-          left: rect.left + window.scrollX,
-          width: v.videoWidth || 0,
-          height: v.videoHeight || 0
-        });
-      });
-
-      // 3) background-image tiles (Cosmos often uses these for stills)
-      // We only take “large enough” elements to avoid icons/sprites
-      // Note: backgrounds rarely expose intrinsic pixel size, so we only store rendered size as a fallback.
-      root.querySelectorAll("*").forEach(el => {
-        const s = bgUrl(el);
-        if (!s) return;
-        const rect = el.getBoundingClientRect();
-        if (rect.width < 120 || rect.height < 120) return;
-        out.push({
-          type: "image",
-          src: s,
-          poster: null,
-          top: rect.top + window.scrollY,
-          left: rect.left + window.scrollX,
-          width: Math.round(rect.width) || 0,
-          height: Math.round(rect.height) || 0
-        });
-      });
-
-      return out;
+    const res = explainUrl(trace, url);
+    // Without --gallery, only the galleries that saw the URL are worth listing
+    if (res.verdict === "never-seen" && !FLAGS.gallery) continue;
+    found++;
+
+    log.info("explain", `🔍 ${slug} (traced ${trace.run.at}, ${trace.run.count} items): ${res.summary}`, {
+      gallery: slug,
+      url: res.url,
+      verdict: res.verdict,
+      summary: res.summary,
+      item: res.item
     });
-
-    for (const it of batch) {
-      if (!it?.src) continue;
-      if (isExcluded(it.src)) continue;
-
-      const norm0 = normaliseURL(it.src, COSMOS_URL);
-      if (!norm0) continue;
-      if (isExcluded(norm0) || isMuxThumbnail(norm0)) continue;
-      if (M3U8_EXT_RE.test(norm0)) continue;
-
-      let hint = "unknown";
-      try {
-        const p = new URL(norm0).pathname || "";
-        if (IMAGE_EXT_RE.test(p)) hint = "image";
-        else if (VIDEO_EXT_RE.test(p)) hint = "video";
-        else if (M3U8_EXT_RE.test(p)) hint = "video";
-        else if (it.type === "image") hint = "image";
-        else if (it.type === "video") hint = "video";
-      } catch {
-        if (it.type === "image") hint = "image";
-        if (it.type === "video") hint = "video";
-      }
-
-      if (!allowByHostAndExt(norm0, hint)) continue;
-
-      const isVideo = VIDEO_EXT_RE.test(new URL(norm0).pathname);
-      positional.push({
-        type: isVideo ? "video" : "image",
-        src: norm0,
-        poster: it.poster ? normaliseURL(it.poster, COSMOS_URL) : null,
-        top: Number(it.top) || 0,
-        left: Number(it.left) || 0,
-        width: clampDim(it.width, 0),
-        height: clampDim(it.height, 0)
-      });
-
-      if (!foundMap.has(norm0)) {
-        foundMap.set(norm0, {
-          type: isVideo ? "video" : "image",
-          src: norm0,
-          poster: null,
-          width: clampDim(it.width, 0),
-          height: clampDim(it.height, 0)
-        });
-      } else {
-        // If we captured dims later, keep the best (largest non-zero)
-        const existing = foundMap.get(norm0);
-        const nw = clampDim(it.width, 0);
-        const nh = clampDim(it.height, 0);
-        if (existing) {
-          if ((!existing.width || existing.width < nw) && nw) existing.width = nw;
-          if ((!existing.height || existing.height < nh) && nh) existing.height = nh;
-        }
-      }
+    for (const d of res.decisions) {
+      const same = d.url !== res.url ? `  [${d.url}]` : "";
+      const detail = d.detail ? ` (${d.detail})` : "";
+      log.info(
+        "explain.decision",
+        `   ${d.origin.padEnd(8)} ${d.stage.padEnd(11)} ${d.verdict.padEnd(8)} ${d.rule}${detail} ×${d.count}${same}`,
+        { gallery: slug, ...d }
+      );
     }
-
-    mergeNetworkToMap();
-  }
-
-  async function getHydrationSignals() {
-    return await page.evaluate(() => {
-      const root =
-        document.querySelector("main") ||
-        document.querySelector("#__next") ||
-        document.body;
-
-      const imgs = root.querySelectorAll("img").length;
-      const vids = root.querySelectorAll("video").length;
-
-      let bg = 0;
-      root.querySelectorAll("*").forEach(el => {
-        const b = getComputedStyle(el).backgroundImage;
-        if (b && b.includes("url(")) bg++;
-      });
-
-      return { imgs, vids, bg, total: imgs + vids + bg, readyState: document.readyState };
-    });
   }
+  if (!found) log.info("explain", `🔍 ${url} was never seen in any traced gallery (${slugs.join(", ")})`, { url, verdict: "never-seen" });
+}
 
-  async function scrollCollectPass(label = "pass") {
-    console.log(`Scrolling + collecting (${label})…`);
-    let lastH = 0;
-    let stable = 0;
-
-    for (let i = 0; i < MAX_SCROLLS; i++) {
-      await collectFromDOM();
-
-      const innerH = await page.evaluate(() => window.innerHeight);
-      await page.mouse.wheel(0, Math.floor(innerH * 0.9));
-      await page.waitForTimeout(WAIT_BETWEEN);
-
-      const h = await page.evaluate(() => document.body.scrollHeight);
-      if (h === lastH) {
-        stable++;
-        if (stable >= STABLE_CHECKS) break;
-      } else {
-        stable = 0;
-        lastH = h;
-      }
-
-      if ((i + 1) % 10 === 0) {
-        console.log(`…scroll ${i + 1}, DOM items: ${positional.length}, net: ${netFound.size}`);
-      }
-    }
-
-    await collectFromDOM();
+// The account's storageState file (or .auth/<name>.json when the config has no such account),
+// opened on the first gallery that uses it
+async function login(name) {
+  const { file: configFile, galleries, accounts = {} } = loadConfig();
+  const gallery = galleries.find(g => g.auth?.account === name) || galleries.find(g => g.slug === name);
+  const auth = accounts[name] || gallery?.auth || null;
+  if (auth && !auth.storageState) {
+    log.error("login.no-state-file", `Account "${name}" only has a cookies file; give it a storageState path to save a login into`, { account: name });
+    process.exitCode = 1;
+    return;
   }
 
-  async function navigateAndMaybeRetry() {
-  const retryIdle = Math.round(FIRST_IDLE * RETRY_IDLE_MULT);
-
-  for (let attempt = 0; attempt <= RETRY_MAX; attempt++) {
-    const label = attempt === 0 ? "initial" : `retry-${attempt}`;
-    const idle = attempt === 0 ? FIRST_IDLE : retryIdle;
-
-    if (attempt > 0) {
-      console.log(`♻️  Retry attempt ${attempt}: resetting collections`);
-      resetCollections();
-    }
-
-    console.log(`Navigating to ${COSMOS_URL} (${label})`);
-
-    try {
-      await page.goto(COSMOS_URL, { waitUntil: "domcontentloaded", timeout: 120000 });
-    } catch (e) {
-      console.log(`⚠️  goto failed (${label}): ${String(e).slice(0, 200)}`);
-      if (attempt < RETRY_MAX) continue;
-      throw e;
-    }
-
-    await page.waitForTimeout(idle);
-
-    // Tiny nudge scroll, Cosmos sometimes only populates after first interaction
-    try {
-      await page.mouse.wheel(0, 800);
-      await page.waitForTimeout(1200);
-      await page.mouse.wheel(0, -200);
-      await page.waitForTimeout(800);
-    } catch {}
-
-    const sig = await getHydrationSignals();
-    console.log(`Hydration signals (${label} pre-gate): total=${sig.total} (img=${sig.imgs}, video=${sig.vids}, bg=${sig.bg}) ready=${sig.readyState}`);
-
-    // HARD GATE: do not start scraping until Cosmos is actually hydrated
-    try {
-      await waitForCosmosHydration(page, HYDRATION_MIN_MEDIA, 60000);
-      const sig2 = await getHydrationSignals();
-      console.log(`✅ Hydrated (${label}): total=${sig2.total} (img=${sig2.imgs}, video=${sig2.vids}, bg=${sig2.bg})`);
-    } catch {
-      console.log(`❌ Not hydrated within gate timeout (${label}).`);
-            if (attempt < RETRY_MAX) {
-        console.log("Retrying with a fresh navigation…");
-        continue;
-      }
-      // If we cannot hydrate even after retries, bail early
-     throw new Error("Cosmos did not hydrate in time");
-    }
-
-    await scrollCollectPass(label);
+  const file = auth?.storageState || path.join(DEFAULT_AUTH_DIR, `${name}.json`);
+  try {
+    await interactiveLogin(chromium, { url: (gallery || galleries[0]).url, file, account: name });
+  } catch (e) {
+    const error = String(e?.message || e).slice(0, 300);
+    log.error("login.failed", `❌ ${error}`, { account: name, error });
+    process.exitCode = 1;
     return;
   }
+  if (!auth) {
+    log.info(
+      "login.hint",
+      `Use it with \`accounts: { ${name}: { storageState: ${path.relative(configFile ? path.dirname(configFile) : process.cwd(), file)} } }\` and \`account: ${name}\` on the galleries`,
+      { account: name, file }
+    );
+  }
 }
 
-  await navigateAndMaybeRetry();
-  await browser.close();
-
-  // Sort visually to match Cosmos grid order
-  positional.sort((a, b) => (a.top - b.top) || (a.left - b.left));
-
-  const seen = new Set();
-  const ordered = [];
-
-  for (const it of positional) {
-    let src = it.src;
-
-    // Drop mux thumbnails (image.mux.com/.../thumbnail.png)
-    if (isMuxThumbnail(src)) continue;
-
-    // Drop .m3u8 always
-    if (M3U8_EXT_RE.test(src)) continue;
-
-    // Enforce cosmos-only images
-    try {
-      const u = new URL(src);
-      if (it.type === "image" && !isCosmosImageHost(u.host)) continue;
-    } catch {}
-
-    // Upgrade mux mp4 quality (no-op currently)
-    if (it.type === "video") {
-      src = upgradeMuxLowToHigh(src);
-    }
-
-    const norm = normaliseURL(src, COSMOS_URL);
-    if (!norm) continue;
-
-    // Keying
-    let key;
-    if (it.type === "video") {
-      const pid = muxPlaybackIdFromUrl(norm);
-      key = pid ? `video:mux:${pid}` : `video:url:${norm}`;
-    } else {
-      key = `image:url:${norm}`;
+// Daemon / server modes: one browser, (re)launched on demand, at most one run per gallery at a
+// time (a scheduled run and a refresh of the same gallery share the run in progress) and at most
+// `workers` runs overall
+function longRunning({ outDir, galleries, ...pool }) {
+  const shared = createShared(pool);
+  const workers = createLimiter(pool.workers);
+  let browser = null;
+  let launching = null;
+  const getBrowser = async () => {
+    if (browser?.isConnected()) return browser;
+    launching ??= chromium.launch({ headless: true }).finally(() => { launching = null; });
+    return (browser = await launching);
+  };
+
+  const inflight = new Map();
+  const runOnce = (gallery) => {
+    if (!inflight.has(gallery.slug)) {
+      const run = workers.run(async () => runAndNotify(await getBrowser(), gallery, shared));
+      inflight.set(gallery.slug, run.finally(() => inflight.delete(gallery.slug)));
     }
+    return inflight.get(gallery.slug);
+  };
 
-    if (seen.has(key)) continue;
-    seen.add(key);
-
-    const out = {
-      type: it.type,
-      src: norm,
-      width: clampDim(it.width, 0),
-      height: clampDim(it.height, 0)
-    };
-
-    // Keep poster if present and not junk
-    if (it.poster) {
-      const p = normaliseURL(it.poster, COSMOS_URL);
-      if (p && !isExcluded(p) && !isMuxThumbnail(p) && !M3U8_EXT_RE.test(p)) out.poster = p;
-    }
-
-    ordered.push(out);
+  const services = [];
+  if (FLAGS.daemon) {
+    services.push(startDaemon(galleries, { run: runOnce, port: DAEMON_PORT, host: DAEMON_HOST }));
+  }
+  if (FLAGS.serve) {
+    services.push(startFeedServer({
+      outDir,
+      galleries,
+      refresh: runOnce,
+      token: FEED_SERVER_TOKEN,
+      port: SERVER_PORT,
+      host: SERVER_HOST
+    }));
   }
 
-  // Optional: append network-only items that never appeared on screen.
-  // Keep after visible items so ordering stays correct.
-  for (const v of foundMap.values()) {
-    const src = v?.src;
-    if (!src) continue;
-    if (isExcluded(src) || isMuxThumbnail(src)) continue;
-    if (M3U8_EXT_RE.test(src)) continue;
-
-    let hint = "unknown";
-    try {
-      const p = new URL(src).pathname || "";
-      if (IMAGE_EXT_RE.test(p)) hint = "image";
-      else if (VIDEO_EXT_RE.test(p)) hint = "video";
-      else if (M3U8_EXT_RE.test(p)) hint = "video";
-      else if (v.type === "image") hint = "image";
-      else if (v.type === "video") hint = "video";
-    } catch {
-      if (v.type === "image") hint = "image";
-      if (v.type === "video") hint = "video";
-    }
+  const shutdown = async () => {
+    log.info("shutdown", "Shutting down (waiting for runs in progress)…");
+    await Promise.all(services.map(s => s.stop()));
+    await Promise.allSettled(inflight.values());
+    await browser?.close().catch(() => {});
+  };
+  process.once("SIGINT", shutdown);
+  process.once("SIGTERM", shutdown);
+}
 
-    if (!allowByHostAndExt(src, hint)) continue;
+(async () => {
+  if (FLAGS.replay) return replay(path.resolve(FLAGS.replay));
+  if (FLAGS.explain) return explain(FLAGS.explain);
+  if (FLAGS.login) return login(FLAGS.login);
+  if (FLAGS.daemon || FLAGS.serve) return longRunning(loadConfig());
 
-    const type = v.type || (VIDEO_EXT_RE.test(new URL(src).pathname) ? "video" : "image");
+  const { galleries, ...pool } = loadConfig();
+  const shared = createShared(pool);
+  const browser = await chromium.launch({ headless: true });
+  let results = [];
 
-    // Enforce cosmos-only images
-    if (type === "image") {
+  // Up to `workers` galleries at once, each in its own browser context; results keep config order
+  try {
+    results = await mapLimit(galleries, pool.workers, async (gallery) => {
+      log.info("gallery.start", `\n=== ${gallery.slug} → ${gallery.url}`, { gallery: gallery.slug, url: gallery.url });
+      const started = Date.now();
       try {
-        const u = new URL(src);
-        if (!isCosmosImageHost(u.host)) continue;
-      } catch {}
-    }
-
-    let finalSrc = src;
-    if (type === "video") finalSrc = upgradeMuxLowToHigh(finalSrc);
-
-    // Drop .m3u8 always
-    if (M3U8_EXT_RE.test(finalSrc)) continue;
-
-    const norm = normaliseURL(finalSrc, COSMOS_URL);
-    if (!norm) continue;
-
-    let key;
-    if (type === "video") {
-      const pid = muxPlaybackIdFromUrl(norm);
-      key = pid ? `video:mux:${pid}` : `video:url:${norm}`;
-    } else {
-      key = `image:url:${norm}`;
-    }
-
-    if (seen.has(key)) continue;
-    seen.add(key);
-
-    ordered.push({
-      type,
-      src: norm,
-      width: clampDim(v.width, 0),
-      height: clampDim(v.height, 0)
+        const { count, ordering, pageState } = await runAndNotify(browser, gallery, shared);
+        return { slug: gallery.slug, ok: true, state: pageState?.state || null, count, ordering, ms: Date.now() - started };
+      } catch (e) {
+        // One gallery failing (eg hydration, timeout) must not abort the rest of the batch
+        const error = String(e?.message || e).slice(0, 300);
+        const state = e?.pageState?.state || null;
+        log.error("gallery.failed", `❌ ${gallery.slug} failed: ${error}`, { gallery: gallery.slug, error, state, hydration: e?.hydration || null });
+        return { slug: gallery.slug, ok: false, state, error, ms: Date.now() - started };
+      }
     });
+  } finally {
+    await browser.close();
   }
 
-  const collapsed = [];
-  for (let i = 0; i < ordered.length; i++) {
-    const current = ordered[i];
-    const next = ordered[i + 1];
-    const nextNext = ordered[i + 2];
-
-    const currentIsCosmosVideo =
-      current?.type === "video" &&
-      isCosmosHostedMp4(current.src);
-
-    const nextIsMuxVideo =
-      next?.type === "video" &&
-      isMuxVideo(next.src);
-
-    const nextNextIsMuxVideo =
-      nextNext?.type === "video" &&
-      isMuxVideo(nextNext.src);
-
-    if (currentIsCosmosVideo && nextIsMuxVideo) {
-      collapsed.push(next);
-      i += 1;
-      continue;
-    }
-
-    if (currentIsCosmosVideo && next?.type === "image" && nextNextIsMuxVideo) {
-      collapsed.push(nextNext);
-      i += 2;
-      continue;
-    }
-
-    collapsed.push(current);
-  }
-
-  fs.mkdirSync(OUT_DIR, { recursive: true });
-  fs.writeFileSync(
-    OUT_FILE,
-    JSON.stringify({ ok: true, source: COSMOS_URL, count: collapsed.length, items: collapsed }, null, 2)
-  );
-
-  console.log(`✅ Saved ${collapsed.length} items → ${OUT_FILE}`);
+  // Failed galleries set the exit code: that of their page state when they share one, else 1
+  printSummary(results);
+  const failed = results.filter(r => !r.ok);
+  if (failed.length) process.exitCode = batchExitCode(failed.map(r => r.state));
 })();
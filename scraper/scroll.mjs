@@ -0,0 +1,88 @@
+/**
+ * Adaptive scrolling (DOM mode). After every wheel step the page is given until its data
+ * requests go quiet, the DOM is captured again, and the controller decides from what changed:
+ *   - new unique items, or a taller page: keep scrolling
+ *   - nothing new at the bottom: wait (backing off) and nudge the loader again, `retries` times,
+ *     before calling the board saturated
+ *   - an end-of-board marker on screen (sources/*: endMarkers) and nothing new: stop
+ * Every pass ends with one of these reasons:
+ *   end-marker | saturated | max-scrolls
+ */
+export const SCROLL_STOP_REASONS = ["end-marker", "saturated", "max-scrolls"];
+
+const POLL_MS = 100;
+
+/**
+ * Decisions for one scroll pass. next({ added, height, atBottom, endMarker }) after each step
+ * (added: new unique items since the previous step) returns one of
+ *   { action: "scroll" }
+ *   { action: "retry", retry, waitMs }   wait, nudge the bottom-of-page loader, then scroll on
+ *   { action: "stop", reason }
+ */
+export function createScrollController({ maxScrolls, retries = 3, backoffMs = 900 }) {
+  let steps = 0;
+  let retry = 0;
+  let maxHeight = 0;
+
+  return {
+    next({ added = 0, height = 0, atBottom = false, endMarker = false }) {
+      steps++;
+      const grew = height > maxHeight;
+      maxHeight = Math.max(maxHeight, height);
+
+      if (endMarker && !added) return { action: "stop", reason: "end-marker" };
+      if (added > 0 || grew) {
+        retry = 0;
+      } else if (atBottom) {
+        if (retry >= retries) return { action: "stop", reason: "saturated" };
+        if (steps < maxScrolls) {
+          retry++;
+          return { action: "retry", retry, waitMs: backoffMs * 2 ** (retry - 1) };
+        }
+      }
+      if (steps >= maxScrolls) return { action: "stop", reason: "max-scrolls" };
+      return { action: "scroll" };
+    },
+
+    get steps() { return steps; }
+  };
+}
+
+/**
+ * In-flight data requests (fetch/XHR to the gallery's own site, per `isDataRequest(url)`) of a
+ * page, counted from the moment it is attached. waitForIdle(quietMs, maxMs) resolves true once
+ * none has been in flight for quietMs, false when maxMs runs out first. Requests older than
+ * maxMs (long-polls, stuck beacons) no longer count.
+ */
+export function trackDataRequests(page, isDataRequest) {
+  const inflight = new Map(); // request -> started at
+  let lastActivity = Date.now();
+  const isData = (req) => ["fetch", "xhr"].includes(req.resourceType()) && isDataRequest(req.url());
+  const done = (req) => {
+    if (inflight.delete(req)) lastActivity = Date.now();
+  };
+  const pending = (maxMs) => [...inflight.values()].filter(t => Date.now() - t < maxMs).length;
+
+  page.on("request", (req) => {
+    if (!isData(req)) return;
+    inflight.set(req, Date.now());
+    lastActivity = Date.now();
+  });
+  page.on("requestfinished", done);
+  page.on("requestfailed", done);
+
+  return {
+    get inflight() { return inflight.size; },
+
+    async waitForIdle(quietMs, maxMs) {
+      const started = Date.now();
+      // The step that was just taken gets at least quietMs to set off its requests
+      lastActivity = started;
+      while (Date.now() - started < maxMs) {
+        if (!pending(maxMs) && Date.now() - lastActivity >= quietMs) return true;
+        await page.waitForTimeout(POLL_MS);
+      }
+      return false;
+    }
+  };
+}
@@ -0,0 +1,315 @@
+import crypto from "crypto";
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { pipeline } from "stream/promises";
+import zlib from "zlib";
+import { log } from "./log.mjs";
+
+const CONTENT_TYPES = {
+  ".json": "application/json; charset=utf-8",
+  ".jsonl": "application/x-ndjson; charset=utf-8",
+  ".xml": "application/xml; charset=utf-8",
+  ".csv": "text/csv; charset=utf-8",
+  ".html": "text/html; charset=utf-8",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+  ".gif": "image/gif",
+  ".avif": "image/avif",
+  ".heic": "image/heic",
+  ".mp4": "video/mp4",
+  ".webm": "video/webm",
+  ".mov": "video/quicktime"
+};
+const RSS_TYPE = "application/rss+xml; charset=utf-8";
+const ATOM_TYPE = "application/atom+xml; charset=utf-8";
+
+// Only text formats are worth compressing; media is already compressed
+const COMPRESSIBLE = new Set([".json", ".jsonl", ".xml", ".csv", ".html"]);
+const MAX_JOBS = 100;
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, HEAD, POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Authorization, Content-Type, If-None-Match, If-Modified-Since, Range, If-Range",
+  "Access-Control-Expose-Headers": "ETag, Last-Modified, Location, Accept-Ranges, Content-Range, Content-Length"
+};
+
+function contentTypeOf(file) {
+  if (file.endsWith(".rss.xml")) return RSS_TYPE;
+  if (file.endsWith(".atom.xml")) return ATOM_TYPE;
+  return CONTENT_TYPES[path.extname(file).toLowerCase()] || "application/octet-stream";
+}
+
+// br > gzip > identity, by the client's Accept-Encoding (q=0 means "not acceptable")
+function pickEncoding(header = "") {
+  const accepted = new Map();
+  for (const part of header.split(",")) {
+    const [name, ...params] = part.trim().toLowerCase().split(";");
+    const q = params.map(p => /^\s*q=([\d.]+)/.exec(p)?.[1]).find(Boolean);
+    if (name) accepted.set(name, q === undefined ? 1 : Number(q));
+  }
+  for (const enc of ["br", "gzip"]) {
+    if ((accepted.get(enc) ?? accepted.get("*") ?? 0) > 0) return enc;
+  }
+  return null;
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { ...CORS_HEADERS, "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store", ...headers });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * The byte range a Range header asks for: { start, end } (inclusive), "unsatisfiable", or null
+ * to send the whole file (no header, another unit, several ranges, or one that makes no sense).
+ */
+export function parseRange(header, size) {
+  const m = /^bytes=(\d*)-(\d*)$/.exec(String(header || "").trim());
+  if (!m || (m[1] === "" && m[2] === "")) return null;
+  let start;
+  let end;
+  if (m[1] === "") {
+    // bytes=-N: the last N bytes
+    const n = Number(m[2]);
+    if (!n) return "unsatisfiable";
+    start = Math.max(0, size - n);
+    end = size - 1;
+  } else {
+    start = Number(m[1]);
+    if (m[2] !== "" && Number(m[2]) < start) return null;
+    end = m[2] === "" ? size - 1 : Math.min(Number(m[2]), size - 1);
+  }
+  return start < size ? { start, end } : "unsatisfiable";
+}
+
+// If-Range (a date: media carry no ETag) still matching the file, or absent
+function ifRangeMatches(value, stat) {
+  if (!value) return true;
+  const at = Date.parse(value);
+  return !isNaN(at) && Math.floor(stat.mtimeMs / 1000) * 1000 <= at;
+}
+
+// Stream a file (or the { start, end } part of it); a file that cannot be read (gone or
+// unreadable since the stat) is a 500, and one that fails half-way cuts the response short
+// rather than hanging it
+function sendStream(res, file, headers, { status = 200, range = {} } = {}) {
+  const stream = fs.createReadStream(file, range);
+  stream.once("error", (e) => {
+    if (res.headersSent) return;
+    const error = String(e?.message || e).slice(0, 200);
+    log.warn("server.failed", `⚠️  Could not read ${file}: ${error}`, { file, error });
+    sendJson(res, 500, { error: "Could not read file" });
+  });
+  stream.once("open", () => {
+    res.writeHead(status, headers);
+    pipeline(stream, res).catch(() => {});
+  });
+}
+
+function tokenMatches(header, token) {
+  const m = /^Bearer\s+(.+)$/i.exec(header || "");
+  if (!m) return false;
+  const a = crypto.createHash("sha256").update(m[1].trim()).digest();
+  const b = crypto.createHash("sha256").update(token).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Feed server over the output directory:
+ *   GET  /<file>             any file under outDir (feeds, other formats, mirrored media), with
+ *                            ETag/Last-Modified revalidation, br/gzip for text and open CORS
+ *   POST /<slug>/refresh     scrape that gallery now (Bearer token); 202 + job, or 200 + the job
+ *                            already running for that gallery
+ *   GET  /jobs/<id>          job status
+ *
+ * refresh(gallery) runs the scrape and resolves to { count }. Without a token, refresh is disabled.
+ */
+export function startFeedServer({ outDir, galleries, refresh, token = "", port = 8080, host = "127.0.0.1" }) {
+  const root = path.resolve(outDir);
+  const bySlug = new Map(galleries.map(g => [g.slug, g]));
+  const jobs = new Map();
+  const activeBySlug = new Map();
+
+  // ETag + compressed bodies, recomputed only when the file changes
+  const cache = new Map();
+  function entryFor(file, stat) {
+    const stamp = `${stat.size}:${stat.mtimeMs}`;
+    let entry = cache.get(file);
+    if (entry?.stamp === stamp) return entry;
+
+    const body = fs.readFileSync(file);
+    entry = {
+      stamp,
+      body,
+      etag: `"${crypto.createHash("sha1").update(body).digest("base64url")}"`,
+      encoded: {}
+    };
+    cache.set(file, entry);
+    return entry;
+  }
+
+  function encodedBody(entry, encoding) {
+    if (!encoding) return entry.body;
+    entry.encoded[encoding] ??= encoding === "br"
+      ? zlib.brotliCompressSync(entry.body, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 9 } })
+      : zlib.gzipSync(entry.body, { level: 9 });
+    return entry.encoded[encoding];
+  }
+
+  function serveFile(req, res, pathname) {
+    let rel;
+    try {
+      rel = decodeURIComponent(pathname).replace(/^\/+/, "");
+    } catch {
+      return sendJson(res, 400, { error: "Bad path" });
+    }
+    const file = path.resolve(root, rel || "index.html");
+    if (file !== root && !file.startsWith(root + path.sep)) return sendJson(res, 404, { error: "Not found" });
+
+    let stat;
+    try {
+      stat = fs.statSync(file);
+    } catch {
+      return sendJson(res, 404, { error: "Not found" });
+    }
+    if (!stat.isFile()) return sendJson(res, 404, { error: "Not found" });
+
+    const ext = path.extname(file).toLowerCase();
+    const headers = {
+      ...CORS_HEADERS,
+      "Content-Type": contentTypeOf(file),
+      "Last-Modified": stat.mtime.toUTCString(),
+      "Cache-Control": "no-cache"
+    };
+
+    // Media: stream as-is, revalidated by Last-Modified only. Single byte ranges are honoured,
+    // which Safari needs to play video at all and every browser needs to seek
+    if (!COMPRESSIBLE.has(ext)) {
+      headers["Accept-Ranges"] = "bytes";
+      const since = Date.parse(req.headers["if-modified-since"] || "");
+      if (since && Math.floor(stat.mtimeMs / 1000) * 1000 <= since) return res.writeHead(304, headers).end();
+
+      const range = ifRangeMatches(req.headers["if-range"], stat) ? parseRange(req.headers.range, stat.size) : null;
+      if (range === "unsatisfiable") return res.writeHead(416, { ...headers, "Content-Range": `bytes */${stat.size}` }).end();
+      if (range) {
+        const partial = { ...headers, "Content-Range": `bytes ${range.start}-${range.end}/${stat.size}`, "Content-Length": range.end - range.start + 1 };
+        if (req.method === "HEAD") return res.writeHead(206, partial).end();
+        return sendStream(res, file, partial, { status: 206, range });
+      }
+      if (req.method === "HEAD") return res.writeHead(200, { ...headers, "Content-Length": stat.size }).end();
+      return sendStream(res, file, { ...headers, "Content-Length": stat.size });
+    }
+
+    const entry = entryFor(file, stat);
+    headers.ETag = entry.etag;
+    headers.Vary = "Accept-Encoding";
+
+    const inm = req.headers["if-none-match"];
+    const notModified = inm
+      ? inm.split(",").map(s => s.trim().replace(/^W\//, "")).some(t => t === entry.etag || t === "*")
+      : Date.parse(req.headers["if-modified-since"] || "") >= Math.floor(stat.mtimeMs / 1000) * 1000;
+    if (notModified) return res.writeHead(304, headers).end();
+
+    const encoding = pickEncoding(req.headers["accept-encoding"]);
+    const body = encodedBody(entry, encoding);
+    if (encoding) headers["Content-Encoding"] = encoding;
+    res.writeHead(200, { ...headers, "Content-Length": body.length });
+    res.end(req.method === "HEAD" ? undefined : body);
+  }
+
+  function startJob(gallery) {
+    const active = activeBySlug.get(gallery.slug);
+    if (active) return { job: active, created: false };
+
+    const job = {
+      id: crypto.randomUUID(),
+      slug: gallery.slug,
+      state: "running",
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      count: null,
+      error: null
+    };
+    jobs.set(job.id, job);
+    activeBySlug.set(gallery.slug, job);
+    // Forget the oldest finished jobs
+    for (const [id, j] of jobs) {
+      if (jobs.size <= MAX_JOBS) break;
+      if (j.state !== "running") jobs.delete(id);
+    }
+
+    log.info("refresh.start", `🔄 Refresh requested for ${gallery.slug} (job ${job.id})`, { gallery: gallery.slug, job: job.id });
+    Promise.resolve()
+      .then(() => refresh(gallery))
+      .then(
+        (res) => Object.assign(job, { state: "done", count: res?.count ?? null }),
+        (e) => Object.assign(job, { state: "failed", error: String(e?.message || e).slice(0, 300) })
+      )
+      .finally(() => {
+        job.finishedAt = new Date().toISOString();
+        activeBySlug.delete(gallery.slug);
+        log.info("refresh.done", `🔄 Refresh ${job.id} for ${gallery.slug}: ${job.state}${job.error ? ` (${job.error})` : ""}`, {
+          gallery: gallery.slug,
+          job: job.id,
+          state: job.state,
+          error: job.error
+        });
+      });
+    return { job, created: true };
+  }
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+
+    if (req.method === "OPTIONS") return res.writeHead(204, { ...CORS_HEADERS, "Access-Control-Max-Age": "86400" }).end();
+
+    const refreshMatch = /^\/([^/]+)\/refresh\/?$/.exec(pathname);
+    if (refreshMatch) {
+      if (req.method !== "POST") return sendJson(res, 405, { error: "Use POST" }, { Allow: "POST, OPTIONS" });
+      if (!token) return sendJson(res, 403, { error: "Refresh is disabled (no FEED_SERVER_TOKEN set)" });
+      if (!tokenMatches(req.headers.authorization, token)) {
+        return sendJson(res, 401, { error: "Missing or wrong bearer token" }, { "WWW-Authenticate": "Bearer" });
+      }
+      const gallery = bySlug.get(decodeURIComponent(refreshMatch[1]));
+      if (!gallery) return sendJson(res, 404, { error: `Unknown gallery "${refreshMatch[1]}"` });
+
+      const { job, created } = startJob(gallery);
+      return sendJson(res, created ? 202 : 200, job, { Location: `/jobs/${job.id}` });
+    }
+
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      return sendJson(res, 405, { error: "Method not allowed" }, { Allow: "GET, HEAD, OPTIONS" });
+    }
+
+    const jobMatch = /^\/jobs\/([\w-]+)$/.exec(pathname);
+    if (jobMatch) {
+      const job = jobs.get(jobMatch[1]);
+      return job ? sendJson(res, 200, job) : sendJson(res, 404, { error: "Unknown job" });
+    }
+
+    try {
+      serveFile(req, res, pathname);
+    } catch (e) {
+      sendJson(res, 500, { error: String(e?.message || e).slice(0, 200) });
+    }
+  });
+
+  server.listen(port, host, () => {
+    const refreshNote = token ? "refresh enabled" : "refresh disabled (set FEED_SERVER_TOKEN)";
+    const { port: boundPort } = server.address();
+    log.info("server.start", `📡 Serving ${root} on http://${host}:${boundPort}/ (${refreshNote})`, {
+      root,
+      host,
+      port: boundPort,
+      refresh: !!token
+    });
+  });
+
+  return {
+    server,
+    stop: () => new Promise(resolve => server.close(resolve))
+  };
+}
@@ -0,0 +1,155 @@
+import fs from "fs";
+import path from "path";
+import { apiItemsFromPages } from "./api.mjs";
+import { createCollector } from "./collector.mjs";
+import { FIXTURE_INDEX, loadFixtureIndex, readFixtureBody } from "./fixtures.mjs";
+import { log as rootLog } from "./log.mjs";
+import { sourceFor } from "./sources/index.mjs";
+
+/**
+ * Session archive layout (a superset of a fixture dir, so `--fixtures <session>` also works):
+ *   index.json    every response the page saw: { seq, method, url, postData?, status, headers, body? }
+ *   bodies/…      bodies of JSON and HTML responses
+ *   dom/<seq>.json  raw result of each DOM collection pass
+ *   api.json      API mode only: the paginated request we followed, its pages and the leading DOM items
+ *   session.json  gallery, tunables, timeline events (dom snapshots, retries) and the outcome
+ *   feed.json     items the recorded run produced (absent when it failed)
+ *
+ * Every response and DOM pass gets a number from one shared sequence, so replay can
+ * feed them to the collector in exactly the order the live run did.
+ * Sessions are meant to be shared (as fixtures, in bug reports), so no header that carries
+ * credentials is written: a logged-in run would otherwise leave its session cookies behind.
+ */
+export const SESSION_FILE = "session.json";
+
+const CREDENTIAL_HEADERS = /^(cookie|set-cookie|authorization|proxy-authorization)$/i;
+
+function withoutCredentials(headers = {}) {
+  return Object.fromEntries(Object.entries(headers).filter(([k]) => !CREDENTIAL_HEADERS.test(k)));
+}
+
+function bodyExtension(contentType) {
+  if (contentType.includes("application/json")) return "json";
+  if (contentType.includes("text/html")) return "html";
+  return null;
+}
+
+export function createRecorder(rootDir, gallery, log = rootLog) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const dir = path.resolve(rootDir, `${gallery.slug}-${stamp}`);
+  fs.mkdirSync(path.join(dir, "bodies"), { recursive: true });
+  fs.mkdirSync(path.join(dir, "dom"), { recursive: true });
+
+  let seq = 0;
+  const responses = [];
+  const events = [];
+  const recordedAt = new Date().toISOString();
+
+  return {
+    dir,
+
+    // readText caches the body, so the collector and the recorder share one read
+    async response(res, readText) {
+      const entry = {
+        seq: seq++,
+        method: res.request().method(),
+        url: res.url(),
+        postData: res.request().postData() || undefined,
+        status: res.status(),
+        headers: withoutCredentials(res.headers())
+      };
+      responses.push(entry);
+
+      const ext = bodyExtension((entry.headers["content-type"] || "").toLowerCase());
+      if (!ext) return;
+      const text = await readText();
+      entry.body = `bodies/${String(entry.seq).padStart(5, "0")}.${ext}`;
+      fs.writeFileSync(path.join(dir, entry.body), text || "");
+    },
+
+    domBatch(batch) {
+      const file = `dom/${String(seq).padStart(5, "0")}.json`;
+      events.push({ seq: seq++, type: "dom", file });
+      fs.writeFileSync(path.join(dir, file), JSON.stringify(batch));
+    },
+
+    api({ request, stopReason, pages, leading }) {
+      events.push({ seq: seq++, type: "api", file: "api.json" });
+      const safe = { ...request, headers: withoutCredentials(request.headers) };
+      fs.writeFileSync(path.join(dir, "api.json"), JSON.stringify({ request: safe, stopReason, leading, pages }));
+    },
+
+    reset(label) {
+      events.push({ seq: seq++, type: "reset", label });
+    },
+
+    finish({ items = null, error = null } = {}) {
+      responses.sort((a, b) => a.seq - b.seq);
+      fs.writeFileSync(
+        path.join(dir, FIXTURE_INDEX),
+        JSON.stringify({ url: gallery.url, responses }, null, 2)
+      );
+      fs.writeFileSync(
+        path.join(dir, SESSION_FILE),
+        JSON.stringify({
+          url: gallery.url,
+          slug: gallery.slug,
+          source: sourceFor(gallery).name,
+          rules: gallery.rules || [],
+          collapse: gallery.collapse !== false,
+          recordedAt,
+          finishedAt: new Date().toISOString(),
+          tunables: gallery.tunables,
+          ok: !error,
+          error: error ? String(error?.message || error) : null,
+          events
+        }, null, 2)
+      );
+      if (items) fs.writeFileSync(path.join(dir, "feed.json"), JSON.stringify({ count: items.length, items }, null, 2));
+      log.info("session.recorded", `🎞️  Session recorded → ${dir}`, { dir });
+    }
+  };
+}
+
+/**
+ * Re-run the collection + ordering/dedupe/collapse pipeline against a recorded session.
+ * No browser involved; the result is identical to the recorded run's feed.
+ */
+export async function replaySession(dir) {
+  const session = JSON.parse(fs.readFileSync(path.join(dir, SESSION_FILE), "utf8"));
+  const index = loadFixtureIndex(dir);
+  const source = sourceFor(session);
+  const collector = createCollector(session.url, source);
+
+  const timeline = [
+    ...index.responses.map(entry => ({ seq: entry.seq, type: "response", entry })),
+    ...session.events
+  ].sort((a, b) => a.seq - b.seq);
+
+  let api = null;
+  for (const ev of timeline) {
+    if (ev.type === "response") {
+      const { entry } = ev;
+      await collector.addResponse(
+        entry.url,
+        entry.headers?.["content-type"],
+        async () => readFixtureBody(dir, entry).toString("utf8")
+      );
+    } else if (ev.type === "dom") {
+      collector.addDomBatch(JSON.parse(fs.readFileSync(path.join(dir, ev.file), "utf8")));
+    } else if (ev.type === "api") {
+      api = JSON.parse(fs.readFileSync(path.join(dir, ev.file), "utf8"));
+    } else if (ev.type === "reset") {
+      collector.reset();
+      api = null;
+    }
+  }
+
+  let recorded = null;
+  try {
+    recorded = JSON.parse(fs.readFileSync(path.join(dir, "feed.json"), "utf8")).items;
+  } catch {}
+
+  const items = api ? collector.withMetadata(apiItemsFromPages(api.pages, api.leading, source)) : collector.buildItems();
+  return { session, items, recorded };
+}
@@ -0,0 +1,119 @@
+import { IMAGE_EXTS, VIDEO_EXTS, VIDEO_EXT_RE } from "../filters.mjs";
+import { itemKey as defaultItemKey } from "../keys.mjs";
+import { compileRules } from "../rules.mjs";
+
+/**
+ * Are.na channels (https://www.are.na/<user>/<channel>).
+ * Images are served from the Are.na CDN in several sizes (thumb/square/display/large/original);
+ * all sizes of one block share its image id, which is what we dedupe on.
+ */
+const ARENA_IMAGE_HOSTS = ["d2w9rnfcy7mm78.cloudfront.net", "images.are.na"];
+const ARENA_MEDIA_HOSTS = [...ARENA_IMAGE_HOSTS, "attachments.are.na"];
+
+// Default filter rules (see rules.mjs): video attachments and CDN images only;
+// images.are.na URLs are extensionless (a base64 descriptor)
+const ARENA_RULES = [
+  { name: "ui-assets", exclude: { url: ["*/avatars/*", "*gravatar.com*", "*/_next/*"] } },
+  { name: "arena-video", include: { type: ["video", "unknown"], host: ARENA_MEDIA_HOSTS, ext: VIDEO_EXTS } },
+  { name: "arena-image", include: { type: ["image", "unknown"], host: ARENA_IMAGE_HOSTS, ext: [...IMAGE_EXTS, ""] } },
+  { name: "arena-not-image", report: "not-media", exclude: { type: "image", host: ARENA_IMAGE_HOSTS } },
+  { name: "image-host", report: "image-host", exclude: { type: "image" } }
+];
+
+// Image id of an Are.na CDN URL: /<id>/<size>_<hash>.jpg, or the `key` inside an images.are.na descriptor
+export function arenaImageId(urlStr) {
+  try {
+    const u = new URL(urlStr);
+    const host = u.host.toLowerCase();
+    const seg = u.pathname.split("/").filter(Boolean);
+    if (host === "d2w9rnfcy7mm78.cloudfront.net") return /^\d+$/.test(seg[0]) ? seg[0] : null;
+    if (host === "images.are.na") {
+      const desc = JSON.parse(Buffer.from(seg[0] || "", "base64url").toString("utf8"));
+      return /^(\d+)\//.exec(desc?.key || "")?.[1] || null;
+    }
+  } catch {}
+  return null;
+}
+
+function itemKey(type, src) {
+  const id = type === "image" ? arenaImageId(src) : null;
+  return id ? `image:arena:${id}` : defaultItemKey(type, src);
+}
+
+const IMAGE_SIZE_PREFERENCE = ["original", "large", "display"];
+
+function bestImageUrl(image) {
+  if (!image || typeof image !== "object") return null;
+  for (const size of IMAGE_SIZE_PREFERENCE) {
+    if (typeof image[size]?.url === "string") return image[size].url;
+    if (typeof image[size]?.src === "string") return image[size].src;
+  }
+  return typeof image.url === "string" ? image.url : typeof image.src === "string" ? image.src : null;
+}
+
+/**
+ * One entry per block ({ id, image?, attachment? }), in API order. We take the largest image
+ * size only, and video attachments; blocks are not descended into (their user avatars etc.).
+ */
+function apiEntriesFromJson(json) {
+  const entries = [];
+  const walk = (v) => {
+    if (!v || typeof v !== "object") return;
+    if (Array.isArray(v)) return v.forEach(walk);
+
+    const isBlock = v.id !== undefined && (v.image || v.attachment);
+    if (!isBlock) return Object.values(v).forEach(walk);
+
+    const urls = [];
+    const att = v.attachment;
+    if (typeof att?.url === "string" && (VIDEO_EXT_RE.test(att.url) || /^video\//.test(att.content_type || ""))) {
+      urls.push(att.url);
+    }
+    const img = bestImageUrl(v.image);
+    if (img) urls.push(img);
+    if (!urls.length) return;
+
+    const dims = v.image?.original || v.image || {};
+    entries.push({ urls, width: Number(dims.width) || 0, height: Number(dims.height) || 0 });
+  };
+  walk(json);
+  return entries;
+}
+
+function mediaUrlsFromJsonText(text) {
+  try {
+    return apiEntriesFromJson(JSON.parse(text)).flatMap(e => e.urls);
+  } catch {
+    return [];
+  }
+}
+
+export const arena = {
+  name: "arena",
+  title: "Are.na",
+  matches(url) {
+    try {
+      const h = new URL(url).host.toLowerCase();
+      return h === "are.na" || h === "www.are.na";
+    } catch {
+      return false;
+    }
+  },
+  rootSelectors: ["main", "#__next"],
+  mediaHosts: ARENA_IMAGE_HOSTS,
+  minImageSize: 0,
+  endMarkers: { selectors: [], text: ["^(end of channel|no more blocks)[.!]?$"] },
+  loginWall: {
+    paths: ["^/(log-in|login|sign-up|signup)(/|$)"],
+    selectors: ["input[type=password]"],
+    text: ["^this channel is private"]
+  },
+  emptyMarkers: { selectors: [], text: ["^(this channel is empty|no blocks yet)[.!]?$"] },
+  notFoundMarkers: { selectors: [], text: ["^(404|page not found)$", "^this channel (does not|doesn'?t) exist"] },
+  rules: compileRules(ARENA_RULES, "arena rules"),
+  extensionlessImageType: null,
+  itemKey,
+  mediaUrlsFromJsonText,
+  apiEntriesFromJson,
+  collapse: (items) => items
+};
@@ -0,0 +1,124 @@
+import { apiEntriesFromJson } from "../api.mjs";
+import { mediaUrlsFromJsonText } from "../extract.mjs";
+import { IMAGE_EXTS, MEDIA_EXTS, VIDEO_EXT_RE, isMuxVideo } from "../filters.mjs";
+import { itemKey } from "../keys.mjs";
+import { compileRules } from "../rules.mjs";
+
+// Hosts
+export const CDN_HOST_ALLOW = [
+  "cdn.cosmos.so",
+  "files.cosmos.so",
+  "image.mux.com",
+  "stream.mux.com",
+  "images.prismic.io",
+  "*.cloudfront.net",
+  "*.googleusercontent.com"
+];
+const COSMOS_HOSTS = ["cosmos.so", "*.cosmos.so"];
+
+// Image host enforcement (only keep images hosted on cosmos.so)
+export function isCosmosImageHost(hostname) {
+  const h = (hostname || "").toLowerCase();
+  return h === "cosmos.so" || h.endsWith(".cosmos.so");
+}
+
+/**
+ * Default filter rules (see rules.mjs), first match wins:
+ * - Exclude UI assets, avatars, and Mux thumbnails which cause "duplicate looking" stills
+ * - For images: allow cosmos.so hosted images, including extensionless Cosmos URLs
+ *   (Cosmos often serves AVIF with no extension, eg /<uuid>)
+ * - For videos and unknown types: media extension OR allowlisted host
+ */
+export const COSMOS_RULES = [
+  { name: "mux-thumbnail", report: "mux-thumbnail", exclude: { host: "image.mux.com", path: "*/thumbnail.png" } },
+  { name: "ui-assets", exclude: { url: ["*default-avatars*", "*/_next/*", "*cosmos.so/api/avatar*"] } },
+  { name: "cosmos-image", include: { type: "image", host: COSMOS_HOSTS, ext: IMAGE_EXTS } },
+  { name: "cosmos-image-extensionless", include: { type: "image", host: COSMOS_HOSTS, ext: "" } },
+  { name: "cosmos-not-image", report: "not-media", exclude: { type: "image", host: COSMOS_HOSTS } },
+  { name: "image-host", report: "image-host", exclude: { type: "image" } },
+  { name: "media-ext", include: { ext: MEDIA_EXTS } },
+  { name: "cdn-host", include: { host: CDN_HOST_ALLOW } }
+];
+
+export function isCosmosHostedMp4(urlStr) {
+  try {
+    const u = new URL(urlStr);
+    const host = u.host.toLowerCase();
+    if (!VIDEO_EXT_RE.test(u.pathname)) return false;
+    return host === "cdn.cosmos.so" || host === "files.cosmos.so";
+  } catch {
+    return false;
+  }
+}
+
+// Cosmos sometimes renders a cosmos-hosted mp4 right before the Mux stream of the same video
+// (optionally with a still in between). Keep only the Mux item.
+export function collapseVideoPairs(ordered) {
+  const collapsed = [];
+  for (let i = 0; i < ordered.length; i++) {
+    const current = ordered[i];
+    const next = ordered[i + 1];
+    const nextNext = ordered[i + 2];
+
+    const currentIsCosmosVideo =
+      current?.type === "video" &&
+      isCosmosHostedMp4(current.src);
+
+    const nextIsMuxVideo =
+      next?.type === "video" &&
+      isMuxVideo(next.src);
+
+    const nextNextIsMuxVideo =
+      nextNext?.type === "video" &&
+      isMuxVideo(nextNext.src);
+
+    if (currentIsCosmosVideo && nextIsMuxVideo) {
+      collapsed.push(next);
+      i += 1;
+      continue;
+    }
+
+    if (currentIsCosmosVideo && next?.type === "image" && nextNextIsMuxVideo) {
+      collapsed.push(nextNext);
+      i += 2;
+      continue;
+    }
+
+    collapsed.push(current);
+  }
+
+  return collapsed;
+}
+
+export const cosmos = {
+  name: "cosmos",
+  title: "Cosmos",
+  matches(url) {
+    try {
+      return isCosmosImageHost(new URL(url).host);
+    } catch {
+      return false;
+    }
+  },
+  rootSelectors: ["main", "#__next"],
+  mediaHosts: ["cdn.cosmos.so", "files.cosmos.so", "image.mux.com", "stream.mux.com"],
+  minImageSize: 0,
+  endMarkers: { selectors: [], text: ["^(that'?s all|you'?ve reached the end|no more elements)[.!]?$"] },
+  loginWall: {
+    paths: ["^/(login|log-in|signin|sign-in|signup|sign-up|auth)(/|$)"],
+    selectors: ["input[type=password]"],
+    text: ["^this (cluster|collection|profile) is private", "^(log|sign) in to (view|see|continue)"]
+  },
+  emptyMarkers: { selectors: [], text: ["^(this (cluster|collection) is empty|no elements( yet)?)[.!]?$"] },
+  notFoundMarkers: {
+    selectors: [],
+    text: ["^(404|page not found)$", "^this (page|cluster|collection|profile) (does not|doesn'?t) exist"]
+  },
+  rules: compileRules(COSMOS_RULES, "cosmos rules"),
+  // Cosmos serves AVIF with no extension (eg /<uuid>)
+  extensionlessImageType: "image/avif",
+  itemKey,
+  mediaUrlsFromJsonText,
+  apiEntriesFromJson,
+  collapse: collapseVideoPairs
+};
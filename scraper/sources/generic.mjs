@@ -0,0 +1,40 @@
+import { mediaUrlsFromJsonText } from "../extract.mjs";
+import { MEDIA_EXTS, VIDEO_EXTS } from "../filters.mjs";
+import { itemKey } from "../keys.mjs";
+import { compileRules } from "../rules.mjs";
+
+/**
+ * Default filter rules (see rules.mjs): any host, minus icons, logos and tracking pixels that
+ * show up on any page. Images may be extensionless when the DOM told us they are images,
+ * network URLs (type unknown) need a media extension.
+ */
+const GENERIC_RULES = [
+  {
+    name: "ui-assets",
+    exclude: { url: ["*.svg", "*.svg?*", "*/icon/*", "*/icons/*", "*sprite*", "*logo*", "*avatar*", "*pixel.gif*", "*spacer.gif*"] }
+  },
+  { name: "video-as-image", report: "not-media", exclude: { type: "image", ext: VIDEO_EXTS } },
+  { name: "any-image", include: { type: "image" } },
+  { name: "any-video", include: { type: "video" } },
+  { name: "media-ext", include: { ext: MEDIA_EXTS } }
+];
+
+// "Any page with images": used with `source: generic`, or when no other adapter claims the URL
+export const generic = {
+  name: "generic",
+  title: "Page",
+  matches: () => false,
+  rootSelectors: ["main", "[role=main]", "article"],
+  mediaHosts: [],
+  minImageSize: 100,
+  endMarkers: { selectors: [], text: ["^(that'?s all|the end|no more (posts|items|results))[.!]?$"] },
+  loginWall: { paths: ["^/(login|log-in|signin|sign-in)(/|$)"], selectors: ["input[type=password]"], text: [] },
+  emptyMarkers: { selectors: [], text: [] },
+  notFoundMarkers: { selectors: [], text: ["^(404|page not found|404 not found)$"] },
+  rules: compileRules(GENERIC_RULES, "generic rules"),
+  extensionlessImageType: null,
+  itemKey,
+  mediaUrlsFromJsonText,
+  apiEntriesFromJson: null,
+  collapse: (items) => items
+};
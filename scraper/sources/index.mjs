@@ -0,0 +1,57 @@
+import { arena } from "./arena.mjs";
+import { cosmos } from "./cosmos.mjs";
+import { generic } from "./generic.mjs";
+import { compileRules } from "../rules.mjs";
+
+/**
+ * Source adapters: everything that depends on which site a gallery lives on.
+ *
+ *   name, title            config name (`source: arena`) and label for logs/errors
+ *   matches(url)           true when the adapter handles this gallery URL
+ *   rootSelectors          where the board lives in the DOM (first match wins, else <body>)
+ *   mediaHosts             background-image hosts that count towards the hydration check ([] = any)
+ *   minImageSize           skip rendered <img> smaller than this (px) in DOM captures
+ *   endMarkers             { selectors, text }: on-screen elements / short texts (regexes,
+ *                          case-insensitive) that mean the end of the board when scrolling
+ *   loginWall              { paths, selectors, text }: login page paths (regexes) and visible
+ *                          elements / texts that mean a login wall instead of the board (auth.mjs)
+ *   emptyMarkers           { selectors, text }: what the site shows for a board without elements
+ *   notFoundMarkers        { selectors, text }: its "page not found" screen, for sites that answer
+ *                          missing boards with a 200 (page-state.mjs)
+ *   rules                  default filter rules (compiled, see rules.mjs): what counts as media
+ *   extensionlessImageType MIME type of image URLs without an extension (null = unknown), for
+ *                          the feed writers
+ *   itemKey(type, src)     dedupe key for an item
+ *   mediaUrlsFromJsonText  media URLs in a JSON response body
+ *   apiEntriesFromJson     per-element { urls, width, height } of an API page (null: no API mode)
+ *   collapse(items)        site-specific cleanup of the ordered list
+ *
+ * Scraping, ordering, post-processing and the feed writers are shared by every source.
+ */
+export const SOURCES = { cosmos, arena, generic };
+
+export const SOURCE_NAMES = Object.keys(SOURCES);
+
+// Explicit `source` wins, else the first adapter whose URL rule matches, else the generic one
+function adapterFor(url, source) {
+  if (source) {
+    const adapter = SOURCES[source];
+    if (!adapter) throw new Error(`Unknown source "${source}", expected ${SOURCE_NAMES.join(" | ")}`);
+    return adapter;
+  }
+  return Object.values(SOURCES).find(s => s.matches(url)) || generic;
+}
+
+/**
+ * The adapter of a gallery, with its own filter `rules` (checked ahead of the adapter's
+ * defaults) and `collapse: false` to keep what the adapter's cleanup would fold together.
+ */
+export function sourceFor({ url, source = null, rules = null, collapse = true }) {
+  const adapter = adapterFor(url, source);
+  if (!rules?.length && collapse !== false) return adapter;
+  return {
+    ...adapter,
+    galleryRules: compileRules(rules || [], `${adapter.title} gallery rules`),
+    collapse: collapse === false ? (items) => items : adapter.collapse
+  };
+}
@@ -0,0 +1,133 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { normaliseURL } from "./filters.mjs";
+import { sourceFor } from "./sources/index.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_TRACE_DIR = path.resolve(__dirname, "../.cache/trace");
+
+// Pipeline stages in the order a URL goes through them
+const STAGES = ["capture", "candidates", "order", "collapse"];
+
+export function traceFile(dir, slug) {
+  return path.join(dir, `${slug}.jsonl`);
+}
+
+/**
+ * Filter trace of one run: every candidate URL with where it came from (dom, network, json, api),
+ * the pipeline stage (capture, candidates, order, collapse) and the rule that kept or dropped it.
+ * The same tile is captured on every scroll, so repeats fold into one line with a count.
+ * Written as JSON lines: a "run" line, one "decision" line per URL/stage/rule, one "item" line
+ * per feed item.
+ */
+export function createTrace() {
+  const decisions = new Map();
+  let started = Date.now();
+
+  return {
+    record(verdict, rule, url, { origin = null, stage = null, detail = null, raw = null } = {}) {
+      const id = [url, origin, stage, verdict, rule].join("\t");
+      const existing = decisions.get(id);
+      if (existing) {
+        existing.count++;
+        return;
+      }
+      decisions.set(id, {
+        type: "decision",
+        url,
+        origin,
+        stage,
+        verdict,
+        rule,
+        detail,
+        raw: raw && raw !== url ? raw : null,
+        count: 1,
+        ms: Date.now() - started
+      });
+    },
+
+    // A retry starts from scratch, so does its trace
+    reset() {
+      decisions.clear();
+      started = Date.now();
+    },
+
+    write(file, { gallery, source, items = [], error = null }) {
+      const lines = [{
+        type: "run",
+        gallery: gallery.slug,
+        url: gallery.url,
+        source: source.name,
+        at: new Date().toISOString(),
+        count: items.length,
+        error: error ? String(error?.message || error).slice(0, 300) : null
+      }];
+      lines.push(...decisions.values());
+      items.forEach((it, position) => {
+        lines.push({ type: "item", position, url: it.src, itemType: it.type, poster: it.poster || null });
+      });
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, lines.map(l => JSON.stringify(l)).join("\n") + "\n");
+      return file;
+    }
+  };
+}
+
+export function readTrace(file) {
+  const trace = { run: null, decisions: [], items: [] };
+  for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    const entry = JSON.parse(line);
+    if (entry.type === "run") trace.run = entry;
+    else if (entry.type === "decision") trace.decisions.push(entry);
+    else if (entry.type === "item") trace.items.push(entry);
+  }
+  return trace;
+}
+
+/**
+ * What happened to `query` in a traced run: the matching decisions (the URL itself, or another
+ * URL of the same media by the source's dedupe key), the feed item it became, the normalised
+ * `url` that was looked up, and a verdict:
+ *   in-feed | poster | dropped | unused (kept by the filters, not in the feed) | never-seen
+ */
+export function explainUrl(trace, query) {
+  const source = sourceFor({ url: trace.run.url, source: trace.run.source });
+  const norm = normaliseURL(query) || query;
+  const keysOf = (url) => ["image", "video"].map(type => source.itemKey(type, url));
+  const wanted = new Set(keysOf(norm));
+  const sameMedia = (url) => !!url && (url === norm || keysOf(url).some(k => wanted.has(k)));
+
+  const decisions = trace.decisions
+    .filter(d => sameMedia(d.url) || d.raw === query)
+    .sort((a, b) => (a.url !== norm) - (b.url !== norm) || STAGES.indexOf(a.stage) - STAGES.indexOf(b.stage) || a.ms - b.ms);
+  const item = trace.items.find(it => sameMedia(it.url));
+  const posterOf = trace.items.find(it => sameMedia(it.poster));
+
+  const found = { url: norm, decisions };
+  if (item) return { ...found, verdict: "in-feed", item, summary: `in the feed at position ${item.position + 1} (${item.url})` };
+  if (posterOf) {
+    return { ...found, verdict: "poster", item: posterOf, summary: `poster of the item at position ${posterOf.position + 1} (${posterOf.url})` };
+  }
+
+  // The drop that happened furthest down the pipeline is the one that kept it out
+  const drops = decisions.filter(d => d.verdict === "dropped");
+  const last = drops.sort((a, b) => STAGES.indexOf(b.stage) - STAGES.indexOf(a.stage))[0];
+  if (last) {
+    const detail = last.detail && last.detail !== last.rule ? `, ${last.detail}` : "";
+    return { ...found, verdict: "dropped", item: null, summary: `dropped by ${last.rule}${detail} (${last.origin}, ${last.stage})` };
+  }
+  if (decisions.length) {
+    return { ...found, verdict: "unused", item: null, summary: "kept by the filters but not in the feed (eg not in the board's API pages)" };
+  }
+  return {
+    ...found,
+    verdict: "never-seen",
+    item: null,
+    summary: "never seen: no DOM capture, network response or JSON body had it " +
+      "(tiny images and background tiles are skipped inside the page)"
+  };
+}
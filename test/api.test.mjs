@@ -0,0 +1,61 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { findPagination, followPagination } from "../scraper/api.mjs";
+import { sourceFor } from "../scraper/sources/index.mjs";
+
+const source = sourceFor({ url: "https://www.cosmos.so/rlphoto/swim" });
+
+// A Cosmos-like API of `total` elements, `size` per page, paged by an `after` cursor
+function board(total, size = 3) {
+  const page = (after) => {
+    const start = after ? Number(after) : 0;
+    const edges = Array.from({ length: Math.min(size, total - start) }, (_, i) => ({
+      node: { id: `el-${start + i}`, image: { __typename: "StaticImage", url: `https://cdn.cosmos.so/${start + i}`, width: 10, height: 10 } }
+    }));
+    const end = start + edges.length;
+    return { data: { elements: { edges, pageInfo: { endCursor: String(end), hasNextPage: end < total } } } };
+  };
+  return { page, fetchPage: async (req) => page(JSON.parse(req.postData).variables.after) };
+}
+
+function seedOf(json, postData) {
+  return { request: { method: "POST", url: "https://www.cosmos.so/api/graphql", postData, headers: {} }, json, pagination: findPagination(json) };
+}
+
+const FIRST = JSON.stringify({ variables: { first: 3, after: null } });
+
+describe("followPagination", () => {
+  test("follows the cursor to the end", async () => {
+    const { page, fetchPage } = board(8);
+    const result = await followPagination(seedOf(page(null), FIRST), fetchPage, { source, delayMs: 0 });
+
+    assert.equal(result.pages.length, 3);
+    assert.equal(result.stopReason, "exhausted");
+    assert.equal(result.truncated, false);
+  });
+
+  test("is truncated when maxPages stops it before the end", async () => {
+    const { page, fetchPage } = board(20);
+    const result = await followPagination(seedOf(page(null), FIRST), fetchPage, { source, maxPages: 2, delayMs: 0 });
+
+    assert.equal(result.stopReason, "max-pages");
+    assert.equal(result.truncated, true);
+  });
+
+  test("is not truncated when maxPages is the last page", async () => {
+    const { page, fetchPage } = board(6);
+    const result = await followPagination(seedOf(page(null), FIRST), fetchPage, { source, maxPages: 2, delayMs: 0 });
+
+    assert.equal(result.stopReason, "max-pages");
+    assert.equal(result.truncated, false);
+  });
+
+  test("is truncated when the request has nothing to page by", async () => {
+    const { page, fetchPage } = board(20);
+    const result = await followPagination(seedOf(page(null), JSON.stringify({ variables: { slug: "swim" } })), fetchPage, { source, delayMs: 0 });
+
+    assert.equal(result.pages.length, 1);
+    assert.equal(result.stopReason, "unknown-pagination");
+    assert.equal(result.truncated, true);
+  });
+});
@@ -0,0 +1,40 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { galleryFromEnv } from "../scraper/config.mjs";
+import { DEFAULT_VARIANT_FORMATS, DEFAULT_VARIANT_WIDTHS, validateDerivatives, variantOptionsFromEnv } from "../scraper/derivatives.mjs";
+
+describe("variantOptionsFromEnv", () => {
+  test("defaults when unset", () => {
+    assert.deepEqual(variantOptionsFromEnv({}), { widths: DEFAULT_VARIANT_WIDTHS, formats: DEFAULT_VARIANT_FORMATS });
+  });
+
+  test("reads comma-separated lists", () => {
+    assert.deepEqual(variantOptionsFromEnv({ VARIANT_WIDTHS: "400, 800", VARIANT_FORMATS: "avif,webp" }), { widths: [400, 800], formats: ["avif", "webp"] });
+  });
+
+  test("refuses formats the feed schema does not know", () => {
+    assert.throws(() => variantOptionsFromEnv({ VARIANT_FORMATS: "webp,png" }), /Unknown variant format "png" in VARIANT_FORMATS/);
+    assert.throws(() => galleryFromEnv({ VARIANT_FORMATS: "jpeg" }), /Unknown variant format "jpeg"/);
+  });
+
+  test("refuses widths that are not whole pixels", () => {
+    for (const VARIANT_WIDTHS of ["abc", "320,0", "-640", "640.5"]) {
+      assert.throws(() => variantOptionsFromEnv({ VARIANT_WIDTHS }), /Variant widths must be/, VARIANT_WIDTHS);
+    }
+  });
+});
+
+describe("validateDerivatives", () => {
+  const where = "galleries.yaml (swim)";
+
+  test("accepts true, false and known options", () => {
+    for (const value of [undefined, true, false, { widths: [400] }, { formats: ["jpg", "avif"] }]) validateDerivatives(value, where);
+  });
+
+  test("refuses anything else", () => {
+    assert.throws(() => validateDerivatives("yes", where), /derivatives must be true, false or \{ widths, formats \}/);
+    assert.throws(() => validateDerivatives({ formats: ["png"] }, where), /Unknown variant format "png" in galleries\.yaml \(swim\)/);
+    assert.throws(() => validateDerivatives({ formats: "webp" }, where), /Variant formats must be a list/);
+    assert.throws(() => validateDerivatives({ widths: ["640"] }, where), /Variant widths must be/);
+  });
+});
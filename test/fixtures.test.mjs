@@ -0,0 +1,127 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { describe, test } from "node:test";
+import { chromium } from "playwright";
+import { apiItemsFromPages, followPagination, isFirstPageRequest, pickPaginatedRequest } from "../scraper/api.mjs";
+import { createCollector } from "../scraper/collector.mjs";
+import { envTunables, slugFromUrl } from "../scraper/config.mjs";
+import { checkFixtureOutput, fixtureDirFor, loadFixtureIndex, routeFixtures } from "../scraper/fixtures.mjs";
+import { sourceFor } from "../scraper/sources/index.mjs";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const FIXTURES = path.join(ROOT, "fixtures");
+const SLUGS = fs.readdirSync(FIXTURES).filter(d => fs.existsSync(path.join(FIXTURES, d, "index.json")));
+
+// A browser context as far as routeFixtures is concerned; request() answers like the page would see it
+async function fixtureContext(dir) {
+  let handler = null;
+  await routeFixtures({ route: async (pattern, fn) => { handler = fn; } }, dir);
+  return {
+    request: (method, url, postData = null) => new Promise((resolve, reject) => {
+      handler({
+        request: () => ({ method: () => method, url: () => url, postData: () => postData }),
+        fulfill: async ({ status, headers = {}, body }) => resolve({ status, headers, text: String(body) })
+      }).catch(reject);
+    })
+  };
+}
+
+/**
+ * API-mode extraction of a fixture without a browser, the way gallery.mjs does it: the board's
+ * first data request (as the page makes it on load), followed page by page, metadata from every
+ * response.
+ */
+async function scrapeFixtureApi(dir) {
+  const index = loadFixtureIndex(dir);
+  const gallery = { url: index.url, slug: slugFromUrl(index.url), tunables: envTunables({}) };
+  const source = sourceFor(gallery);
+  const collector = createCollector(gallery.url, source);
+  const context = await fixtureContext(dir);
+
+  const load = async (req) => {
+    const res = await context.request(req.method, req.url, req.postData);
+    await collector.addResponse(req.url, res.headers["content-type"] || "", async () => res.text);
+    if (res.status >= 400) throw new Error(`HTTP ${res.status} for ${req.url}`);
+    return JSON.parse(res.text);
+  };
+
+  const onLoad = index.responses
+    .filter(r => /json/i.test(r.headers?.["content-type"] || "") && isFirstPageRequest(r))
+    .map(r => ({ method: r.method, url: r.url, postData: r.postData || null, headers: { "content-type": "application/json" } }));
+  const candidates = [];
+  for (const request of onLoad) candidates.push({ request, json: await load(request) });
+
+  const seed = pickPaginatedRequest(candidates, source);
+  assert.ok(seed, `no paginated data request in ${dir}`);
+  const result = await followPagination(seed, load, { source, delayMs: 0 });
+  const items = collector.withMetadata(apiItemsFromPages(result.pages, [], source, collector.tally));
+  return { items, source, stopReason: result.stopReason, pages: result.pages.length };
+}
+
+describe("routeFixtures", () => {
+  const dir = path.join(FIXTURES, "swim");
+
+  test("serves recorded responses, POSTs by body, the last one repeating", async () => {
+    const index = loadFixtureIndex(dir);
+    const context = await fixtureContext(dir);
+    const [doc, first, second] = index.responses;
+
+    const page = await context.request("GET", doc.url);
+    assert.equal(page.status, 200);
+    assert.match(page.text, /<main id="board">/);
+
+    const res = await context.request("POST", second.url, second.postData);
+    assert.equal(JSON.parse(res.text).data.cluster.elements.pageInfo.hasNextPage, false);
+    const again = await context.request("POST", first.url, first.postData);
+    assert.equal(JSON.parse(again.text).data.cluster.elements.pageInfo.hasNextPage, true);
+  });
+
+  test("answers anything unrecorded with a 404", async () => {
+    const context = await fixtureContext(dir);
+    const res = await context.request("GET", "https://cdn.cosmos.so/not-recorded");
+    assert.equal(res.status, 404);
+    assert.equal(res.text, "");
+  });
+});
+
+describe("recorded galleries", () => {
+  for (const slug of SLUGS) {
+    test(`${slug}: API extraction matches expected.json`, async () => {
+      const dir = fixtureDirFor(FIXTURES, slug);
+      const { items, source, stopReason } = await scrapeFixtureApi(dir);
+
+      assert.equal(stopReason, "exhausted");
+      const check = checkFixtureOutput(dir, items, source);
+      assert.ok(check.compared, `${dir} has no expected.json`);
+      assert.ok(check.ok, `${dir}: actual.json differs from expected.json (${JSON.stringify(check.diff)})`);
+    });
+  }
+
+  test("checkFixtureOutput reports a differing feed", async () => {
+    const dir = path.join(FIXTURES, "swim");
+    const { items, source } = await scrapeFixtureApi(dir);
+    const check = checkFixtureOutput(dir, [...items.slice(1), items[0]], source);
+
+    assert.equal(check.ok, false);
+    assert.ok(check.diff.reordered.length > 0);
+    checkFixtureOutput(dir, items, source);
+  });
+
+  // The full run (Playwright, hydration gate, in-page pagination) needs a Chromium install
+  const browserMissing = !fs.existsSync(chromium.executablePath()) && "Chromium not installed (npx playwright install chromium)";
+  for (const slug of SLUGS) {
+    test(`${slug}: npm run scrape:fixtures`, { skip: browserMissing, timeout: 180000 }, () => {
+      const { url } = loadFixtureIndex(fixtureDirFor(FIXTURES, slug));
+      const run = spawnSync(process.execPath, ["scraper/scrape.mjs", "--fixtures", "fixtures"], {
+        cwd: ROOT,
+        env: { ...process.env, COSMOS_URL: url, FIRST_IDLE: "500", LOG_LEVEL: "warn" },
+        encoding: "utf8",
+        timeout: 170000
+      });
+      assert.equal(run.status, 0, run.stdout + run.stderr);
+    });
+  }
+});
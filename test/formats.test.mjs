@@ -0,0 +1,77 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, test } from "node:test";
+import { FORMATS, formatPath, mimeTypeOf, writeFormats } from "../scraper/formats.mjs";
+import { MEDIA_DIR } from "../scraper/mirror.mjs";
+import { sourceFor } from "../scraper/sources/index.mjs";
+
+let dir;
+let gallery;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "formats-test-"));
+  gallery = { slug: "swim", url: "https://www.cosmos.so/rlphoto/swim", outFile: path.join(dir, "swim.json") };
+});
+
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const ITEMS = [
+  { type: "image", src: "https://cdn.cosmos.so/6f1c2a7e", width: 100, height: 100, mirrorSrc: `${MEDIA_DIR}/abc.avif` },
+  { type: "video", src: "https://stream.mux.com/Sw1m/low.mp4", width: 1080, height: 1920 }
+];
+const render = (format, items = ITEMS) => {
+  const [file] = writeFormats(gallery, items, [format]);
+  return fs.readFileSync(file, "utf8");
+};
+
+describe("mimeTypeOf", () => {
+  const cosmos = sourceFor({ url: "https://www.cosmos.so/a/b" });
+  const arena = sourceFor({ url: "https://www.are.na/a/b" });
+
+  test("goes by the extension", () => {
+    assert.equal(mimeTypeOf({ type: "image", src: "https://x.example/a.JPG" }, cosmos), "image/jpeg");
+    assert.equal(mimeTypeOf({ type: "video", src: "https://x.example/a.webm" }), "video/webm");
+  });
+
+  test("asks the source about extensionless images", () => {
+    const item = { type: "image", src: "https://cdn.cosmos.so/6f1c2a7e" };
+    assert.equal(mimeTypeOf(item, cosmos), "image/avif");
+    assert.equal(mimeTypeOf(item, arena), "application/octet-stream");
+    assert.equal(mimeTypeOf(item), "application/octet-stream");
+  });
+});
+
+describe("atom", () => {
+  test("has a feed author: the board's owner", () => {
+    assert.match(render("atom"), /<author><name>rlphoto<\/name><\/author>/);
+  });
+
+  test("`author:` wins", () => {
+    gallery.author = "R & L Photo";
+    assert.match(render("atom"), /<author><name>R &amp; L Photo<\/name><\/author>/);
+  });
+});
+
+describe("rss", () => {
+  test("enclosures carry the mirrored file's size, unmirrored items get none", () => {
+    fs.mkdirSync(path.join(dir, MEDIA_DIR));
+    fs.writeFileSync(path.join(dir, MEDIA_DIR, "abc.avif"), Buffer.alloc(1234));
+    const xml = render("rss");
+
+    assert.deepEqual(xml.match(/<enclosure [^>]*>/g), ['<enclosure url="https://cdn.cosmos.so/6f1c2a7e" type="image/avif" length="1234" />']);
+    assert.equal(xml.match(/<media:content /g).length, 2);
+  });
+
+  test("no enclosure when the mirrored file is gone", () => {
+    assert.doesNotMatch(render("rss"), /<enclosure/);
+  });
+});
+
+test("every format renders", () => {
+  for (const format of Object.keys(FORMATS)) {
+    render(format);
+    assert.ok(fs.existsSync(formatPath(gallery.outFile, format)), format);
+  }
+});
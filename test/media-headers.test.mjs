@@ -0,0 +1,164 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { imageSizeFromHeader, listBoxes, mp4InfoFromMoov } from "../scraper/media-headers.mjs";
+
+// Byte builders: just enough of each format for the header parsers
+const u16be = (n) => { const b = Buffer.alloc(2); b.writeUInt16BE(n); return b; };
+const u16le = (n) => { const b = Buffer.alloc(2); b.writeUInt16LE(n); return b; };
+const u32be = (n) => { const b = Buffer.alloc(4); b.writeUInt32BE(n); return b; };
+const u32le = (n) => { const b = Buffer.alloc(4); b.writeUInt32LE(n); return b; };
+const u24le = (n) => u32le(n).subarray(0, 3);
+const ascii = (s) => Buffer.from(s, "ascii");
+const zeros = (n) => Buffer.alloc(n);
+
+const box = (type, ...parts) => {
+  const body = Buffer.concat(parts);
+  return Buffer.concat([u32be(8 + body.length), ascii(type), body]);
+};
+const fullBox = (type, version, ...parts) => box(type, Buffer.from([version, 0, 0, 0]), ...parts);
+
+function png(width, height) {
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    u32be(13), ascii("IHDR"), u32be(width), u32be(height), Buffer.from([8, 6, 0, 0, 0])
+  ]);
+}
+
+function gif(width, height) {
+  return Buffer.concat([ascii("GIF89a"), u16le(width), u16le(height), zeros(3)]);
+}
+
+const segment = (marker, payload) => Buffer.concat([Buffer.from([0xff, marker]), u16be(payload.length + 2), payload]);
+
+// Little-endian TIFF with a single IFD entry: orientation
+function exif(orientation) {
+  return Buffer.concat([
+    ascii("Exif\0\0"),
+    ascii("II"), u16le(42), u32le(8),
+    u16le(1), u16le(0x0112), u16le(3), u32le(1), u16le(orientation), zeros(2),
+    u32le(0)
+  ]);
+}
+
+function jpeg(width, height, orientation = null) {
+  return Buffer.concat([
+    Buffer.from([0xff, 0xd8]),
+    segment(0xe0, Buffer.concat([ascii("JFIF\0"), zeros(9)])),
+    ...(orientation ? [segment(0xe1, exif(orientation))] : []),
+    segment(0xdb, zeros(65)),
+    segment(0xc0, Buffer.concat([Buffer.from([8]), u16be(height), u16be(width), Buffer.from([3]), zeros(9)])),
+    Buffer.from([0xff, 0xd9])
+  ]);
+}
+
+function webp(chunk, payload) {
+  const data = Buffer.concat([ascii(chunk), u32le(payload.length), payload]);
+  return Buffer.concat([ascii("RIFF"), u32le(4 + data.length), ascii("WEBP"), data]);
+}
+const vp8 = (width, height) => webp("VP8 ", Buffer.concat([zeros(3), Buffer.from([0x9d, 0x01, 0x2a]), u16le(width), u16le(height)]));
+const vp8l = (width, height) => webp("VP8L", Buffer.concat([Buffer.from([0x2f]), u32le((width - 1) | ((height - 1) << 14)), zeros(5)]));
+const vp8x = (width, height) => webp("VP8X", Buffer.concat([zeros(4), u24le(width - 1), u24le(height - 1)]));
+
+const ispe = (width, height) => fullBox("ispe", 0, u32be(width), u32be(height));
+
+function heif(brand, ...props) {
+  return Buffer.concat([
+    box("ftyp", ascii(brand), u32be(0), ascii("mif1"), ascii(brand)),
+    fullBox("meta", 0, fullBox("hdlr", 0, zeros(4), ascii("pict"), zeros(13)), box("iprp", box("ipco", ...props)))
+  ]);
+}
+
+// Version 0 headers: mvhd timescale/duration at 12/16, tkhd width/height (16.16) at 76/80
+const mvhd = (timescale, duration) => fullBox("mvhd", 0, zeros(8), u32be(timescale), u32be(duration), zeros(80));
+const tkhd = (width, height) => fullBox("tkhd", 0, zeros(72), u32be(width * 65536), u32be(height * 65536));
+
+function mp4(...children) {
+  const buf = Buffer.concat([box("ftyp", ascii("isom"), u32be(0)), box("moov", ...children), box("mdat", zeros(16))]);
+  return { buf, moov: listBoxes(buf).find(b => b.type === "moov") };
+}
+
+describe("imageSizeFromHeader", () => {
+  const cases = [
+    ["PNG", png(640, 480), { width: 640, height: 480 }],
+    ["GIF", gif(320, 200), { width: 320, height: 200 }],
+    ["JPEG", jpeg(1200, 800), { width: 1200, height: 800 }],
+    ["JPEG, EXIF orientation 1", jpeg(1200, 800, 1), { width: 1200, height: 800 }],
+    ["JPEG, EXIF orientation 3 (upside down)", jpeg(1200, 800, 3), { width: 1200, height: 800 }],
+    ["JPEG, EXIF orientation 6 (turned)", jpeg(1200, 800, 6), { width: 800, height: 1200 }],
+    ["JPEG, EXIF orientation 8 (turned)", jpeg(1200, 800, 8), { width: 800, height: 1200 }],
+    ["WebP VP8", vp8(1024, 768), { width: 1024, height: 768 }],
+    ["WebP VP8L", vp8l(1000, 3000), { width: 1000, height: 3000 }],
+    ["WebP VP8X", vp8x(4000, 20000), { width: 4000, height: 20000 }],
+    ["AVIF ispe", heif("avif", ispe(1920, 1080)), { width: 1920, height: 1080 }],
+    ["HEIC, largest ispe wins", heif("heic", ispe(320, 240), ispe(4032, 3024)), { width: 4032, height: 3024 }],
+    ["HEIC, irot turns it sideways", heif("heic", ispe(4032, 3024), box("irot", Buffer.from([1]))), { width: 3024, height: 4032 }],
+    ["HEIC, irot by 180°", heif("heic", ispe(4032, 3024), box("irot", Buffer.from([2]))), { width: 4032, height: 3024 }]
+  ];
+
+  for (const [name, buf, size] of cases) {
+    test(name, () => assert.deepEqual(imageSizeFromHeader(buf), size));
+  }
+
+  test("unknown formats and zero sizes are null", () => {
+    assert.equal(imageSizeFromHeader(ascii("<!doctype html><html><body></body></html>")), null);
+    assert.equal(imageSizeFromHeader(heif("isom", ispe(10, 10))), null);
+    assert.equal(imageSizeFromHeader(png(0, 480)), null);
+    assert.equal(imageSizeFromHeader(Buffer.alloc(0)), null);
+  });
+
+  test("truncated buffers never throw, and give the full size or null", () => {
+    for (const [name, buf, size] of cases) {
+      for (let length = 0; length < buf.length; length++) {
+        const got = imageSizeFromHeader(buf.subarray(0, length));
+        if (got) assert.deepEqual(got, size, `${name} cut at ${length} bytes`);
+      }
+    }
+  });
+
+  test("a JPEG cut before its frame header is null", () => {
+    const buf = jpeg(1200, 800, 6);
+    assert.equal(imageSizeFromHeader(buf.subarray(0, buf.length - 22)), null);
+  });
+});
+
+describe("mp4InfoFromMoov", () => {
+  test("duration from mvhd, size from the first track with one", () => {
+    const { buf, moov } = mp4(mvhd(600, 7500), box("trak", tkhd(0, 0)), box("trak", tkhd(1080, 1920)), box("trak", tkhd(640, 360)));
+    assert.deepEqual(mp4InfoFromMoov(buf, moov), { width: 1080, height: 1920, duration: 12.5 });
+  });
+
+  test("64-bit mvhd (version 1)", () => {
+    const mvhd1 = fullBox("mvhd", 1, zeros(16), u32be(1000), Buffer.from([0, 0, 0, 0, 0, 0, 0x0b, 0xb8]), zeros(80));
+    const { buf, moov } = mp4(mvhd1, box("trak", tkhd(1280, 720)));
+    assert.deepEqual(mp4InfoFromMoov(buf, moov), { width: 1280, height: 720, duration: 3 });
+  });
+
+  test("a track header cut short is skipped", () => {
+    const short = fullBox("tkhd", 0, zeros(40));
+    const { buf, moov } = mp4(mvhd(1000, 2000), box("trak", short));
+    assert.deepEqual(mp4InfoFromMoov(buf, moov), { width: 0, height: 0, duration: 2 });
+  });
+
+  test("a truncated moov never throws", () => {
+    const { buf } = mp4(mvhd(600, 7500), box("trak", tkhd(1080, 1920)));
+    for (let length = 0; length < buf.length; length++) {
+      const cut = buf.subarray(0, length);
+      const moov = listBoxes(cut).find(b => b.type === "moov");
+      if (moov) assert.doesNotThrow(() => mp4InfoFromMoov(cut, moov), `cut at ${length} bytes`);
+    }
+  });
+});
+
+describe("listBoxes", () => {
+  test("lists boxes, clipping one that runs past the buffer", () => {
+    const buf = Buffer.concat([box("ftyp", ascii("isom")), box("mdat", zeros(32))]).subarray(0, 30);
+    assert.deepEqual(listBoxes(buf).map(b => [b.type, b.start, b.size, b.end]), [["ftyp", 0, 12, 12], ["mdat", 12, 40, 30]]);
+  });
+
+  test("64-bit sizes and size 0 (to the end)", () => {
+    const large = Buffer.concat([u32be(1), ascii("mdat"), Buffer.from([0, 0, 0, 0, 0, 0, 0, 24]), zeros(8)]);
+    const rest = Buffer.concat([u32be(0), ascii("free"), zeros(4)]);
+    const boxes = listBoxes(Buffer.concat([large, rest]));
+    assert.deepEqual(boxes.map(b => [b.type, b.size, b.body]), [["mdat", 24, 16], ["free", 12, 32]]);
+  });
+});
@@ -0,0 +1,106 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { after, before, beforeEach, describe, test } from "node:test";
+import { MEDIA_DIR, mirrorItems } from "../scraper/mirror.mjs";
+
+const quiet = { info() {}, warn() {}, debug() {}, error() {} };
+
+// Stand-in media host: /<name>.jpg answers with the name's bytes, slowly enough for galleries to overlap
+let server;
+let base;
+let requests;
+// Statuses to answer a path with first, one per request (eg ["503"] then the file)
+let statuses;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const status = statuses[req.url]?.shift();
+    if (status) {
+      res.statusCode = status;
+      return res.end();
+    }
+    const m = req.url.match(/^\/([a-z0-9-]+)\.jpg$/);
+    if (!m) {
+      res.statusCode = 404;
+      return res.end();
+    }
+    res.setHeader("content-type", "image/jpeg");
+    setTimeout(() => res.end(`jpeg bytes of ${m[1]}`), 30);
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+let outDir;
+beforeEach(() => {
+  requests = [];
+  statuses = {};
+  outDir = fs.mkdtempSync(path.join(os.tmpdir(), "mirror-test-"));
+});
+
+const image = (name) => ({ type: "image", src: `${base}/${name}.jpg` });
+const readIndex = () => JSON.parse(fs.readFileSync(path.join(outDir, MEDIA_DIR, "index.json"), "utf8"));
+
+describe("mirrorItems", () => {
+  test("galleries mirroring in parallel keep each other's index entries", async () => {
+    try {
+      const [a, b] = await Promise.all([
+        mirrorItems([image("a1"), image("a2"), image("shared")], { outDir, log: quiet }),
+        mirrorItems([image("b1"), image("shared"), image("b2")], { outDir, log: quiet })
+      ]);
+
+      assert.deepEqual(Object.keys(readIndex()).sort(), ["a1", "a2", "b1", "b2", "shared"].map(n => `${base}/${n}.jpg`));
+      assert.ok([...a, ...b].every(it => it.mirrorSrc?.startsWith(`${MEDIA_DIR}/`)));
+      assert.equal(a[2].mirrorSrc, b[1].mirrorSrc);
+    } finally {
+      fs.rmSync(outDir, { recursive: true, force: true });
+    }
+  });
+
+  test("downloads media that several galleries share once", async () => {
+    try {
+      await Promise.all([
+        mirrorItems([image("shared"), { ...image("v"), type: "video", poster: `${base}/shared.jpg` }], { outDir, log: quiet }),
+        mirrorItems([image("shared")], { outDir, log: quiet })
+      ]);
+
+      assert.equal(requests.filter(u => u === "/shared.jpg").length, 1);
+      assert.deepEqual(fs.readdirSync(path.join(outDir, MEDIA_DIR, ".partial")), []);
+    } finally {
+      fs.rmSync(outDir, { recursive: true, force: true });
+    }
+  });
+
+  test("merges with entries another process saved meanwhile", async () => {
+    try {
+      await mirrorItems([image("first")], { outDir, log: quiet });
+      const index = readIndex();
+      const file = path.join(outDir, MEDIA_DIR, "index.json");
+      fs.writeFileSync(file, JSON.stringify({ ...index, "https://elsewhere/x.jpg": { ...index[`${base}/first.jpg`] } }));
+
+      await mirrorItems([image("second")], { outDir, log: quiet });
+      assert.deepEqual(Object.keys(readIndex()).sort(), [`${base}/first.jpg`, `${base}/second.jpg`, "https://elsewhere/x.jpg"]);
+    } finally {
+      fs.rmSync(outDir, { recursive: true, force: true });
+    }
+  });
+
+  test("retries 5xx, 408 and 429, but not a missing asset", async () => {
+    try {
+      statuses = { "/flaky.jpg": [503, 429], "/slow.jpg": [408], "/gone.jpg": [404, 404], "/removed.jpg": [410, 410] };
+      const out = await mirrorItems(["flaky", "slow", "gone", "removed"].map(image), { outDir, baseMs: 1, log: quiet });
+
+      assert.deepEqual(out.map(it => !!it.mirrorSrc), [true, true, false, false]);
+      const count = (u) => requests.filter(r => r === u).length;
+      assert.deepEqual(["/flaky.jpg", "/slow.jpg", "/gone.jpg", "/removed.jpg"].map(count), [3, 2, 1, 1]);
+    } finally {
+      fs.rmSync(outDir, { recursive: true, force: true });
+    }
+  });
+});
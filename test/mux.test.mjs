@@ -0,0 +1,210 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { after, before, beforeEach, describe, test } from "node:test";
+import { HLS_MIME_TYPE, parseMasterPlaylist, playlistHasAudio, resolveMuxVideos } from "../scraper/mux.mjs";
+import { loadProbeCache } from "../scraper/probe.mjs";
+
+const quiet = { info() {}, warn() {}, debug() {}, error() {} };
+
+const WITH_AUDIO = `#EXTM3U
+#EXT-X-VERSION:5
+#EXT-X-INDEPENDENT-SEGMENTS
+#EXT-X-STREAM-INF:BANDWIDTH=2516370,AVERAGE-BANDWIDTH=2516370,CODECS="mp4a.40.2,avc1.640020",RESOLUTION=1280x720,FRAME-RATE=30.000
+rendition.m3u8?rendition=720p
+#EXT-X-STREAM-INF:BANDWIDTH=5420000,CODECS="mp4a.40.2,avc1.640028",RESOLUTION=1920x1080,FRAME-RATE=30.000
+rendition.m3u8?rendition=1080p
+#EXT-X-STREAM-INF:BANDWIDTH=595886,CODECS="mp4a.40.2,avc1.64001e",RESOLUTION=480x270
+https://other.example/270p.m3u8
+`;
+
+const SILENT = `#EXTM3U
+#EXT-X-STREAM-INF:BANDWIDTH=1200000,CODECS="avc1.64001f",RESOLUTION=960x540
+rendition.m3u8?rendition=540p
+#EXT-X-STREAM-INF:BANDWIDTH=400000,CODECS="avc1.64001e",RESOLUTION=480x270
+rendition.m3u8?rendition=270p
+`;
+
+const ALTERNATE_AUDIO = `#EXTM3U
+#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="English, original",LANGUAGE="en",URI="audio.m3u8"
+#EXT-X-STREAM-INF:BANDWIDTH=800000,CODECS="avc1.64001e",AUDIO="aud"
+video.m3u8
+`;
+
+// Stand-in for stream.mux.com: <id>.m3u8 from `playlists`, HEAD <id>/<quality>.mp4 per `mp4s`
+const playlists = { loud: WITH_AUDIO, quiet: SILENT, nocodecs: "#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=1\nv.m3u8\n", flaky: SILENT };
+// HEAD <id>/<quality>.mp4 answered with this status instead (eg a 503 from an overloaded edge)
+let failing = {};
+const mp4s = { loud: ["high", "low"], quiet: ["medium"], nocodecs: [], flaky: ["low"] };
+let server;
+let base;
+let requests;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    requests.push(`${req.method} ${req.url}`);
+    const playlist = req.url.match(/^\/([^/]+)\.m3u8$/);
+    if (req.method === "GET" && playlist && playlists[playlist[1]]) {
+      res.setHeader("content-type", HLS_MIME_TYPE);
+      return res.end(playlists[playlist[1]]);
+    }
+    const mp4 = req.url.match(/^\/([^/]+)\/(high|medium|low)\.mp4$/);
+    if (mp4 && failing[`${mp4[1]}/${mp4[2]}`]) {
+      res.statusCode = failing[`${mp4[1]}/${mp4[2]}`];
+      return res.end();
+    }
+    res.statusCode = req.method === "HEAD" && mp4 && mp4s[mp4[1]]?.includes(mp4[2]) ? 200 : 404;
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  requests = [];
+  failing = {};
+});
+
+const video = (id) => ({ type: "video", src: `https://stream.mux.com/${id}/low.mp4`, poster: null, width: 0, height: 0 });
+
+describe("parseMasterPlaylist", () => {
+  test("lists renditions best first, with absolute URIs", () => {
+    const { renditions, audio } = parseMasterPlaylist(WITH_AUDIO, "https://stream.mux.com/loud.m3u8");
+
+    assert.deepEqual(renditions.map(r => r.height), [1080, 720, 270]);
+    assert.deepEqual(renditions[1], {
+      uri: "https://stream.mux.com/rendition.m3u8?rendition=720p",
+      bandwidth: 2516370,
+      averageBandwidth: 2516370,
+      width: 1280,
+      height: 720,
+      frameRate: 30,
+      codecs: "mp4a.40.2,avc1.640020"
+    });
+    assert.equal(renditions[2].uri, "https://other.example/270p.m3u8");
+    assert.deepEqual(audio, []);
+  });
+
+  test("reads alternate audio, quoted values with commas included", () => {
+    const { renditions, audio } = parseMasterPlaylist(ALTERNATE_AUDIO, "https://stream.mux.com/x.m3u8");
+
+    assert.deepEqual(audio, [{ groupId: "aud", name: "English, original", language: "en", uri: "https://stream.mux.com/audio.m3u8" }]);
+    assert.equal(renditions[0].audioGroup, "aud");
+  });
+
+  test("rejects anything but a master playlist", () => {
+    assert.throws(() => parseMasterPlaylist("<html>", "u"), /Not an HLS playlist/);
+    assert.throws(() => parseMasterPlaylist("#EXTM3U\n#EXTINF:4.0,\nseg0.ts\n", "u"), /No renditions/);
+  });
+});
+
+describe("playlistHasAudio", () => {
+  const has = (text) => playlistHasAudio(parseMasterPlaylist(text, "https://stream.mux.com/x.m3u8"));
+
+  test("audio codec in a variant", () => assert.equal(has(WITH_AUDIO), true));
+  test("alternate audio rendition", () => assert.equal(has(ALTERNATE_AUDIO), true));
+  test("video codecs only", () => assert.equal(has(SILENT), false));
+  test("unknown without CODECS", () => assert.equal(has(playlists.nocodecs), null));
+});
+
+describe("resolveMuxVideos", () => {
+  test("adds HLS first, then the MP4s that exist, best first", async () => {
+    const [it] = await resolveMuxVideos([video("loud")], { base, log: quiet });
+
+    assert.equal(it.src, "https://stream.mux.com/loud/low.mp4");
+    assert.deepEqual(it.sources, [
+      { src: `${base}/loud.m3u8`, type: HLS_MIME_TYPE },
+      { src: `${base}/loud/high.mp4`, type: "video/mp4", quality: "high" },
+      { src: `${base}/loud/low.mp4`, type: "video/mp4", quality: "low" }
+    ]);
+    assert.deepEqual(it.renditions.map(r => `${r.width}x${r.height}`), ["1920x1080", "1280x720", "480x270"]);
+    assert.ok(it.renditions.every(r => !("uri" in r)));
+    assert.equal(it.hasAudio, true);
+    assert.deepEqual(requests.filter(r => r.startsWith("HEAD")).sort(), ["HEAD /loud/high.mp4", "HEAD /loud/low.mp4", "HEAD /loud/medium.mp4"]);
+  });
+
+  test("silent video, a single MP4 variant", async () => {
+    const [it] = await resolveMuxVideos([video("quiet")], { base, log: quiet });
+
+    assert.deepEqual(it.sources.map(s => s.quality ?? s.type), [HLS_MIME_TYPE, "medium"]);
+    assert.equal(it.hasAudio, false);
+  });
+
+  test("leaves hasAudio out when the playlist does not say", async () => {
+    const [it] = await resolveMuxVideos([video("nocodecs")], { base, log: quiet });
+
+    assert.equal(it.sources.length, 1);
+    assert.ok(!("hasAudio" in it));
+  });
+
+  test("keeps unresolvable and non-Mux items as they are", async () => {
+    const items = [video("missing"), { type: "video", src: "https://cdn.cosmos.so/v.mp4" }, { type: "image", src: "https://cdn.cosmos.so/i" }];
+    const out = await resolveMuxVideos(items, { base, log: quiet });
+
+    assert.deepEqual(out, items);
+    assert.deepEqual(requests, ["GET /missing.m3u8"]);
+  });
+
+  test("reuses the cache across runs", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mux-test-"));
+    try {
+      const file = path.join(dir, "mux.json");
+      const cache = loadProbeCache(file);
+      const first = await resolveMuxVideos([video("loud"), video("quiet")], { base, cache, log: quiet });
+      cache.save();
+      assert.ok(requests.length > 0);
+
+      requests = [];
+      const second = await resolveMuxVideos([video("loud"), video("quiet")], { base, cache: loadProbeCache(file), log: quiet });
+      assert.deepEqual(requests, []);
+      assert.deepEqual(second, first);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("does not take a failed MP4 check for a missing MP4, nor cache it", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mux-test-"));
+    try {
+      const cache = loadProbeCache(path.join(dir, "mux.json"));
+      failing = { "flaky/high": 503 };
+      const [first] = await resolveMuxVideos([video("flaky")], { base, cache, log: quiet });
+      assert.ok(!("sources" in first));
+      assert.equal(cache.get("flaky"), null);
+
+      failing = {};
+      const [second] = await resolveMuxVideos([video("flaky")], { base, cache, log: quiet });
+      assert.deepEqual(second.sources.map(s => s.quality ?? s.type), [HLS_MIME_TYPE, "low"]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("looks again once a cached answer is too old, sooner when it had no MP4s", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mux-test-"));
+    try {
+      const file = path.join(dir, "mux.json");
+      const hoursAgo = (h) => new Date(Date.now() - h * 3600 * 1000).toISOString();
+      fs.writeFileSync(file, JSON.stringify({
+        quiet: { renditions: [], hasAudio: false, mp4: [], probedAt: hoursAgo(30) },
+        loud: { renditions: [], hasAudio: true, mp4: ["low"], probedAt: hoursAgo(30) }
+      }));
+      const [quietItem, loudItem] = await resolveMuxVideos([video("quiet"), video("loud")], { base, cache: loadProbeCache(file), log: quiet });
+
+      assert.ok(requests.includes("GET /quiet.m3u8"));
+      assert.ok(!requests.some(r => r.includes("loud")));
+      assert.deepEqual(quietItem.sources.map(s => s.quality ?? s.type), [HLS_MIME_TYPE, "medium"]);
+      assert.deepEqual(loudItem.sources.map(s => s.quality ?? s.type), [HLS_MIME_TYPE, "low"]);
+
+      requests = [];
+      await resolveMuxVideos([video("loud")], { base, cache: loadProbeCache(file), maxAgeMs: 3600 * 1000, log: quiet });
+      assert.ok(requests.includes("GET /loud.m3u8"));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
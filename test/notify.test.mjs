@@ -0,0 +1,179 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { after, before, beforeEach, describe, test } from "node:test";
+import { notifyRun, slackMessage, validateNotify } from "../scraper/notify.mjs";
+
+const SECRET = "T000/B000/s3cr3t-token";
+
+// Stand-in receiver: answers each request with the next status of `statuses` (the last repeats)
+let server;
+let base;
+let received;
+let statuses;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => (body += chunk));
+    req.on("end", () => {
+      received.push({ at: Date.now(), method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body || "null") });
+      res.statusCode = statuses[Math.min(received.length - 1, statuses.length - 1)];
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  received = [];
+  statuses = [200];
+});
+
+function captureLog() {
+  const lines = [];
+  const record = (level) => (event, msg, fields) => lines.push({ level, event, msg, fields });
+  return { lines, info: record("info"), warn: record("warn"), error: record("error"), debug: record("debug") };
+}
+
+function gallery(hooks) {
+  return { slug: "swim", url: "https://www.cosmos.so/rlphoto/swim", notify: validateNotify(hooks, "test") };
+}
+
+const FAILED = { ok: false, error: "Cosmos did not hydrate in time", state: "timeout" };
+const PUBLISHED = {
+  ok: true,
+  count: 3,
+  diff: { previousCount: 2, added: [{ src: "https://cdn.cosmos.so/a" }], removed: [] }
+};
+
+describe("webhook", () => {
+  test("retries 5xx responses with a doubling back-off", async () => {
+    statuses = [503, 502, 200];
+    const res = await notifyRun(gallery([{ type: "webhook", url: `${base}/hook` }]), FAILED, { baseMs: 40, log: captureLog() });
+
+    assert.deepEqual(res.map(r => r.ok), [true]);
+    assert.equal(received.length, 3);
+    const gaps = [received[1].at - received[0].at, received[2].at - received[1].at];
+    assert.ok(gaps[0] >= 35, `first back-off ${gaps[0]}ms`);
+    assert.ok(gaps[1] >= 75, `second back-off ${gaps[1]}ms`);
+    assert.equal(received[0].body.status, "failed");
+    assert.equal(received[0].body.state, "timeout");
+    assert.equal(received[0].headers["content-type"], "application/json");
+  });
+
+  test("gives up after `retries`", async () => {
+    statuses = [500];
+    const res = await notifyRun(gallery([{ type: "webhook", url: `${base}/hook`, retries: 1 }]), FAILED, { baseMs: 1, log: captureLog() });
+
+    assert.equal(res[0].ok, false);
+    assert.equal(res[0].error, "HTTP 500");
+    assert.equal(received.length, 2);
+  });
+
+  test("does not retry 4xx responses other than 408 / 429", async () => {
+    statuses = [404];
+    const res = await notifyRun(gallery([{ type: "webhook", url: `${base}/hook` }]), FAILED, { baseMs: 1, log: captureLog() });
+
+    assert.equal(res[0].ok, false);
+    assert.equal(received.length, 1);
+  });
+
+  test("retries 429", async () => {
+    statuses = [429, 200];
+    const res = await notifyRun(gallery([{ type: "webhook", url: `${base}/hook` }]), FAILED, { baseMs: 1, log: captureLog() });
+
+    assert.equal(res[0].ok, true);
+    assert.equal(received.length, 2);
+  });
+
+  test("only fires for its events", async () => {
+    const hooks = [{ type: "webhook", url: `${base}/failures`, on: "failure" }, { type: "webhook", url: `${base}/added`, on: ["added"] }];
+    await notifyRun(gallery(hooks), PUBLISHED, { baseMs: 1, log: captureLog() });
+
+    assert.deepEqual(received.map(r => r.url), ["/added"]);
+    assert.deepEqual(received[0].body.added, ["https://cdn.cosmos.so/a"]);
+    assert.deepEqual(received[0].body.events, ["success", "added"]);
+  });
+});
+
+describe("slack", () => {
+  test("posts a { text } message", async () => {
+    await notifyRun(gallery([{ type: "slack", url: `${base}/services/${SECRET}` }]), PUBLISHED, { baseMs: 1, log: captureLog() });
+
+    assert.equal(received.length, 1);
+    assert.deepEqual(Object.keys(received[0].body), ["text"]);
+    assert.match(received[0].body.text, /^🆕 <https:\/\/www\.cosmos\.so\/rlphoto\/swim\|swim>: \+1 \/ -0 \(2 → 3 items\)/);
+    assert.match(received[0].body.text, /\*Added\*\n• https:\/\/cdn\.cosmos\.so\/a/);
+  });
+
+  test("lists at most five URLs", () => {
+    const added = Array.from({ length: 7 }, (_, i) => `https://cdn.cosmos.so/${i}`);
+    const { text } = slackMessage({ gallery: "swim", url: "u", status: "ok", added, removed: [], count: 7, previousCount: 0 });
+
+    assert.equal(text.split("\n").filter(l => l.startsWith("• ")).length, 5);
+    assert.match(text, /… and 2 more$/);
+  });
+
+  test("failure message", () => {
+    const { text } = slackMessage({ gallery: "swim", url: "u", status: "failed", error: "boom" });
+    assert.equal(text, "❌ <u|swim> failed: boom");
+  });
+});
+
+describe("command", () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "notify-test-"));
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test("gets the payload on stdin and the NOTIFY_* environment", async () => {
+    const out = path.join(dir, "payload.json");
+    const env = path.join(dir, "env.txt");
+    const command = `cat > "${out}" && echo "$NOTIFY_GALLERY $NOTIFY_STATUS $NOTIFY_EVENTS" > "${env}"`;
+    const res = await notifyRun(gallery([{ type: "command", command }]), PUBLISHED, { baseMs: 1, log: captureLog() });
+
+    assert.equal(res[0].ok, true);
+    const payload = JSON.parse(fs.readFileSync(out, "utf8"));
+    assert.equal(payload.gallery, "swim");
+    assert.equal(payload.count, 3);
+    assert.equal(fs.readFileSync(env, "utf8").trim(), "swim ok success,added");
+  });
+
+  test("retries a non-zero exit", async () => {
+    const counter = path.join(dir, "count");
+    const command = `echo x >> "${counter}"; exit 3`;
+    const res = await notifyRun(gallery([{ type: "command", command, retries: 2 }]), FAILED, { baseMs: 1, log: captureLog() });
+
+    assert.equal(res[0].ok, false);
+    assert.equal(res[0].error, "exit code 3");
+    assert.equal(fs.readFileSync(counter, "utf8").trim().split("\n").length, 3);
+  });
+});
+
+describe("logging", () => {
+  test("never prints a webhook's secret", async () => {
+    statuses = [500, 200];
+    const log = captureLog();
+    const hooks = [
+      { type: "slack", url: `${base}/services/${SECRET}` },
+      { type: "webhook", url: `${base}/hook?token=${SECRET}`, headers: { Authorization: `Bearer ${SECRET}` } },
+      // fetch refuses URLs with credentials, quoting the URL in its error
+      { type: "webhook", url: `${base.replace("//", `//user:${encodeURIComponent(SECRET)}@`)}/hook`, retries: 0 }
+    ];
+    const res = await notifyRun(gallery(hooks), FAILED, { baseMs: 1, log });
+
+    assert.equal(received.length, 3);
+    assert.deepEqual(res.map(r => r.ok), [true, true, false]);
+    const printed = JSON.stringify({ lines: log.lines, res });
+    assert.ok(!printed.includes("s3cr3t"), printed);
+    const host = base.slice("http://".length);
+    assert.deepEqual(res.map(r => r.hook), [`slack ${host}`, `webhook ${host}`, `webhook ${host}`]);
+  });
+});
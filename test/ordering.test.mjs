@@ -0,0 +1,81 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { detectColumns, masonryOrder } from "../scraper/ordering.mjs";
+
+// Tiles as [key, left, top]; three 300px columns
+const tiles = (...rows) => rows.map(([key, left, top]) => ({ key, left, top }));
+const order = (captures, options) => masonryOrder(captures, options).items.map(it => it.key);
+
+describe("detectColumns", () => {
+  test("clusters lefts within the tolerance", () => {
+    const columns = detectColumns([0, 310, 2, 620, 305, 618]);
+    assert.deepEqual(columns.map(c => [c.min, c.max, c.size]), [[0, 2, 2], [305, 310, 2], [618, 620, 2]]);
+  });
+});
+
+describe("masonryOrder", () => {
+  const cases = [
+    {
+      name: "shortest column next, the columns merged by top",
+      captures: tiles(["a", 0, 0], ["b", 310, 0], ["c", 620, 0], ["d", 310, 180], ["e", 0, 240], ["f", 620, 260]),
+      expected: ["a", "b", "c", "d", "e", "f"]
+    },
+    {
+      name: "heads within TOP_TOLERANCE are a tie: leftmost column first",
+      captures: tiles(["a", 0, 0], ["b", 310, 0], ["c", 620, 0], ["d", 620, 201], ["e", 0, 202], ["f", 310, 200]),
+      expected: ["a", "b", "c", "e", "f", "d"]
+    },
+    {
+      name: "a head clearly lower than TOP_TOLERANCE goes first, whatever its column",
+      captures: tiles(["a", 0, 0], ["b", 310, 0], ["c", 0, 203], ["d", 310, 200]),
+      expected: ["a", "b", "d", "c"],
+      report: { ambiguous: 1 }
+    },
+    {
+      name: "a wider topTolerance turns the same gap into a tie",
+      captures: tiles(["a", 0, 0], ["b", 310, 0], ["c", 0, 203], ["d", 310, 200]),
+      options: { topTolerance: 4 },
+      expected: ["a", "b", "c", "d"]
+    },
+    {
+      name: "lefts a few px apart are one column",
+      captures: tiles(["a", 0, 0], ["b", 311, 0], ["c", 4, 100], ["d", 306, 150]),
+      expected: ["a", "b", "c", "d"],
+      report: { columns: 2 }
+    },
+    {
+      name: "later passes see tiles shifted by sub-pixel noise: first capture kept, not jitter",
+      captures: tiles(["a", 0, 0], ["b", 310, 0], ["c", 0, 200], ["a", 0, 1], ["b", 311, 1], ["d", 310, 230]),
+      expected: ["a", "b", "c", "d"],
+      report: { duplicates: 2, jittered: 0, confidence: 1 }
+    },
+    {
+      name: "a tile that moved between passes counts as jitter and keeps its first position",
+      captures: tiles(["a", 0, 0], ["b", 310, 0], ["c", 0, 200], ["d", 310, 230], ["c", 0, 260], ["b", 620, 0]),
+      expected: ["a", "b", "c", "d"],
+      report: { duplicates: 2, jittered: 2, confidence: 0.5 }
+    }
+  ];
+
+  for (const { name, captures, options, expected, report } of cases) {
+    test(name, () => {
+      const result = masonryOrder(captures, options);
+      assert.deepEqual(result.items.map(it => it.key), expected);
+      for (const [field, value] of Object.entries(report || {})) assert.equal(result.report[field], value, field);
+    });
+  }
+
+  test("the same tiles in any capture order give the same placement order", () => {
+    const captures = tiles(["a", 0, 0], ["b", 310, 0], ["c", 620, 0], ["d", 310, 180], ["e", 0, 240], ["f", 620, 260]);
+    const expected = order(captures);
+    assert.deepEqual(order([...captures].reverse()), expected);
+    assert.deepEqual(order([...captures.slice(3), ...captures.slice(0, 3)]), expected);
+  });
+
+  test("no captures", () => {
+    assert.deepEqual(masonryOrder([]), {
+      items: [],
+      report: { columns: 0, items: 0, duplicates: 0, jittered: 0, ambiguous: 0, confidence: 1 }
+    });
+  });
+});
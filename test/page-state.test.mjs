@@ -0,0 +1,81 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { batchExitCode, classifyPageState, parseRetryAfter } from "../scraper/page-state.mjs";
+
+// A snapshot as readPageSnapshot returns it
+const snap = (media, markers = {}) => ({ media, challenge: null, notFound: null, empty: null, ...markers });
+
+describe("classifyPageState", () => {
+  const cases = [
+    ["enough media", { snapshot: snap(6) }, "hydrated"],
+    ["not enough media yet", { snapshot: snap(5) }, null],
+    ["not enough media at the end of the gate", { snapshot: snap(5), final: true }, "timeout"],
+    ["no snapshot at the end of the gate", { final: true }, "timeout"],
+    ["a lower minMedia", { snapshot: snap(2), minMedia: 2 }, "hydrated"],
+
+    // Page markers only count while the media are below minMedia
+    ["empty marker, no media", { snapshot: snap(0, { empty: "no elements" }) }, "empty"],
+    ["empty marker below minMedia", { snapshot: snap(5, { empty: "no elements" }) }, "empty"],
+    ["empty marker at minMedia", { snapshot: snap(6, { empty: "no elements" }) }, "hydrated"],
+    ["not-found marker below minMedia", { snapshot: snap(0, { notFound: "page not found" }) }, "not-found"],
+    ["not-found marker at minMedia", { snapshot: snap(8, { notFound: "page not found" }) }, "hydrated"],
+    ["not-found and empty markers: not-found", { snapshot: snap(0, { notFound: "404", empty: "no elements" }) }, "not-found"],
+    ["empty marker counted against a lower minMedia", { snapshot: snap(2, { empty: "no elements" }), minMedia: 2 }, "hydrated"],
+
+    // Statuses and walls come first, whatever the page shows
+    ["login wall", { loginWall: "sign-in form", snapshot: snap(20) }, "login-required"],
+    ["HTTP 401", { status: 401, snapshot: snap(20) }, "login-required"],
+    ["HTTP 404", { status: 404, snapshot: snap(20) }, "not-found"],
+    ["HTTP 410", { status: 410 }, "not-found"],
+    ["bot challenge", { status: 200, snapshot: snap(20, { challenge: "Cloudflare" }) }, "blocked"],
+    ["HTTP 429", { status: 429, snapshot: snap(20) }, "blocked"],
+    ["HTTP 403", { status: 403 }, "blocked"],
+    ["429 on the site's data requests", { status: 200, dataStatuses: [200, 429], snapshot: snap(20) }, "blocked"],
+    ["a login wall beats a 404", { status: 404, loginWall: "sign-in form" }, "login-required"],
+    ["a challenge beats an empty marker", { snapshot: snap(0, { challenge: "DataDome", empty: "no elements" }) }, "blocked"],
+
+    // Server errors give the page a chance to hydrate before they count
+    ["HTTP 502 with media", { status: 502, snapshot: snap(6) }, "hydrated"],
+    ["HTTP 502 with an empty marker", { status: 502, snapshot: snap(0, { empty: "no elements" }) }, "empty"],
+    ["HTTP 502 without media", { status: 502, snapshot: snap(0) }, "timeout"],
+    ["HTTP 200, nothing yet", { status: 200, snapshot: snap(0) }, null]
+  ];
+
+  for (const [name, input, state] of cases) {
+    test(name, () => assert.equal(classifyPageState(input)?.state ?? null, state));
+  }
+
+  test("reasons say what decided", () => {
+    assert.deepEqual(classifyPageState({ snapshot: snap(12) }), { state: "hydrated", reason: "12 media" });
+    assert.deepEqual(classifyPageState({ snapshot: snap(3), final: true }), { state: "timeout", reason: "3 of 6 media on the page" });
+    assert.deepEqual(classifyPageState({ snapshot: snap(1, { empty: "no elements" }) }), { state: "empty", reason: "empty board (no elements)" });
+    assert.deepEqual(classifyPageState({ status: 410 }), { state: "not-found", reason: "HTTP 410" });
+  });
+});
+
+describe("parseRetryAfter", () => {
+  const now = Date.parse("2026-01-01T00:00:00Z");
+  const cases = [
+    ["seconds", "120", 120000],
+    ["an HTTP date", "Thu, 01 Jan 2026 00:00:30 GMT", 30000],
+    ["a date in the past", "Wed, 31 Dec 2025 23:59:00 GMT", 0],
+    ["garbage", "soon", null],
+    ["absent", null, null]
+  ];
+  for (const [name, value, ms] of cases) {
+    test(name, () => assert.equal(parseRetryAfter(value, now), ms));
+  }
+});
+
+describe("batchExitCode", () => {
+  const cases = [
+    ["no failures", [], 0],
+    ["one state", ["not-found", "not-found"], 3],
+    ["blocked", ["blocked"], 5],
+    ["mixed states", ["not-found", "blocked"], 1],
+    ["a failure that is not about the page", ["shrink"], 1]
+  ];
+  for (const [name, states, code] of cases) {
+    test(name, () => assert.equal(batchExitCode(states), code));
+  }
+});
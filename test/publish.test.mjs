@@ -0,0 +1,84 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, test } from "node:test";
+import { diffReportPath } from "../scraper/diff.mjs";
+import { feedDocument, publishFeed } from "../scraper/publish.mjs";
+
+let dir;
+let gallery;
+const warnings = [];
+const log = { info() {}, debug() {}, error() {}, warn: (event, msg, fields) => warnings.push({ event, fields }) };
+
+const image = (n) => ({ type: "image", src: `https://cdn.cosmos.so/${n}`, width: 100, height: 100 });
+const readFeed = () => JSON.parse(fs.readFileSync(gallery.outFile, "utf8"));
+const readGuard = () => JSON.parse(fs.readFileSync(diffReportPath(gallery.outFile), "utf8")).guard;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "publish-test-"));
+  gallery = { slug: "swim", url: "https://www.cosmos.so/rlphoto/swim", outFile: path.join(dir, "swim.json"), tunables: { MAX_DROP_PCT: 50 } };
+  fs.writeFileSync(gallery.outFile, JSON.stringify(feedDocument(gallery, [image(1), image(2), image(3)])));
+  warnings.length = 0;
+});
+
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+describe("diff", () => {
+  // Are.na serves the same image under a differently signed images.are.na URL from run to run
+  const arena = (id, size) => ({
+    type: "image",
+    src: `https://images.are.na/${Buffer.from(JSON.stringify({ key: `${id}/original_x.jpg`, edits: { resize: { width: size } } })).toString("base64url")}`,
+    width: 100,
+    height: 100
+  });
+
+  test("keys items like the gallery's source", () => {
+    gallery = { ...gallery, url: "https://www.are.na/someone/swim" };
+    fs.writeFileSync(gallery.outFile, JSON.stringify(feedDocument(gallery, [arena(1, 800), arena(2, 800)])));
+    const { diff } = publishFeed(gallery, [arena(2, 1200), arena(1, 1200), arena(3, 1200)], { log });
+
+    assert.deepEqual(diff.added.map(e => e.key), ["image:arena:3"]);
+    assert.deepEqual(diff.removed, []);
+    assert.equal(diff.reordered.length, 1);
+  });
+});
+
+describe("shrink guard", () => {
+  test("keeps the previous feed when the count drops too far", () => {
+    assert.throws(() => publishFeed(gallery, [image(1)], { log }), /Refusing to overwrite .*66\.7%/);
+    assert.equal(readFeed().count, 3);
+    assert.deepEqual(readGuard(), { maxDropPct: 50, dropPct: 66.7, tripped: true, forced: false, pageState: null, skipped: null });
+  });
+
+  test("a page that is not known to be empty cannot wipe a feed", () => {
+    const pageState = { state: "hydrated", reason: "0 media" };
+    assert.throws(() => publishFeed(gallery, [], { pageState, log }), /Refusing to overwrite/);
+    assert.equal(readFeed().count, 3);
+  });
+
+  test("publishes an empty board over a feed that had items", () => {
+    const pageState = { state: "empty", reason: "empty board (\"This cluster is empty\")" };
+    const res = publishFeed(gallery, [], { pageState, log });
+
+    assert.equal(res.count, 0);
+    assert.equal(readFeed().count, 0);
+    assert.deepEqual(readGuard(), {
+      maxDropPct: 50,
+      dropPct: 100,
+      tripped: false,
+      forced: false,
+      pageState: "empty",
+      skipped: "empty board (\"This cluster is empty\")"
+    });
+    assert.deepEqual(warnings.map(w => w.event), ["guard.empty"]);
+  });
+
+  test("--force accepts the drop", () => {
+    publishFeed(gallery, [image(1)], { force: true, log });
+
+    assert.equal(readFeed().count, 1);
+    assert.equal(readGuard().forced, true);
+    assert.deepEqual(warnings.map(w => w.event), ["guard.forced"]);
+  });
+});
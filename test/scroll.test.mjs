@@ -0,0 +1,52 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { createScrollController } from "../scraper/scroll.mjs";
+
+// Step observations, shorthand: what the page looked like after each wheel step
+const NEW = { added: 4, atBottom: true };
+const SAME = { added: 0, atBottom: true };
+const MID = { added: 0, atBottom: false };
+const END = { added: 0, atBottom: true, endMarker: true };
+
+const run = (options, steps) => {
+  const controller = createScrollController(options);
+  return steps.map(step => {
+    const decision = controller.next(step);
+    if (decision.action === "stop") return `stop:${decision.reason}`;
+    if (decision.action === "retry") return `retry:${decision.retry}@${decision.waitMs}`;
+    return decision.action;
+  });
+};
+
+describe("createScrollController", () => {
+  const options = { maxScrolls: 20, retries: 2, backoffMs: 100 };
+  const cases = [
+    ["new items: scroll on", options, [NEW, NEW], ["scroll", "scroll"]],
+    ["nothing new mid-page: scroll on, no retry", options, [NEW, MID, MID], ["scroll", "scroll", "scroll"]],
+    ["nothing new at the bottom: retries with backoff, then saturated", options,
+      [NEW, SAME, SAME, SAME], ["scroll", "retry:1@100", "retry:2@200", "stop:saturated"]],
+    ["new items reset the retries", options,
+      [SAME, NEW, SAME, SAME, SAME], ["retry:1@100", "scroll", "retry:1@100", "retry:2@200", "stop:saturated"]],
+    ["a taller page counts as progress", options,
+      [{ ...SAME, height: 1000 }, { ...SAME, height: 1000 }, { ...SAME, height: 1400 }, { ...SAME, height: 1400 }],
+      ["scroll", "retry:1@100", "scroll", "retry:1@100"]],
+    ["an end marker and nothing new: stop without retrying", options, [NEW, END], ["scroll", "stop:end-marker"]],
+    ["an end marker with new items: scroll on", options, [{ ...END, added: 3 }, END], ["scroll", "stop:end-marker"]],
+    ["maxScrolls reached while finding items", { ...options, maxScrolls: 3 }, [NEW, NEW, NEW], ["scroll", "scroll", "stop:max-scrolls"]],
+    ["no retry on the last step: max-scrolls", { ...options, maxScrolls: 2 }, [NEW, SAME], ["scroll", "stop:max-scrolls"]],
+    ["retries used up on the last step: saturated before max-scrolls", { ...options, maxScrolls: 3 },
+      [SAME, SAME, SAME], ["retry:1@100", "retry:2@200", "stop:saturated"]],
+    ["retries: 0 is saturated at the first quiet bottom", { ...options, retries: 0 }, [NEW, SAME], ["scroll", "stop:saturated"]]
+  ];
+
+  for (const [name, opts, steps, expected] of cases) {
+    test(name, () => assert.deepEqual(run(opts, steps), expected));
+  }
+
+  test("counts steps", () => {
+    const controller = createScrollController(options);
+    controller.next(NEW);
+    controller.next(SAME);
+    assert.equal(controller.steps, 2);
+  });
+});
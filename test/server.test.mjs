@@ -0,0 +1,118 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+import { parseRange, startFeedServer } from "../scraper/server.mjs";
+
+const VIDEO = Buffer.from(Array.from({ length: 1000 }, (_, i) => i % 256));
+let dir;
+let feedServer;
+let base;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "server-test-"));
+  fs.mkdirSync(path.join(dir, "media"));
+  fs.writeFileSync(path.join(dir, "media", "a.jpg"), "jpeg bytes");
+  fs.writeFileSync(path.join(dir, "media", "v.mp4"), VIDEO);
+  feedServer = startFeedServer({ outDir: dir, galleries: [], refresh: async () => {}, port: 0 });
+  await new Promise(resolve => feedServer.server.listening ? resolve() : feedServer.server.once("listening", resolve));
+  base = `http://127.0.0.1:${feedServer.server.address().port}`;
+});
+
+after(async () => {
+  await feedServer.stop();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("media files", () => {
+  test("are streamed with their length", async () => {
+    const res = await fetch(`${base}/media/a.jpg`);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("content-type"), "image/jpeg");
+    assert.equal(res.headers.get("content-length"), "10");
+    assert.equal(await res.text(), "jpeg bytes");
+  });
+
+  test("that cannot be read are a 500, not a hung or crashed server", async (t) => {
+    // The file goes (or turns unreadable) between the stat and the read
+    const real = fs.createReadStream;
+    t.mock.method(fs, "createReadStream", (file, ...rest) => real(`${file}.gone`, ...rest));
+
+    const res = await fetch(`${base}/media/a.jpg`);
+    assert.equal(res.status, 500);
+    assert.deepEqual(await res.json(), { error: "Could not read file" });
+
+    t.mock.restoreAll();
+    assert.equal((await fetch(`${base}/media/a.jpg`)).status, 200);
+  });
+});
+
+describe("parseRange", () => {
+  const cases = [
+    [undefined, null],
+    ["bytes=0-99", { start: 0, end: 99 }],
+    ["bytes=900-", { start: 900, end: 999 }],
+    ["bytes=990-2000", { start: 990, end: 999 }],
+    ["bytes=-100", { start: 900, end: 999 }],
+    ["bytes=-5000", { start: 0, end: 999 }],
+    ["bytes=1000-", "unsatisfiable"],
+    ["bytes=-0", "unsatisfiable"],
+    ["bytes=50-10", null],
+    ["bytes=0-1,5-9", null],
+    ["items=0-1", null],
+    ["bytes=-", null]
+  ];
+  for (const [header, expected] of cases) {
+    test(`${header} of 1000 bytes`, () => assert.deepEqual(parseRange(header, 1000), expected));
+  }
+});
+
+describe("byte ranges", () => {
+  const get = (headers, method = "GET") => fetch(`${base}/media/v.mp4`, { method, headers });
+
+  test("the whole file says it takes ranges", async () => {
+    const res = await get({});
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("accept-ranges"), "bytes");
+    assert.equal(Buffer.from(await res.arrayBuffer()).length, 1000);
+  });
+
+  test("a range is a 206 with just those bytes", async () => {
+    const res = await get({ Range: "bytes=100-199" });
+
+    assert.equal(res.status, 206);
+    assert.equal(res.headers.get("content-range"), "bytes 100-199/1000");
+    assert.equal(res.headers.get("content-length"), "100");
+    assert.deepEqual(Buffer.from(await res.arrayBuffer()), VIDEO.subarray(100, 200));
+  });
+
+  test("the probe Safari sends first, and a suffix range", async () => {
+    const first = await get({ Range: "bytes=0-1" });
+    assert.equal(first.status, 206);
+    assert.deepEqual(Buffer.from(await first.arrayBuffer()), VIDEO.subarray(0, 2));
+
+    const tail = await get({ Range: "bytes=-10" });
+    assert.equal(tail.headers.get("content-range"), "bytes 990-999/1000");
+    assert.deepEqual(Buffer.from(await tail.arrayBuffer()), VIDEO.subarray(990));
+  });
+
+  test("HEAD with a range sends headers only", async () => {
+    const res = await get({ Range: "bytes=10-" }, "HEAD");
+    assert.equal(res.status, 206);
+    assert.equal(res.headers.get("content-length"), "990");
+  });
+
+  test("past the end is a 416", async () => {
+    const res = await get({ Range: "bytes=5000-" });
+    assert.equal(res.status, 416);
+    assert.equal(res.headers.get("content-range"), "bytes */1000");
+  });
+
+  test("a stale If-Range gets the whole file", async () => {
+    const res = await get({ Range: "bytes=0-9", "If-Range": new Date(0).toUTCString() });
+    assert.equal(res.status, 200);
+    assert.equal(Buffer.from(await res.arrayBuffer()).length, 1000);
+  });
+});
@@ -0,0 +1,60 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, test } from "node:test";
+import { createRecorder } from "../scraper/session.mjs";
+
+const quiet = { info() {}, warn() {}, debug() {}, error() {} };
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "session-test-"));
+});
+
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// A Playwright response as far as the recorder is concerned
+const response = (url, headers) => ({
+  request: () => ({ method: () => "POST", postData: () => "{}" }),
+  url: () => url,
+  status: () => 200,
+  headers: () => headers
+});
+
+describe("createRecorder", () => {
+  const gallery = { slug: "swim", url: "https://www.cosmos.so/rlphoto/swim", tunables: {} };
+
+  test("keeps cookies and authorization headers out of the recording", async () => {
+    const recorder = createRecorder(dir, gallery, quiet);
+    await recorder.response(response("https://api.cosmos.so/graphql", {
+      "content-type": "application/json",
+      "set-cookie": "session=secret",
+      "x-request-id": "abc"
+    }), async () => "{}");
+    recorder.api({
+      request: {
+        method: "POST",
+        url: "https://api.cosmos.so/graphql",
+        postData: "{}",
+        headers: { "content-type": "application/json", Authorization: "Bearer secret", Cookie: "session=secret" }
+      },
+      stopReason: "exhausted",
+      pages: [],
+      leading: []
+    });
+    recorder.finish({ items: [] });
+
+    const index = JSON.parse(fs.readFileSync(path.join(recorder.dir, "index.json"), "utf8"));
+    assert.deepEqual(index.responses[0].headers, { "content-type": "application/json", "x-request-id": "abc" });
+    const api = JSON.parse(fs.readFileSync(path.join(recorder.dir, "api.json"), "utf8"));
+    assert.deepEqual(api.request.headers, { "content-type": "application/json" });
+    assert.equal(api.request.postData, "{}");
+
+    for (const file of fs.readdirSync(recorder.dir, { recursive: true })) {
+      const full = path.join(recorder.dir, file);
+      if (fs.statSync(full).isFile()) assert.doesNotMatch(fs.readFileSync(full, "utf8"), /secret/, file);
+    }
+  });
+});